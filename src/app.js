@@ -6,10 +6,30 @@ const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
 const { registerInstanceRoutes } = require('./controllers/instanceController');
 const { registerWebhookRoutes } = require('./controllers/webhookHandler');
+const { registerMediaRoutes } = require('./controllers/mediaController');
+const { registerConversationRoutes } = require('./controllers/conversationController');
+const { registerRetentionRoutes } = require('./controllers/retentionController');
+const { registerRateLimitRoutes } = require('./controllers/rateLimitController');
+const { registerHandoffRoutes } = require('./controllers/handoffController');
+const { registerRoutingRoutes } = require('./controllers/routingController');
+const { registerOutboundRoutes } = require('./controllers/outboundController');
+const { registerScheduleRoutes } = require('./controllers/scheduleController');
+const { registerCampaignRoutes } = require('./controllers/campaignController');
+const { registerSuppressionRoutes } = require('./controllers/suppressionController');
+const { registerTemplateRoutes } = require('./controllers/templateController');
+const { registerWebhookSubscriptionRoutes } = require('./controllers/webhookSubscriptionController');
+const { registerApiKeyRoutes } = require('./controllers/apiKeyController');
+const { registerUserRoutes } = require('./controllers/userController');
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (used by API key IP restrictions)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Apply security headers
 app.use(helmet());
 
@@ -17,7 +37,7 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Admin-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Admin-Key', 'X-Signature', 'X-Signature-Timestamp'],
 }));
 
 // Request logging
@@ -26,8 +46,14 @@ app.use((req, res, next) => {
   next();
 });
 
-// Parse JSON request bodies
-app.use(express.json({ limit: '1mb' }));
+// Parse JSON request bodies (large enough for base64 encoded media)
+// The raw body is kept to verify request signatures
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '25mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Rate limiting
 const apiLimiter = rateLimit({
@@ -62,6 +88,20 @@ app.get('/version', (req, res) => {
 // Register routes from controllers
 registerInstanceRoutes(app);
 registerWebhookRoutes(app);
+registerMediaRoutes(app);
+registerConversationRoutes(app);
+registerRetentionRoutes(app);
+registerRateLimitRoutes(app);
+registerHandoffRoutes(app);
+registerRoutingRoutes(app);
+registerOutboundRoutes(app);
+registerScheduleRoutes(app);
+registerCampaignRoutes(app);
+registerSuppressionRoutes(app);
+registerTemplateRoutes(app);
+registerWebhookSubscriptionRoutes(app);
+registerApiKeyRoutes(app);
+registerUserRoutes(app);
 
 // 404 handler
 app.use((req, res) => {
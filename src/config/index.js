@@ -1,22 +1,33 @@
 // src/config/index.js
 require('dotenv').config();
 
+const port = process.env.PORT || 3030;
+
 /**
  * Application configuration
  * Loads from environment variables with sensible defaults
  */
 const config = {
   // Server configuration
-  port: process.env.PORT || 3000,
+  port,
   nodeEnv: process.env.NODE_ENV || 'development',
   logLevel: process.env.LOG_LEVEL || 'info',
   clientId: process.env.CLIENT_ID || 'whatsapp-ai-bot',
   
   // Security
-  jwtSecret: process.env.JWT_SECRET || 'change-this-secret-in-production',
+  jwtSecret: process.env.JWT_SECRET,
   encryptionKey: process.env.ENCRYPTION_KEY,
   apiKey: process.env.API_KEY,
   corsOrigin: process.env.CORS_ORIGIN || '*',
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${port}`,
+  // Maximum age of signed requests from n8n (instances with n8nConfig.signingSecret)
+  signatureToleranceSeconds: parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS || '300', 10),
+  
+  // Operator accounts for the admin API (JWT access tokens, rotating refresh tokens)
+  auth: {
+    accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10),
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+  },
   
   // WhatsApp configuration
   commandPrefix: process.env.COMMAND_PREFIX || '!bot',
@@ -24,6 +35,27 @@ const config = {
   notifyUnauthorized: process.env.NOTIFY_UNAUTHORIZED === 'true',
   maxConversationLength: parseInt(process.env.MAX_CONVERSATION_LENGTH || '20', 10),
   
+  // Conversation retention (0 keeps conversations forever, instances can override with options.retentionDays)
+  retention: {
+    defaultDays: parseInt(process.env.CONVERSATION_RETENTION_DAYS || '0', 10),
+    intervalMinutes: parseInt(process.env.RETENTION_INTERVAL_MINUTES || '60', 10),
+  },
+  
+  // Outbound message queue (retries with exponential backoff)
+  outbound: {
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS || '5', 10),
+    retryBaseSeconds: parseInt(process.env.OUTBOUND_RETRY_BASE_SECONDS || '10', 10),
+    retentionDays: parseInt(process.env.OUTBOUND_RETENTION_DAYS || '7', 10),
+  },
+  
+  // Event webhook subscriptions (signed deliveries, retried with exponential backoff)
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10),
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    retentionDays: parseInt(process.env.WEBHOOK_RETENTION_DAYS || '7', 10),
+  },
+  
   // User access control
   allowedUsers: (process.env.ALLOWED_USERS || '').split(',').map(u => u.trim()),
   allowedGroups: (process.env.ALLOWED_GROUPS || '').split(',').map(g => g.trim()),
@@ -36,6 +68,13 @@ const config = {
     timeout: parseInt(process.env.N8N_TIMEOUT || '10000', 10),
   },
   
+  // Incoming media handling (defaults, can be overridden per instance in options.media)
+  media: {
+    maxSizeBytes: parseInt(process.env.MEDIA_MAX_SIZE_MB || '16', 10) * 1024 * 1024,
+    urlTtlSeconds: parseInt(process.env.MEDIA_URL_TTL || '3600', 10),
+    urlSecret: process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET,
+  },
+  
   // AI provider settings
   aiProvider: process.env.AI_PROVIDER || 'openai',
   openAI: {
@@ -47,9 +86,9 @@ const config = {
     model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
   },
   
-  // Database configuration
+  // Database configuration (file or sqlite)
   database: {
-    type: process.env.DB_TYPE || 'sqlite',
+    type: process.env.DB_TYPE || 'file',
     path: process.env.DB_PATH || './data/conversations.db',
     host: process.env.DB_HOST,
     port: process.env.DB_PORT,
@@ -0,0 +1,186 @@
+// src/controllers/apiKeyController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const {
+  API_KEY_SCOPES,
+  validateAllowedIps,
+  createApiKey,
+  listInstanceApiKeys,
+  getInstanceApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// Schema for new API keys
+const apiKeySchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expiresAt: Joi.date().iso(),
+  expiresInDays: Joi.number().integer().min(1).max(3650),
+  allowedIps: Joi.array().items(Joi.string()).max(100).default([])
+}).oxor('expiresAt', 'expiresInDays');
+
+/**
+ * List the API keys of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listApiKeysHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const apiKeys = await listInstanceApiKeys(instanceId);
+
+    return res.status(200).json({
+      instanceId,
+      count: apiKeys.length,
+      apiKeys
+    });
+  } catch (error) {
+    logger.error(`Error listing API keys for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Issue an API key for an instance, returning the key once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createApiKeyHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = apiKeySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const ipError = validateAllowedIps(value.allowedIps);
+    if (ipError) {
+      return res.status(400).json({ error: ipError });
+    }
+
+    const expiresAt = value.expiresInDays
+      ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+      : value.expiresAt;
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    const apiKey = await createApiKey(instanceId, {
+      name: value.name,
+      scopes: value.scopes,
+      allowedIps: value.allowedIps,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null
+    });
+
+    return res.status(201).json(apiKey);
+  } catch (error) {
+    logger.error(`Error creating API key for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get an API key of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getApiKeyHandler(req, res) {
+  try {
+    const { instanceId, keyId } = req.params;
+
+    const apiKey = await getInstanceApiKey(instanceId, keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    return res.status(200).json(apiKey);
+  } catch (error) {
+    logger.error(`Error getting API key for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Replace the secret of an API key, returning the new key once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function rotateApiKeyHandler(req, res) {
+  try {
+    const { instanceId, keyId } = req.params;
+
+    const result = await rotateApiKey(instanceId, keyId);
+    if (!result) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error(`Error rotating API key for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function revokeApiKeyHandler(req, res) {
+  try {
+    const { instanceId, keyId } = req.params;
+
+    const apiKey = await revokeApiKey(instanceId, keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    return res.status(200).json(apiKey);
+  } catch (error) {
+    logger.error(`Error revoking API key for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register API key routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerApiKeyRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Instance API keys (admin only)
+  app.get('/api/admin/instances/:instanceId/api-keys', validateAdminKey, listApiKeysHandler);
+  app.post('/api/admin/instances/:instanceId/api-keys', validateAdminKey, createApiKeyHandler);
+  app.get('/api/admin/instances/:instanceId/api-keys/:keyId', validateAdminKey, getApiKeyHandler);
+  app.post('/api/admin/instances/:instanceId/api-keys/:keyId/rotate', validateAdminKey, rotateApiKeyHandler);
+  app.delete('/api/admin/instances/:instanceId/api-keys/:keyId', validateAdminKey, revokeApiKeyHandler);
+}
+
+module.exports = {
+  listApiKeysHandler,
+  createApiKeyHandler,
+  getApiKeyHandler,
+  rotateApiKeyHandler,
+  revokeApiKeyHandler,
+  registerApiKeyRoutes
+};
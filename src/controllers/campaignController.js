@@ -0,0 +1,209 @@
+// src/controllers/campaignController.js
+const Joi = require('joi');
+const config = require('../config');
+const { getInstanceConfig } = require('../models/instance');
+const { createMessageMedia, normalizeChatId } = require('../services/whatsappService');
+const { validateOutboundMedia, getMediaSendOptions } = require('../services/mediaService');
+const {
+  createCampaign,
+  getCampaignReport,
+  listCampaignSummaries,
+  updateCampaignStatus
+} = require('../services/campaignService');
+const { sanitizeInput } = require('../utils/security');
+const logger = require('../utils/logger');
+
+// Schema for new campaigns
+const campaignSchema = Joi.object({
+  name: Joi.string().max(200),
+  message: Joi.string().allow(''),
+  media: Joi.object({
+    data: Joi.string(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    mimetype: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+/),
+    filename: Joi.string().max(255)
+  }).xor('data', 'url').with('data', 'mimetype'),
+  mediaType: Joi.string().valid('auto', 'document', 'voice', 'sticker').default('auto'),
+  options: Joi.object({
+    isViewOnce: Joi.boolean(),
+    stickerName: Joi.string().max(100),
+    stickerAuthor: Joi.string().max(100),
+    stickerCategories: Joi.array().items(Joi.string())
+  }).default({}),
+  variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number())).default({}),
+  recipients: Joi.array().items(
+    Joi.alternatives(
+      Joi.string(),
+      Joi.object({
+        to: Joi.string().required(),
+        variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number())).default({})
+      })
+    )
+  ).min(1).max(10000).required(),
+  ratePerMinute: Joi.number().min(0.1).max(60),
+  jitterSeconds: Joi.number().min(0).max(300)
+}).or('message', 'media');
+
+/**
+ * Create a campaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createCampaignHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const instanceConfig = await getInstanceConfig(instanceId);
+    if (!instanceConfig) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = campaignSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const message = sanitizeInput(value.message || '');
+
+    // Media is fetched once and sent to every recipient
+    let media = null;
+    let sendOptions = {};
+    if (value.media) {
+      try {
+        media = await createMessageMedia(value.media, config.media.maxSizeBytes);
+      } catch (mediaError) {
+        return res.status(400).json({ error: mediaError.message });
+      }
+
+      const mediaError = validateOutboundMedia(value.mediaType, media, value.options, message);
+      if (mediaError) {
+        return res.status(400).json({ error: mediaError });
+      }
+      sendOptions = getMediaSendOptions(value.mediaType, value.options, '');
+    }
+
+    const recipients = value.recipients.map(recipient => {
+      const to = typeof recipient === 'string' ? recipient : recipient.to;
+      return {
+        to,
+        chatId: normalizeChatId(sanitizeInput(to)),
+        variables: typeof recipient === 'string' ? {} : recipient.variables
+      };
+    });
+
+    const campaign = await createCampaign(instanceId, {
+      name: value.name,
+      message,
+      media,
+      sendOptions,
+      variables: value.variables,
+      recipients,
+      ratePerMinute: value.ratePerMinute,
+      jitterSeconds: value.jitterSeconds
+    });
+
+    return res.status(201).json(campaign);
+  } catch (error) {
+    logger.error(`Error creating campaign for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the campaigns of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listCampaignsHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const instanceConfig = await getInstanceConfig(instanceId);
+    if (!instanceConfig) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const campaigns = await listCampaignSummaries(instanceId);
+
+    return res.status(200).json({
+      instanceId,
+      count: campaigns.length,
+      campaigns
+    });
+  } catch (error) {
+    logger.error(`Error listing campaigns for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the progress report of a campaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCampaignHandler(req, res) {
+  try {
+    const { instanceId, campaignId } = req.params;
+
+    const report = await getCampaignReport(instanceId, campaignId);
+    if (!report) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error(`Error getting campaign for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Pause, resume or cancel a campaign
+ * @param {string} action - pause, resume or cancel
+ * @returns {Function} - The Express handler
+ */
+function campaignActionHandler(action) {
+  return async (req, res) => {
+    try {
+      const { instanceId, campaignId } = req.params;
+
+      const result = await updateCampaignStatus(instanceId, campaignId, action);
+      if (!result) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+
+      return res.status(200).json(result.value);
+    } catch (error) {
+      logger.error(`Error applying ${action} to campaign for instance ${req.params.instanceId}:`, error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Register campaign routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerCampaignRoutes(app) {
+  const { validateApiKey, requireScope } = require('../middleware/auth');
+
+  app.post('/api/webhook/:instanceId/campaigns', validateApiKey, requireScope('send'), createCampaignHandler);
+  app.get('/api/webhook/:instanceId/campaigns', validateApiKey, requireScope('send'), listCampaignsHandler);
+  app.get('/api/webhook/:instanceId/campaigns/:campaignId', validateApiKey, requireScope('send'), getCampaignHandler);
+  app.post('/api/webhook/:instanceId/campaigns/:campaignId/pause', validateApiKey, requireScope('send'), campaignActionHandler('pause'));
+  app.post('/api/webhook/:instanceId/campaigns/:campaignId/resume', validateApiKey, requireScope('send'), campaignActionHandler('resume'));
+  app.post('/api/webhook/:instanceId/campaigns/:campaignId/cancel', validateApiKey, requireScope('send'), campaignActionHandler('cancel'));
+}
+
+module.exports = {
+  createCampaignHandler,
+  listCampaignsHandler,
+  getCampaignHandler,
+  campaignActionHandler,
+  registerCampaignRoutes
+};
@@ -0,0 +1,386 @@
+// src/controllers/commandHandler.js
+const logger = require('../utils/logger');
+const { getConversation, clearConversation } = require('../models/conversation');
+const { getInstanceConfig, saveInstanceConfig } = require('../models/instance');
+const { sendMessageToN8n } = require('../services/n8nService');
+const { isSuppressed } = require('../services/suppressionService');
+const { queueMessage } = require('../services/outboundQueueService');
+
+/**
+ * Built-in commands available in every instance
+ * Each handler receives a context object and returns the reply text
+ */
+const BUILT_IN_COMMANDS = {
+  help: {
+    description: 'Show the available commands',
+    handler: async ({ config, isOwner, prefix }) => {
+      const lines = listCommands(config, isOwner).map(command =>
+        `${prefix}${command.name}${command.description ? ` - ${command.description}` : ''}`
+      );
+      return `Available commands:\n${lines.join('\n')}`;
+    }
+  },
+  reset: {
+    description: 'Clear the conversation memory for this chat',
+    handler: async ({ instanceId, message }) => {
+      const conversationId = `${instanceId}-${message.from}`;
+      const cleared = await clearConversation(conversationId);
+      return cleared
+        ? 'Conversation memory cleared. Let\'s start fresh!'
+        : 'Sorry, I could not clear the conversation memory. Please try again later.';
+    }
+  },
+  status: {
+    description: 'Show the bot status',
+    handler: async ({ instanceId, message, client, config }) => {
+      const conversation = await getConversation(`${instanceId}-${message.from}`, instanceId);
+      const state = await client.getState().catch(() => 'UNKNOWN');
+      const uptimeMinutes = Math.floor(process.uptime() / 60);
+      return [
+        `Bot: ${config.name || instanceId}`,
+        `Connection: ${state}`,
+        `Messages in memory: ${conversation.messages.length}`,
+        `Uptime: ${Math.floor(uptimeMinutes / 60)}h ${uptimeMinutes % 60}m`
+      ].join('\n');
+    }
+  }
+};
+
+/**
+ * Owner-only commands to administer the instance from WhatsApp
+ * Changes are persisted and applied to the running configuration
+ */
+const OWNER_COMMANDS = {
+  allow: {
+    description: 'Allow a number to use the bot',
+    handler: async ({ instanceId, config, argsText, prefix }) => {
+      const userId = toUserId(argsText);
+      if (!userId) {
+        return `Usage: ${prefix}allow <phone number>`;
+      }
+
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        const allowedUsers = instanceConfig.allowedUsers || [];
+        if (!allowedUsers.some(user => user.replace('@c.us', '') === userId)) {
+          instanceConfig.allowedUsers = [...allowedUsers, userId];
+        }
+      });
+      return `${userId} can now use the bot.`;
+    }
+  },
+  deny: {
+    description: 'Remove a number from the allowed users',
+    handler: async ({ instanceId, config, argsText, prefix }) => {
+      const userId = toUserId(argsText);
+      if (!userId) {
+        return `Usage: ${prefix}deny <phone number>`;
+      }
+
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        instanceConfig.allowedUsers = (instanceConfig.allowedUsers || [])
+          .filter(user => user.replace('@c.us', '') !== userId);
+      });
+      return `${userId} can no longer use the bot.`;
+    }
+  },
+  allowgroup: {
+    description: 'Allow the current group (or a group ID) to use the bot',
+    handler: async ({ instanceId, message, config, args, prefix }) => {
+      const groupId = toGroupId(message, args[0]);
+      if (!groupId) {
+        return `Usage: ${prefix}allowgroup <group ID> (or send it in the group)`;
+      }
+
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        const allowedGroups = instanceConfig.allowedGroups || [];
+        if (!allowedGroups.includes(groupId)) {
+          instanceConfig.allowedGroups = [...allowedGroups, groupId];
+        }
+      });
+      return `Group ${groupId} can now use the bot.`;
+    }
+  },
+  denygroup: {
+    description: 'Remove the current group (or a group ID) from the allowed groups',
+    handler: async ({ instanceId, message, config, args, prefix }) => {
+      const groupId = toGroupId(message, args[0]);
+      if (!groupId) {
+        return `Usage: ${prefix}denygroup <group ID> (or send it in the group)`;
+      }
+
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        instanceConfig.allowedGroups = (instanceConfig.allowedGroups || [])
+          .filter(group => group !== groupId);
+      });
+      return `Group ${groupId} can no longer use the bot.`;
+    }
+  },
+  pause: {
+    description: 'Stop answering messages (owners can still run commands)',
+    handler: async ({ instanceId, config, prefix }) => {
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        instanceConfig.options = { ...(instanceConfig.options || {}), paused: true };
+      });
+      return `Bot paused. Send ${prefix}resume to start answering again.`;
+    }
+  },
+  resume: {
+    description: 'Start answering messages again',
+    handler: async ({ instanceId, config }) => {
+      await updateInstanceConfig(instanceId, config, instanceConfig => {
+        instanceConfig.options = { ...(instanceConfig.options || {}), paused: false };
+      });
+      return 'Bot resumed.';
+    }
+  },
+  broadcast: {
+    description: 'Send a message to every allowed user and group',
+    handler: async ({ instanceId, config, argsText, prefix }) => {
+      if (!argsText) {
+        return `Usage: ${prefix}broadcast <message>`;
+      }
+
+      // Wildcards cannot be expanded, only explicit entries are reached
+      const { normalizeChatId } = require('../services/whatsappService');
+      const recipients = [...(config.allowedUsers || []), ...(config.allowedGroups || [])]
+        .filter(id => id !== '*')
+        .map(normalizeChatId)
+        .filter(Boolean);
+
+      let sent = 0;
+      for (const chatId of [...new Set(recipients)]) {
+        // Contacts who opted out and blocklisted chats are left out
+        if (await isSuppressed(instanceId, chatId)) {
+          continue;
+        }
+        try {
+          await queueMessage(instanceId, chatId, argsText, {}, 'broadcast');
+          sent++;
+        } catch (error) {
+          logger.error(`Failed to broadcast to ${chatId} for instance ${instanceId}:`, error);
+        }
+      }
+
+      logger.info(`Broadcast queued for ${sent} of ${recipients.length} chat(s) for instance ${instanceId}`);
+      return `Broadcast queued for ${sent} of ${recipients.length} chat(s).`;
+    }
+  }
+};
+
+/**
+ * Get the command options for an instance, merged with the defaults
+ * @param {Object} config - Instance configuration
+ * @returns {Object} - The command options
+ */
+function getCommandOptions(config) {
+  const commands = (config && config.options && config.options.commands) || {};
+
+  return {
+    enabled: commands.enabled !== false,
+    prefix: commands.prefix || '!',
+    disabled: Array.isArray(commands.disabled) ? commands.disabled : [],
+    custom: Array.isArray(commands.custom) ? commands.custom : []
+  };
+}
+
+/**
+ * Check if the sender of a message is an owner of the instance
+ * @param {Object} message - The WhatsApp message object
+ * @param {Object} config - Instance configuration
+ * @returns {boolean} - Whether the sender is an owner
+ */
+function isOwner(message, config) {
+  const owners = (config && config.options && config.options.owners) || [];
+  const senderId = message.from.includes('@g.us') ? message.author : message.from;
+  if (!senderId || !Array.isArray(owners)) {
+    return false;
+  }
+
+  // Compare without the @c.us suffix, like the allowed users
+  const normalizedSenderId = senderId.replace('@c.us', '');
+  return owners.some(owner => String(owner).replace('@c.us', '') === normalizedSenderId);
+}
+
+/**
+ * List the commands available in an instance
+ * @param {Object} config - Instance configuration
+ * @param {boolean} [includeOwnerCommands=false] - Whether to include the owner-only commands
+ * @returns {Array<Object>} - The commands (name, description and definition)
+ */
+function listCommands(config, includeOwnerCommands = false) {
+  const { disabled, custom } = getCommandOptions(config);
+
+  const builtIns = Object.entries(BUILT_IN_COMMANDS)
+    .filter(([name]) => !disabled.includes(name))
+    .map(([name, command]) => ({ name, description: command.description, builtIn: true, ...command }));
+
+  // Custom commands map to their own n8n webhook and cannot shadow built-ins
+  const customCommands = custom
+    .filter(command => command && command.name)
+    .filter(command => !BUILT_IN_COMMANDS[command.name.toLowerCase()] && !OWNER_COMMANDS[command.name.toLowerCase()])
+    .map(command => ({ ...command, name: command.name.toLowerCase(), builtIn: false }));
+
+  const ownerCommands = includeOwnerCommands
+    ? Object.entries(OWNER_COMMANDS).map(([name, command]) => ({ name, builtIn: true, ownerOnly: true, ...command }))
+    : [];
+
+  return [...builtIns, ...customCommands, ...ownerCommands];
+}
+
+/**
+ * Find the command invoked by a message
+ * @param {string} body - The sanitized message body
+ * @param {Object} config - Instance configuration
+ * @param {boolean} [fromOwner=false] - Whether the sender is an owner (enables the owner-only commands)
+ * @returns {Object|null} - The command and its arguments or null if the message is not a known command
+ */
+function findCommand(body, config, fromOwner = false) {
+  const { enabled, prefix } = getCommandOptions(config);
+  if (!enabled || typeof body !== 'string' || !body.startsWith(prefix)) {
+    return null;
+  }
+
+  const text = body.slice(prefix.length).trim();
+  const name = text.split(/\s+/, 1)[0];
+  const command = listCommands(config, fromOwner).find(candidate => candidate.name === name.toLowerCase());
+  if (!name || !command) {
+    return null;
+  }
+
+  // Keep the original formatting of the arguments (line breaks matter for broadcasts)
+  const argsText = text.slice(name.length).trim();
+
+  return {
+    command,
+    args: argsText ? argsText.split(/\s+/) : [],
+    argsText,
+    fromOwner
+  };
+}
+
+/**
+ * Execute a command and reply with its result
+ * @param {Object} invocation - The command and its arguments (see findCommand)
+ * @param {Object} message - The WhatsApp message object
+ * @param {Object} client - The WhatsApp client instance
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - Instance configuration
+ * @returns {Promise<void>}
+ */
+async function executeCommand(invocation, message, client, instanceId, config) {
+  const { command, args, argsText, fromOwner } = invocation;
+  logger.info(`Executing command ${command.name} from ${message.author || message.from} for instance ${instanceId}`);
+
+  try {
+    let reply;
+    if (command.builtIn) {
+      const { prefix } = getCommandOptions(config);
+      reply = await command.handler({ instanceId, message, client, config, args, argsText, prefix, isOwner: fromOwner });
+    } else {
+      reply = await executeCustomCommand(command, invocation, message, instanceId);
+    }
+
+    if (reply) {
+      await message.reply(reply);
+    }
+  } catch (error) {
+    logger.error(`Error executing command ${command.name} for instance ${instanceId}:`, error);
+    try {
+      await message.reply('Sorry, that command failed. Please try again later.');
+    } catch (replyError) {
+      logger.error(`Failed to send error message for instance ${instanceId}:`, replyError);
+    }
+  }
+}
+
+/**
+ * Send a custom command to its n8n webhook
+ * @param {Object} command - The custom command definition
+ * @param {Object} invocation - The command and its arguments
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<string|null>} - The reply text
+ */
+async function executeCustomCommand(command, invocation, message, instanceId) {
+  if (!command.webhookPath) {
+    throw new Error(`Custom command ${command.name} has no webhookPath`);
+  }
+
+  const isGroup = message.from.includes('@g.us');
+  const requestData = {
+    command: command.name,
+    args: invocation.args,
+    message: invocation.argsText,
+    sender: {
+      id: isGroup ? message.author : message.from,
+      name: message._data.notifyName || 'Unknown',
+      ...(isGroup ? { inGroup: message.from } : {})
+    },
+    timestamp: new Date().toISOString(),
+    messageType: message.type,
+    isGroup,
+    instanceId
+  };
+
+  const response = await sendMessageToN8n(instanceId, requestData, {
+    webhookPath: command.webhookPath,
+    baseUrl: command.baseUrl,
+    timeout: command.timeout
+  });
+
+  return response && response.output ? response.output : null;
+}
+
+/**
+ * Persist a configuration change and apply it to the running configuration
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - The configuration used by the running client
+ * @param {Function} applyChange - Mutates a configuration object
+ * @returns {Promise<void>}
+ */
+async function updateInstanceConfig(instanceId, config, applyChange) {
+  // Start from the stored configuration so concurrent API updates are not lost
+  const storedConfig = await getInstanceConfig(instanceId);
+  if (!storedConfig) {
+    throw new Error(`Instance ${instanceId} not found`);
+  }
+
+  applyChange(storedConfig);
+  if (!(await saveInstanceConfig(instanceId, storedConfig))) {
+    throw new Error(`Failed to save configuration for instance ${instanceId}`);
+  }
+
+  applyChange(config);
+}
+
+/**
+ * Normalize a phone number argument to an allowed user entry
+ * @param {string} value - The phone number or contact ID
+ * @returns {string|null} - The number without the @c.us suffix or null if invalid
+ */
+function toUserId(value) {
+  const { normalizeChatId } = require('../services/whatsappService');
+  const chatId = normalizeChatId(value);
+  return chatId && chatId.endsWith('@c.us') ? chatId.replace('@c.us', '') : null;
+}
+
+/**
+ * Get the group targeted by a group command
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} [value] - The group ID argument
+ * @returns {string|null} - The group ID or null if none was given
+ */
+function toGroupId(message, value) {
+  if (value) {
+    return /^[\d-]+@g\.us$/.test(value) ? value : null;
+  }
+  return message.from.includes('@g.us') ? message.from : null;
+}
+
+module.exports = {
+  getCommandOptions,
+  isOwner,
+  listCommands,
+  findCommand,
+  executeCommand
+};
@@ -0,0 +1,270 @@
+// src/controllers/conversationController.js
+const {
+  findConversation,
+  clearConversation,
+  deleteOldConversations,
+  listConversations,
+  getMessages
+} = require('../models/conversation');
+const { getInstanceConfig } = require('../models/instance');
+const { normalizeChatId } = require('../services/whatsappService');
+const logger = require('../utils/logger');
+
+/**
+ * Build the conversation ID for a chat of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID or phone number
+ * @returns {string|null} - The conversation ID or null if the chat ID is invalid
+ */
+function getConversationId(instanceId, chatId) {
+  const normalizedChatId = normalizeChatId(chatId);
+  return normalizedChatId ? `${instanceId}-${normalizedChatId}` : null;
+}
+
+/**
+ * Parse an optional ISO date query parameter
+ * @param {string} value - The query parameter
+ * @returns {string|undefined|null} - The ISO date, undefined if not set or null if invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Escape a value for a CSV cell
+ * Cells that a spreadsheet would run as a formula get a leading quote, since message content comes from contacts
+ * @param {*} value - The value
+ * @returns {string} - The escaped cell
+ */
+function toCsvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * List the conversations of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listConversationsHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    // Validate pagination
+    const limit = parseInt(req.query.limit || '50', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+    if (isNaN(limit) || limit < 1 || limit > 500 || isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500 and offset must not be negative' });
+    }
+
+    const { total, conversations } = await listConversations(instanceId, { limit, offset });
+
+    return res.status(200).json({
+      instanceId,
+      total,
+      limit,
+      offset,
+      conversations: conversations.map(conversation => ({
+        chatId: conversation.conversationId.slice(instanceId.length + 1),
+        ...conversation
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error listing conversations for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a conversation with its messages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getConversationHandler(req, res) {
+  try {
+    const { instanceId, chatId } = req.params;
+
+    const conversationId = getConversationId(instanceId, chatId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    // Validate filters
+    const since = parseDateParam(req.query.since);
+    const until = parseDateParam(req.query.until);
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (since === null || until === null || (limit !== undefined && (isNaN(limit) || limit < 1))) {
+      return res.status(400).json({ error: 'since and until must be ISO dates and limit a positive number' });
+    }
+
+    const conversation = await findConversation(conversationId, instanceId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await getMessages(conversationId, { since, until, limit });
+
+    return res.status(200).json({
+      ...conversation,
+      chatId: normalizeChatId(chatId),
+      messages
+    });
+  } catch (error) {
+    logger.error(`Error getting conversation ${req.params.chatId} for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Clear a conversation (resets the bot memory for this chat)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function clearConversationHandler(req, res) {
+  try {
+    const { instanceId, chatId } = req.params;
+
+    const conversationId = getConversationId(instanceId, chatId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const conversation = await findConversation(conversationId, instanceId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const cleared = await clearConversation(conversationId);
+    if (!cleared) {
+      return res.status(500).json({ error: 'Failed to clear conversation' });
+    }
+
+    logger.info(`Cleared conversation ${conversationId}`);
+    return res.status(200).json({
+      message: 'Conversation cleared successfully',
+      instanceId,
+      chatId: normalizeChatId(chatId)
+    });
+  } catch (error) {
+    logger.error(`Error clearing conversation ${req.params.chatId} for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Export a conversation as JSON or CSV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportConversationHandler(req, res) {
+  try {
+    const { instanceId, chatId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const conversationId = getConversationId(instanceId, chatId);
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const conversation = await findConversation(conversationId, instanceId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await getMessages(conversationId);
+    const filename = conversationId.replace(/[^a-zA-Z0-9-_]/g, '_');
+
+    if (format === 'csv') {
+      const rows = [['timestamp', 'role', 'author', 'content']];
+      messages.forEach(message => {
+        rows.push([message.timestamp, message.role, message.author, message.content]);
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(rows.map(row => row.map(toCsvCell).join(',')).join('\r\n'));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.status(200).json({ ...conversation, messages });
+  } catch (error) {
+    logger.error(`Error exporting conversation ${req.params.chatId} for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Bulk delete the conversations of an instance that are older than a number of days
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteOldConversationsHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    // Require an age of at least one day so a request cannot wipe everything, including today's conversations
+    const olderThanDays = parseInt(req.query.olderThanDays, 10);
+    if (isNaN(olderThanDays) || olderThanDays < 1) {
+      return res.status(400).json({ error: 'olderThanDays query parameter is required and must be at least 1' });
+    }
+
+    const deletedCount = await deleteOldConversations(olderThanDays, instanceId);
+
+    return res.status(200).json({
+      message: 'Old conversations deleted successfully',
+      instanceId,
+      olderThanDays,
+      deletedCount
+    });
+  } catch (error) {
+    logger.error(`Error deleting old conversations for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register conversation routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerConversationRoutes(app) {
+  const { validateAdminKey, validateAdminKeyOrScope } = require('../middleware/auth');
+
+  // Conversation management (admin only, instance API keys with read-conversations can read)
+  app.get('/api/admin/instances/:instanceId/conversations', validateAdminKeyOrScope('read-conversations'), listConversationsHandler);
+  app.delete('/api/admin/instances/:instanceId/conversations', validateAdminKey, deleteOldConversationsHandler);
+  app.get('/api/admin/instances/:instanceId/conversations/:chatId', validateAdminKeyOrScope('read-conversations'), getConversationHandler);
+  app.delete('/api/admin/instances/:instanceId/conversations/:chatId', validateAdminKey, clearConversationHandler);
+  app.get('/api/admin/instances/:instanceId/conversations/:chatId/export', validateAdminKeyOrScope('read-conversations'), exportConversationHandler);
+}
+
+module.exports = {
+  listConversationsHandler,
+  getConversationHandler,
+  clearConversationHandler,
+  exportConversationHandler,
+  deleteOldConversationsHandler,
+  registerConversationRoutes
+};
@@ -0,0 +1,131 @@
+// src/controllers/handoffController.js
+const { getInstanceConfig } = require('../models/instance');
+const { findConversation } = require('../models/conversation');
+const { getActiveHandoff, startHandoff, releaseHandoff } = require('../services/handoffService');
+const { normalizeChatId } = require('../services/whatsappService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the handoff state of a chat
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getHandoffHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const chatId = normalizeChatId(req.params.chatId);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const conversation = await findConversation(`${instanceId}-${chatId}`, instanceId);
+    const handoff = getActiveHandoff(conversation, config);
+
+    return res.status(200).json({
+      instanceId,
+      chatId,
+      active: !!handoff,
+      handoff
+    });
+  } catch (error) {
+    logger.error(`Error getting handoff for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Hand a chat over to a human agent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startHandoffHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const chatId = normalizeChatId(req.params.chatId);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason : undefined;
+    const handoff = await startHandoff(instanceId, chatId, config, { source: 'admin', reason });
+
+    return res.status(200).json({
+      message: 'Handoff started successfully',
+      instanceId,
+      chatId,
+      handoff
+    });
+  } catch (error) {
+    logger.error(`Error starting handoff for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Give a chat back to the bot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function releaseHandoffHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const chatId = normalizeChatId(req.params.chatId);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    if (!(await releaseHandoff(instanceId, chatId, config, 'admin'))) {
+      return res.status(404).json({ error: 'Chat is not handed off' });
+    }
+
+    return res.status(200).json({
+      message: 'Handoff released successfully',
+      instanceId,
+      chatId
+    });
+  } catch (error) {
+    logger.error(`Error releasing handoff for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register handoff routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerHandoffRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Human handoff management (admin only)
+  app.get('/api/admin/instances/:instanceId/handoffs/:chatId', validateAdminKey, getHandoffHandler);
+  app.post('/api/admin/instances/:instanceId/handoffs/:chatId', validateAdminKey, startHandoffHandler);
+  app.delete('/api/admin/instances/:instanceId/handoffs/:chatId', validateAdminKey, releaseHandoffHandler);
+}
+
+module.exports = {
+  getHandoffHandler,
+  startHandoffHandler,
+  releaseHandoffHandler,
+  registerHandoffRoutes
+};
@@ -16,6 +16,9 @@ const {
   listActiveInstances
 } = require('../services/whatsappService');
 const { checkN8nHealth } = require('../services/n8nService');
+const { validateRoutes } = require('../services/routingService');
+const { validateEventOptions } = require('../services/eventService');
+const { canAccessInstance } = require('../services/authService');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
@@ -39,6 +42,18 @@ async function createInstance(req, res) {
       return res.status(400).json({ error: 'Instance ID can only contain alphanumeric characters, hyphens, and underscores' });
     }
     
+    // Validate the routing table
+    const routesError = validateRoutes(n8nConfig.routes);
+    if (routesError) {
+      return res.status(400).json({ error: routesError });
+    }
+    
+    // Validate the event subscriptions
+    const eventsError = validateEventOptions(options && options.events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError });
+    }
+    
     // Check if instance already exists
     const existingConfig = await getInstanceConfig(instanceId);
     if (existingConfig) {
@@ -153,8 +168,9 @@ async function getInstanceDetails(req, res) {
  */
 async function listInstancesHandler(req, res) {
   try {
-    // Get instance info for all instances
-    const instances = await getInstancesInfo();
+    // Get instance info for all instances (users only see their assigned instances)
+    const instances = (await getInstancesInfo())
+      .filter(instance => !req.user || canAccessInstance(req.user, instance.id));
     
     // Get active instances
     const activeInstances = listActiveInstances();
@@ -229,6 +245,18 @@ async function updateInstance(req, res) {
     const { instanceId } = req.params;
     const { name, n8nConfig, allowedUsers, allowedGroups, options } = req.body;
     
+    // Validate the routing table
+    const routesError = validateRoutes(n8nConfig && n8nConfig.routes);
+    if (routesError) {
+      return res.status(400).json({ error: routesError });
+    }
+    
+    // Validate the event subscriptions
+    const eventsError = validateEventOptions(options && options.events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError });
+    }
+    
     // Get existing configuration
     const existingConfig = await getInstanceConfig(instanceId);
     if (!existingConfig) {
@@ -364,18 +392,18 @@ async function restartInstance(req, res) {
  * @param {Object} app - Express app
  */
 function registerInstanceRoutes(app) {
-  const { validateApiKey, validateAdminKey } = require('../middleware/auth');
+  const { validateApiKey, validateAdminKey, authorizeAdmin, requireScope } = require('../middleware/auth');
   
   // Instance management (admin only)
   app.post('/api/admin/instances', validateAdminKey, createInstance);
-  app.get('/api/admin/instances', validateAdminKey, listInstancesHandler);
+  app.get('/api/admin/instances', authorizeAdmin({ instanceUsers: true }), listInstancesHandler);
   app.get('/api/admin/instances/:instanceId', validateAdminKey, getInstanceDetails);
   app.put('/api/admin/instances/:instanceId', validateAdminKey, updateInstance);
   app.delete('/api/admin/instances/:instanceId', validateAdminKey, deleteInstance);
   app.post('/api/admin/instances/:instanceId/restart', validateAdminKey, restartInstance);
   
   // Instance QR code (accessible with regular API key)
-  app.get('/api/instances/:instanceId/qr', validateApiKey, getInstanceQr);
+  app.get('/api/instances/:instanceId/qr', validateApiKey, requireScope('qr'), getInstanceQr);
 }
 
 module.exports = {
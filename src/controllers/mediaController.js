@@ -0,0 +1,44 @@
+// src/controllers/mediaController.js
+const logger = require('../utils/logger');
+const { getTemporaryMedia } = require('../services/mediaService');
+
+/**
+ * Serve a temporary media file through its signed URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getMedia(req, res) {
+  try {
+    const { instanceId, mediaId } = req.params;
+    const { expires, signature } = req.query;
+
+    const media = getTemporaryMedia(instanceId, mediaId, expires, signature);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found or link expired' });
+    }
+
+    res.setHeader('Content-Type', media.meta.mimetype || 'application/octet-stream');
+    if (media.meta.filename) {
+      res.setHeader('Content-Disposition', `inline; filename="${media.meta.filename.replace(/"/g, '')}"`);
+    }
+
+    return res.status(200).sendFile(media.filePath);
+  } catch (error) {
+    logger.error(`Error serving media for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register media routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerMediaRoutes(app) {
+  // Temporary media links (authorized by the URL signature)
+  app.get('/api/media/:instanceId/:mediaId', getMedia);
+}
+
+module.exports = {
+  getMedia,
+  registerMediaRoutes
+};
@@ -1,7 +1,17 @@
 // src/controllers/messageHandler.js
 const logger = require('../utils/logger');
-const { getConversation, saveConversation } = require('../models/conversation');
+const { getConversation, updateConversation, clearConversation } = require('../models/conversation');
 const { sendMessageToN8n, executeAiModel } = require('../services/n8nService');
+const { extractIncomingMedia } = require('../services/mediaService');
+const { checkRateLimit } = require('../services/rateLimitService');
+const { beginHandoff, handleAgentMessage, handleHandoffMessage } = require('../services/handoffService');
+const { handleOutsideBusinessHours } = require('../services/businessHoursService');
+const { resolveRoute } = require('../services/routingService');
+const { requestAsyncReply } = require('../services/asyncReplyService');
+const { executeActions, getResponseActions } = require('../services/actionService');
+const { queueMessage } = require('../services/outboundQueueService');
+const { handleOptOutMessage, isSuppressed } = require('../services/suppressionService');
+const { findCommand, executeCommand, isOwner } = require('./commandHandler');
 const { sanitizeInput } = require('../utils/security');
 
 /**
@@ -14,6 +24,11 @@ const { sanitizeInput } = require('../utils/security');
  */
 async function handleIncomingMessage(message, client, instanceId, config) {
   try {
+    // Messages sent from the bot's number in a handed off chat come from a human agent
+    if (message.fromMe && await handleAgentMessage(message, instanceId, config)) {
+      return;
+    }
+    
     // Skip processing if message is from the bot itself
     if (message.fromMe && config.processSelfMessages !== true) {
       logger.debug(`Ignoring message from self for instance ${instanceId}`);
@@ -24,6 +39,31 @@ async function handleIncomingMessage(message, client, instanceId, config) {
     const sender = message.from;
     const senderName = message._data.notifyName || 'Unknown';
     
+    // Owners can administer the instance from any chat, even unauthorized ones
+    if (isOwner(message, config)) {
+      const ownerCommand = findCommand(sanitizeInput(message.body || ''), config, true);
+      if (ownerCommand) {
+        return await executeCommand(ownerCommand, message, client, instanceId, config);
+      }
+    }
+    
+    // Contacts can always opt out (or back in), even while paused or unauthorized
+    if (!sender.includes('@g.us') && await handleOptOutMessage(message, instanceId, config)) {
+      return;
+    }
+    
+    // Suppressed contacts and groups get no messages, so the bot does not answer them
+    if (await isSuppressed(instanceId, sender)) {
+      logger.debug(`Ignoring message from suppressed ${sender} for instance ${instanceId}`);
+      return;
+    }
+    
+    // Ignore everyone else while the bot is paused
+    if (config.options && config.options.paused === true) {
+      logger.debug(`Instance ${instanceId} is paused, ignoring message from ${sender}`);
+      return;
+    }
+    
     // Check if user is authorized to use the bot
     if (!isUserAuthorized(sender, config)) {
       logger.warn(`Unauthorized message from ${sender} for instance ${instanceId}`);
@@ -45,14 +85,54 @@ async function handleIncomingMessage(message, client, instanceId, config) {
 
     // Sanitize and validate the message content
     const messageContent = sanitizeInput(message.body || '');
-    if (!messageContent.trim()) {
+    if (!messageContent.trim() && !message.hasMedia) {
       logger.debug(`Empty message received for instance ${instanceId}, ignoring`);
       return;
     }
+    
+    // Chats handed over to a human agent are forwarded instead of answered, flood protection does not apply
+    if (await handleHandoffMessage(message, instanceId, config, messageContent)) {
+      return;
+    }
+    
+    // Apply per-sender flood protection before commands and the AI flow
+    if (await isRateLimited(message, instanceId, config, { senderId: sender })) {
+      return;
+    }
+    
+    // Run in-chat commands instead of the AI flow
+    const command = findCommand(messageContent, config);
+    if (command) {
+      return await executeCommand(command, message, client, instanceId, config);
+    }
+    
+    // Download attached media (images, voice notes, documents, stickers)
+    const media = await extractIncomingMedia(message, instanceId, config);
+    
+    if (!messageContent.trim() && !media) {
+      logger.debug(`Empty message received for instance ${instanceId}, ignoring`);
+      return;
+    }
+    
+    // Content stored in the conversation history (media without caption gets a placeholder)
+    const historyContent = messageContent || `[${message.type}]`;
+    const receivedAt = new Date().toISOString();
+    
+    // Outside business hours the message gets the away reply or waits in the queue
+    if (await handleOutsideBusinessHours(message, instanceId, config, {
+      chatId: sender,
+      sender: { id: sender, name: senderName },
+      messageContent,
+      historyContent,
+      media,
+      receivedAt
+    })) {
+      return;
+    }
 
     // Get conversation history for context
     const conversationId = `${instanceId}-${sender}`;
-    const conversation = await getConversation(conversationId);
+    const conversation = await getConversation(conversationId, instanceId);
     
     // Set message "seen" status indicator if enabled
     if (config.showTypingIndicator === true) {
@@ -73,60 +153,105 @@ async function handleIncomingMessage(message, client, instanceId, config) {
       conversation: conversation,
       timestamp: new Date().toISOString(),
       messageType: message.type,
+      media: media,
       instanceId: instanceId
     };
 
     // Process message with n8n AI workflow
-    logger.info(`Processing message from ${sender} for instance ${instanceId}`);
+    const route = resolveRoute(config, {
+      senderId: sender,
+      message: messageContent,
+      messageType: message.type,
+      hasMedia: !!media
+    });
+    logger.info(`Processing message from ${sender} for instance ${instanceId} (route ${route.name})`);
+    let endSession = false;
+    const historyEntries = [];
+    let handoff = null;
     
     try {
       // Use n8n for AI processing (leverages the AI agent setup in n8n)
-      const aiResponse = await sendMessageToN8n(instanceId, requestData);
+      const aiResponse = route.async
+        ? await requestAsyncReply(instanceId, config, requestData, route, {
+          chatId: sender,
+          messageId: message.id._serialized,
+          historyContent,
+          receivedAt
+        })
+        : await sendMessageToN8n(instanceId, requestData, route);
+      
+      // Accepted in async mode, the reply arrives through the callback endpoint
+      if (route.async && !aiResponse) {
+        return;
+      }
       
       // Handle the response
-      if (aiResponse && aiResponse.output) {
-        await message.reply(aiResponse.output);
+      const actions = getResponseActions(aiResponse);
+      if (actions) {
+        const execution = await executeActions(actions, {
+          client,
+          instanceId,
+          chatId: sender,
+          messageId: message.id._serialized,
+          message
+        });
+        endSession = execution.endSession;
+        
+        // Update conversation history with the executed actions
+        historyEntries.push(
+          { role: 'user', content: historyContent, timestamp: receivedAt },
+          execution.historyEntry
+        );
+      } else if (aiResponse && aiResponse.output) {
+        await queueReply(message, instanceId, aiResponse.output);
         
         // Update conversation history
-        conversation.messages.push(
-          { role: 'user', content: messageContent },
-          { role: 'assistant', content: aiResponse.output }
+        historyEntries.push(
+          { role: 'user', content: historyContent, timestamp: receivedAt },
+          { role: 'assistant', content: aiResponse.output, timestamp: new Date().toISOString() }
         );
+      } else if (aiResponse && aiResponse.handoff) {
+        // Silent handoff, only keep the user message
+        historyEntries.push({ role: 'user', content: historyContent, timestamp: receivedAt });
       } else {
         // Fallback to direct API if n8n fails
         logger.warn(`No valid response from n8n for instance ${instanceId}, using fallback AI`);
         
         const fallbackResponse = await handleFallbackAi(instanceId, messageContent, conversation);
-        await message.reply(fallbackResponse);
+        await queueReply(message, instanceId, fallbackResponse);
         
         // Update conversation history
-        conversation.messages.push(
-          { role: 'user', content: messageContent },
-          { role: 'assistant', content: fallbackResponse }
+        historyEntries.push(
+          { role: 'user', content: historyContent, timestamp: receivedAt },
+          { role: 'assistant', content: fallbackResponse, timestamp: new Date().toISOString() }
         );
       }
+      
+      // n8n can hand the chat over to a human agent
+      if (aiResponse && aiResponse.handoff) {
+        handoff = { chatId: sender, source: 'n8n', reason: aiResponse.handoffReason };
+      }
     } catch (processingError) {
       logger.error(`Error from n8n AI processing for instance ${instanceId}:`, processingError);
       
       // Use fallback method
       const fallbackResponse = await handleFallbackAi(instanceId, messageContent, conversation);
-      await message.reply(fallbackResponse);
+      await queueReply(message, instanceId, fallbackResponse);
       
       // Update conversation history
-      conversation.messages.push(
-        { role: 'user', content: messageContent },
-        { role: 'assistant', content: fallbackResponse }
+      historyEntries.push(
+        { role: 'user', content: historyContent, timestamp: receivedAt },
+        { role: 'assistant', content: fallbackResponse, timestamp: new Date().toISOString() }
       );
     }
     
-    // Trim conversation history if it gets too long
-    const maxLength = config.maxConversationLength || 20;
-    if (conversation.messages.length > maxLength) {
-      conversation.messages = conversation.messages.slice(-maxLength);
-    }
+    // Save the exchange on a fresh copy of the conversation
+    await recordExchange(conversationId, instanceId, config, historyEntries, handoff);
     
-    // Save updated conversation
-    await saveConversation(conversationId, conversation);
+    // n8n ended the session, the next message starts with a fresh memory
+    if (endSession) {
+      await clearConversation(conversationId);
+    }
     
     // Log analytics if enabled
     if (config.enableAnalytics === true) {
@@ -168,17 +293,34 @@ async function handleGroupMessage(message, client, instanceId, config) {
       return;
     }
     
+    // Chats handed over to a human agent are forwarded instead of answered, flood protection does not apply
+    if (await handleHandoffMessage(message, instanceId, config, sanitizeInput(message.body || ''))) {
+      return;
+    }
+    
+    // Commands are handled without requiring a mention
+    const command = findCommand(sanitizeInput(message.body || ''), config);
+    
     // Check if the bot is mentioned or command prefix is used
     const mentionedIds = message.mentionedIds || [];
     const botNumber = client.info.wid._serialized;
     const isBotMentioned = mentionedIds.includes(botNumber);
     const hasCommandPrefix = message.body.startsWith(config.commandPrefix || '!bot');
     
-    // Only process if bot is mentioned or command prefix is used
-    if (!isBotMentioned && !hasCommandPrefix) {
+    // Only process commands and messages that mention the bot or use the command prefix
+    if (!command && !isBotMentioned && !hasCommandPrefix) {
       return;
     }
     
+    // Apply per-sender and per-group flood protection before commands and the AI flow, like in direct chats
+    if (await isRateLimited(message, instanceId, config, { senderId: authorId, groupId })) {
+      return;
+    }
+    
+    if (command) {
+      return await executeCommand(command, message, client, instanceId, config);
+    }
+    
     // Set message "seen" status indicator if enabled
     if (config.showTypingIndicator === true) {
       await message.getChat().then(chat => {
@@ -205,14 +347,33 @@ async function handleGroupMessage(message, client, instanceId, config) {
     // Sanitize message content
     messageContent = sanitizeInput(messageContent);
     
-    if (!messageContent.trim()) {
+    // Download attached media (images, voice notes, documents, stickers)
+    const media = await extractIncomingMedia(message, instanceId, config);
+    
+    if (!messageContent.trim() && !media) {
       logger.debug(`Empty group message content after processing for instance ${instanceId}, ignoring`);
       return;
     }
     
+    // Content stored in the conversation history (media without caption gets a placeholder)
+    const historyContent = messageContent || `[${message.type}]`;
+    const receivedAt = new Date().toISOString();
+    
+    // Outside business hours the message gets the away reply or waits in the queue
+    if (await handleOutsideBusinessHours(message, instanceId, config, {
+      chatId: groupId,
+      sender: { id: authorId, name: message._data.notifyName || 'Unknown', inGroup: groupId },
+      messageContent,
+      historyContent,
+      media,
+      receivedAt
+    })) {
+      return;
+    }
+    
     // Get conversation history for this group
     const conversationId = `${instanceId}-${groupId}`;
-    const conversation = await getConversation(conversationId);
+    const conversation = await getConversation(conversationId, instanceId);
     
     // Prepare data for AI processing
     const requestData = {
@@ -225,59 +386,106 @@ async function handleGroupMessage(message, client, instanceId, config) {
       conversation: conversation,
       timestamp: new Date().toISOString(),
       messageType: message.type,
+      media: media,
       isGroup: true,
       instanceId: instanceId
     };
     
     // Process with n8n and reply
-    logger.info(`Processing group message from ${authorId} in ${groupId} for instance ${instanceId}`);
+    const route = resolveRoute(config, {
+      senderId: authorId,
+      groupId,
+      message: messageContent,
+      messageType: message.type,
+      hasMedia: !!media
+    });
+    logger.info(`Processing group message from ${authorId} in ${groupId} for instance ${instanceId} (route ${route.name})`);
+    let endSession = false;
+    const historyEntries = [];
+    let handoff = null;
     
     try {
-      const aiResponse = await sendMessageToN8n(instanceId, requestData);
+      const aiResponse = route.async
+        ? await requestAsyncReply(instanceId, config, requestData, route, {
+          chatId: groupId,
+          messageId: message.id._serialized,
+          author: authorId,
+          historyContent,
+          receivedAt
+        })
+        : await sendMessageToN8n(instanceId, requestData, route);
       
-      if (aiResponse && aiResponse.output) {
-        await message.reply(aiResponse.output);
+      // Accepted in async mode, the reply arrives through the callback endpoint
+      if (route.async && !aiResponse) {
+        return;
+      }
+      
+      const actions = getResponseActions(aiResponse);
+      if (actions) {
+        const execution = await executeActions(actions, {
+          client,
+          instanceId,
+          chatId: groupId,
+          messageId: message.id._serialized,
+          message
+        });
+        endSession = execution.endSession;
+        
+        // Update group conversation with the executed actions
+        historyEntries.push(
+          { role: 'user', content: historyContent, author: authorId, timestamp: receivedAt },
+          execution.historyEntry
+        );
+      } else if (aiResponse && aiResponse.output) {
+        await queueReply(message, instanceId, aiResponse.output);
         
         // Update group conversation
-        conversation.messages.push(
-          { role: 'user', content: messageContent, author: authorId },
-          { role: 'assistant', content: aiResponse.output }
+        historyEntries.push(
+          { role: 'user', content: historyContent, author: authorId, timestamp: receivedAt },
+          { role: 'assistant', content: aiResponse.output, timestamp: new Date().toISOString() }
         );
+      } else if (aiResponse && aiResponse.handoff) {
+        // Silent handoff, only keep the user message
+        historyEntries.push({ role: 'user', content: historyContent, author: authorId, timestamp: receivedAt });
       } else {
         // Fallback to direct API if n8n fails
         logger.warn(`No valid response from n8n for group message in instance ${instanceId}, using fallback AI`);
         
         const fallbackResponse = await handleFallbackAi(instanceId, messageContent, conversation);
-        await message.reply(fallbackResponse);
+        await queueReply(message, instanceId, fallbackResponse);
         
         // Update conversation history
-        conversation.messages.push(
-          { role: 'user', content: messageContent, author: authorId },
-          { role: 'assistant', content: fallbackResponse }
+        historyEntries.push(
+          { role: 'user', content: historyContent, author: authorId, timestamp: receivedAt },
+          { role: 'assistant', content: fallbackResponse, timestamp: new Date().toISOString() }
         );
       }
+      
+      // n8n can hand the group over to a human agent
+      if (aiResponse && aiResponse.handoff) {
+        handoff = { chatId: groupId, source: 'n8n', reason: aiResponse.handoffReason };
+      }
     } catch (processingError) {
       logger.error(`Error from n8n AI processing for group message in instance ${instanceId}:`, processingError);
       
       // Use fallback method
       const fallbackResponse = await handleFallbackAi(instanceId, messageContent, conversation);
-      await message.reply(fallbackResponse);
+      await queueReply(message, instanceId, fallbackResponse);
       
       // Update conversation history
-      conversation.messages.push(
-        { role: 'user', content: messageContent, author: authorId },
-        { role: 'assistant', content: fallbackResponse }
+      historyEntries.push(
+        { role: 'user', content: historyContent, author: authorId, timestamp: receivedAt },
+        { role: 'assistant', content: fallbackResponse, timestamp: new Date().toISOString() }
       );
     }
     
-    // Trim conversation history if it gets too long
-    const maxLength = config.maxConversationLength || 20;
-    if (conversation.messages.length > maxLength) {
-      conversation.messages = conversation.messages.slice(-maxLength);
-    }
+    // Save the exchange on a fresh copy of the conversation
+    await recordExchange(conversationId, instanceId, config, historyEntries, handoff);
     
-    // Save updated conversation
-    await saveConversation(conversationId, conversation);
+    // n8n ended the session, the next message starts with a fresh memory
+    if (endSession) {
+      await clearConversation(conversationId);
+    }
   } catch (error) {
     logger.error(`Error handling group message for instance ${instanceId}:`, error);
     try {
@@ -288,6 +496,155 @@ async function handleGroupMessage(message, client, instanceId, config) {
   }
 }
 
+/**
+ * Process a message that was queued outside business hours
+ * The original message object is gone, so the reply is sent to the chat quoting the message
+ * @param {Object} pendingMessage - The queued message
+ * @param {Object} client - The WhatsApp client instance
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - Instance configuration
+ * @returns {Promise<void>}
+ */
+async function processPendingMessage(pendingMessage, client, instanceId, config) {
+  const conversationId = `${instanceId}-${pendingMessage.chatId}`;
+  const conversation = await getConversation(conversationId, instanceId);
+  
+  const requestData = {
+    message: pendingMessage.message,
+    sender: pendingMessage.sender,
+    conversation: conversation,
+    timestamp: new Date().toISOString(),
+    receivedAt: pendingMessage.receivedAt,
+    messageType: pendingMessage.messageType,
+    media: pendingMessage.media,
+    ...(pendingMessage.isGroup ? { isGroup: true } : {}),
+    instanceId: instanceId
+  };
+  
+  const route = resolveRoute(config, {
+    senderId: pendingMessage.sender.id,
+    groupId: pendingMessage.isGroup ? pendingMessage.chatId : undefined,
+    message: pendingMessage.message,
+    messageType: pendingMessage.messageType,
+    hasMedia: !!pendingMessage.media
+  });
+  logger.info(`Processing queued message from ${pendingMessage.chatId} for instance ${instanceId} (route ${route.name})`);
+  const aiResponse = route.async
+    ? await requestAsyncReply(instanceId, config, requestData, route, {
+      chatId: pendingMessage.chatId,
+      messageId: pendingMessage.messageId,
+      ...(pendingMessage.isGroup ? { author: pendingMessage.sender.id } : {}),
+      historyContent: pendingMessage.historyContent,
+      receivedAt: pendingMessage.receivedAt
+    })
+    : await sendMessageToN8n(instanceId, requestData, route);
+  
+  // Accepted in async mode, the reply arrives through the callback endpoint
+  if (route.async && !aiResponse) {
+    return;
+  }
+  
+  const historyEntries = [{
+    role: 'user',
+    content: pendingMessage.historyContent,
+    ...(pendingMessage.isGroup ? { author: pendingMessage.sender.id } : {}),
+    timestamp: pendingMessage.receivedAt
+  }];
+  
+  const actions = getResponseActions(aiResponse);
+  let endSession = false;
+  if (actions) {
+    const execution = await executeActions(actions, {
+      client,
+      instanceId,
+      chatId: pendingMessage.chatId,
+      messageId: pendingMessage.messageId
+    });
+    endSession = execution.endSession;
+    historyEntries.push(execution.historyEntry);
+  } else if (aiResponse && aiResponse.output) {
+    await queueMessage(instanceId, pendingMessage.chatId, aiResponse.output, {
+      ...(pendingMessage.messageId ? { quotedMessageId: pendingMessage.messageId } : {})
+    }, 'reply');
+    historyEntries.push({ role: 'assistant', content: aiResponse.output, timestamp: new Date().toISOString() });
+  } else {
+    logger.warn(`No valid response from n8n for queued message in instance ${instanceId}`);
+  }
+  
+  await recordExchange(conversationId, instanceId, config, historyEntries);
+  
+  // n8n ended the session, the next message starts with a fresh memory
+  if (endSession) {
+    await clearConversation(conversationId);
+  }
+}
+
+/**
+ * Add a message exchange to the conversation history
+ * The history is changed on a fresh copy, so messages handled meanwhile in the same chat are kept
+ * @param {string} conversationId - The conversation ID
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - Instance configuration
+ * @param {Array<Object>} historyEntries - The history entries to add
+ * @param {Object} [handoff] - Handoff requested by n8n (chatId, source and reason)
+ * @returns {Promise<void>}
+ */
+async function recordExchange(conversationId, instanceId, config, historyEntries, handoff) {
+  await updateConversation(conversationId, instanceId, async conversation => {
+    conversation.messages.push(...historyEntries);
+
+    if (handoff) {
+      const { chatId, ...details } = handoff;
+      await beginHandoff(conversation, instanceId, chatId, config, details);
+    }
+
+    // Trim conversation history if it gets too long
+    const maxLength = config.maxConversationLength || 20;
+    if (conversation.messages.length > maxLength) {
+      conversation.messages = conversation.messages.slice(-maxLength);
+    }
+  });
+}
+
+/**
+ * Reply to a message through the outbound queue, quoting it
+ * The reply is kept and retried if the client is reconnecting
+ * @param {Object} message - The message to reply to
+ * @param {string} instanceId - The instance ID
+ * @param {string} text - The reply text
+ * @returns {Promise<Object>} - The outbound message
+ */
+async function queueReply(message, instanceId, text) {
+  return queueMessage(instanceId, message.from, text, { quotedMessageId: message.id._serialized }, 'reply');
+}
+
+/**
+ * Check an incoming message against the flood protection limits
+ * Sends the cool-down reply once, when the sender or group gets muted
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - Instance configuration
+ * @param {Object} source - The sender ID and, for group messages, the group ID
+ * @returns {Promise<boolean>} - Whether the message should be dropped
+ */
+async function isRateLimited(message, instanceId, config, source) {
+  const { allowed, justMuted, cooldownMessage } = checkRateLimit(instanceId, config, source);
+  if (allowed) {
+    return false;
+  }
+  
+  logger.warn(`Rate limit exceeded by ${source.senderId} for instance ${instanceId}, dropping message`);
+  
+  if (justMuted && cooldownMessage) {
+    try {
+      await message.reply(cooldownMessage);
+    } catch (replyError) {
+      logger.error(`Failed to send cool-down message for instance ${instanceId}:`, replyError);
+    }
+  }
+  return true;
+}
+
 /**
  * Check if a user is authorized to use the bot
  * @param {string} userId - The user ID to check
@@ -425,6 +782,15 @@ function logMessageAnalytics(instanceId, sender, userMessage, botResponse) {
       timestamp: new Date().toISOString()
     });
     
+    // Deliver the analytics data to the webhook subscriptions of the instance
+    const { publishEvent } = require('../services/webhookService');
+    publishEvent(instanceId, 'message_analytics', {
+      userId: sender,
+      userMessageLength,
+      botResponseLength,
+      responseTime
+    });
+    
     // If analytics webhook is configured, send the data there
     const { getInstanceConfig } = require('../models/instance');
     getInstanceConfig(instanceId).then(config => {
@@ -452,6 +818,7 @@ function logMessageAnalytics(instanceId, sender, userMessage, botResponse) {
 
 module.exports = {
   handleIncomingMessage,
+  processPendingMessage,
   isUserAuthorized,
   isGroupAuthorized
 };
\ No newline at end of file
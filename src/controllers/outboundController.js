@@ -0,0 +1,87 @@
+// src/controllers/outboundController.js
+const { getInstanceConfig } = require('../models/instance');
+const { getMessageStatus, listMessageStatuses } = require('../services/outboundQueueService');
+const logger = require('../utils/logger');
+
+// Statuses an outbound message can have
+const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'read', 'played', 'failed'];
+
+/**
+ * Get the delivery status of an outbound message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getMessageStatusHandler(req, res) {
+  try {
+    const { instanceId, messageId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const message = await getMessageStatus(instanceId, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    return res.status(200).json(message);
+  } catch (error) {
+    logger.error(`Error getting message status for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the outbound queue of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listOutboundHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+    const { status } = req.query;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    if (status && !MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status, expected one of: ${MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    const messages = await listMessageStatuses(instanceId, status);
+
+    return res.status(200).json({
+      instanceId,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    logger.error(`Error listing outbound messages for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register outbound queue routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerOutboundRoutes(app) {
+  const { validateApiKey, validateAdminKey, requireScope } = require('../middleware/auth');
+
+  // Delivery status by queue ID or WhatsApp message ID
+  app.get('/api/webhook/:instanceId/messages/:messageId', validateApiKey, requireScope('events'), getMessageStatusHandler);
+
+  // Outbound queue (admin only)
+  app.get('/api/admin/instances/:instanceId/outbound', validateAdminKey, listOutboundHandler);
+}
+
+module.exports = {
+  getMessageStatusHandler,
+  listOutboundHandler,
+  registerOutboundRoutes
+};
@@ -0,0 +1,79 @@
+// src/controllers/rateLimitController.js
+const { getInstanceConfig } = require('../models/instance');
+const { listMutes, clearMute, getRateLimitOptions } = require('../services/rateLimitService');
+const logger = require('../utils/logger');
+
+/**
+ * List the muted senders and groups of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listMutesHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    return res.status(200).json({
+      instanceId,
+      rateLimit: getRateLimitOptions(config),
+      mutes: listMutes(instanceId)
+    });
+  } catch (error) {
+    logger.error(`Error listing mutes for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Clear the mute of a sender or group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function clearMuteHandler(req, res) {
+  try {
+    const { instanceId, chatId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    if (!clearMute(instanceId, chatId)) {
+      return res.status(404).json({ error: 'Chat is not muted' });
+    }
+
+    logger.info(`Cleared mute for ${chatId} on instance ${instanceId}`);
+    return res.status(200).json({
+      message: 'Mute cleared successfully',
+      instanceId,
+      chatId
+    });
+  } catch (error) {
+    logger.error(`Error clearing mute for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register rate limit routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerRateLimitRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Flood protection management (admin only)
+  app.get('/api/admin/instances/:instanceId/mutes', validateAdminKey, listMutesHandler);
+  app.delete('/api/admin/instances/:instanceId/mutes/:chatId', validateAdminKey, clearMuteHandler);
+}
+
+module.exports = {
+  listMutesHandler,
+  clearMuteHandler,
+  registerRateLimitRoutes
+};
@@ -0,0 +1,61 @@
+// src/controllers/retentionController.js
+const { getInstanceConfig } = require('../models/instance');
+const { runRetention, getRetentionStatus } = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the retention scheduler status and the report of the last run
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRetentionStatusHandler(req, res) {
+  try {
+    return res.status(200).json(getRetentionStatus());
+  } catch (error) {
+    logger.error('Error getting retention status:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Run retention on demand, or preview what it would delete
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function runRetentionHandler(req, res) {
+  try {
+    const { instanceId } = req.body || {};
+    const dryRun = req.path.endsWith('/preview') || (req.body && req.body.dryRun === true);
+
+    // Check if instance exists when one is given
+    if (instanceId && !(await getInstanceConfig(instanceId))) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const report = await runRetention({ instanceId, dryRun });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error('Error running retention:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register retention routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerRetentionRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Retention management (admin only)
+  app.get('/api/admin/retention', validateAdminKey, getRetentionStatusHandler);
+  app.post('/api/admin/retention/run', validateAdminKey, runRetentionHandler);
+  app.post('/api/admin/retention/preview', validateAdminKey, runRetentionHandler);
+}
+
+module.exports = {
+  getRetentionStatusHandler,
+  runRetentionHandler,
+  registerRetentionRoutes
+};
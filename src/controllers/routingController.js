@@ -0,0 +1,74 @@
+// src/controllers/routingController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const { resolveRoute } = require('../services/routingService');
+const { normalizeChatId } = require('../services/whatsappService');
+const logger = require('../utils/logger');
+
+// Sample message for a routing dry run
+const routeTestSchema = Joi.object({
+  from: Joi.string().required(),
+  groupId: Joi.string().pattern(/^[\d-]+@g\.us$/),
+  message: Joi.string().allow('').default(''),
+  messageType: Joi.string().default('chat'),
+  hasMedia: Joi.boolean().default(false)
+});
+
+/**
+ * Show which route a sample message would take
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function testRouteHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = routeTestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const senderId = normalizeChatId(value.from);
+    if (!senderId) {
+      return res.status(400).json({ error: 'Invalid sender' });
+    }
+
+    const route = resolveRoute(config, {
+      senderId,
+      groupId: value.groupId,
+      message: value.message,
+      messageType: value.messageType,
+      hasMedia: value.hasMedia
+    });
+
+    return res.status(200).json({
+      instanceId,
+      route
+    });
+  } catch (error) {
+    logger.error(`Error testing route for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register routing routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerRoutingRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Routing dry run (admin only)
+  app.post('/api/admin/instances/:instanceId/routes/test', validateAdminKey, testRouteHandler);
+}
+
+module.exports = {
+  testRouteHandler,
+  registerRoutingRoutes
+};
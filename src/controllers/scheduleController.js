@@ -0,0 +1,142 @@
+// src/controllers/scheduleController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const {
+  getSchedule,
+  listSchedules,
+  reschedule,
+  cancelSchedule
+} = require('../services/scheduledMessageService');
+const logger = require('../utils/logger');
+
+// Schema for changing when a scheduled message is sent
+const rescheduleSchema = Joi.object({
+  sendAt: Joi.date().iso(),
+  delay: Joi.number().integer().min(1).max(365 * 24 * 60 * 60),
+  cron: Joi.string(),
+  timezone: Joi.string()
+}).xor('sendAt', 'delay', 'cron');
+
+/**
+ * List the scheduled messages of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listSchedulesHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const schedules = await listSchedules(instanceId);
+
+    return res.status(200).json({
+      instanceId,
+      count: schedules.length,
+      schedules
+    });
+  } catch (error) {
+    logger.error(`Error listing scheduled messages for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a scheduled message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getScheduleHandler(req, res) {
+  try {
+    const { instanceId, scheduleId } = req.params;
+
+    const schedule = await getSchedule(instanceId, scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    return res.status(200).json(schedule);
+  } catch (error) {
+    logger.error(`Error getting scheduled message for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Change when a scheduled message is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function rescheduleHandler(req, res) {
+  try {
+    const { instanceId, scheduleId } = req.params;
+
+    const { error, value } = rescheduleSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await reschedule(instanceId, scheduleId, value);
+    if (!result) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error(`Error rescheduling message for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Cancel a scheduled message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelScheduleHandler(req, res) {
+  try {
+    const { instanceId, scheduleId } = req.params;
+
+    const cancelled = await cancelSchedule(instanceId, scheduleId);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      instanceId,
+      scheduleId
+    });
+  } catch (error) {
+    logger.error(`Error cancelling scheduled message for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register scheduled message routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerScheduleRoutes(app) {
+  const { validateApiKey, requireScope } = require('../middleware/auth');
+
+  app.get('/api/webhook/:instanceId/scheduled', validateApiKey, requireScope('send'), listSchedulesHandler);
+  app.get('/api/webhook/:instanceId/scheduled/:scheduleId', validateApiKey, requireScope('send'), getScheduleHandler);
+  app.put('/api/webhook/:instanceId/scheduled/:scheduleId', validateApiKey, requireScope('send'), rescheduleHandler);
+  app.delete('/api/webhook/:instanceId/scheduled/:scheduleId', validateApiKey, requireScope('send'), cancelScheduleHandler);
+}
+
+module.exports = {
+  listSchedulesHandler,
+  getScheduleHandler,
+  rescheduleHandler,
+  cancelScheduleHandler,
+  registerScheduleRoutes
+};
@@ -0,0 +1,140 @@
+// src/controllers/suppressionController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const { getSuppressions, addSuppression, removeSuppression } = require('../models/suppression');
+const { normalizeChatId } = require('../services/whatsappService');
+const logger = require('../utils/logger');
+
+// Schema for adding a chat to the blocklist
+const suppressionSchema = Joi.object({
+  chatId: Joi.string().required(),
+  reason: Joi.string().max(500)
+});
+
+/**
+ * List the suppressed contacts and groups of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listSuppressionsHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+    const { source } = req.query;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const suppressions = Object.values(await getSuppressions(instanceId))
+      .filter(suppression => !source || suppression.source === source);
+
+    return res.status(200).json({
+      instanceId,
+      count: suppressions.length,
+      suppressions
+    });
+  } catch (error) {
+    logger.error(`Error listing suppressions for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Add a contact or group to the blocklist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function addSuppressionHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = suppressionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const chatId = normalizeChatId(value.chatId);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const suppression = await addSuppression(instanceId, chatId, { reason: value.reason, source: 'admin' });
+    if (!suppression) {
+      return res.status(500).json({ error: 'Failed to save suppression' });
+    }
+
+    logger.info(`${chatId} added to the blocklist of instance ${instanceId}`);
+    return res.status(201).json({
+      instanceId,
+      ...suppression
+    });
+  } catch (error) {
+    logger.error(`Error adding suppression for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Remove a contact or group from the suppression list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function removeSuppressionHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const chatId = normalizeChatId(req.params.chatId);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const removed = await removeSuppression(instanceId, chatId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Chat is not suppressed' });
+    }
+
+    logger.info(`${chatId} removed from the suppression list of instance ${instanceId}`);
+    return res.status(200).json({
+      success: true,
+      instanceId,
+      chatId
+    });
+  } catch (error) {
+    logger.error(`Error removing suppression for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register suppression routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerSuppressionRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Opt-outs and blocklist (admin only)
+  app.get('/api/admin/instances/:instanceId/suppressions', validateAdminKey, listSuppressionsHandler);
+  app.post('/api/admin/instances/:instanceId/suppressions', validateAdminKey, addSuppressionHandler);
+  app.delete('/api/admin/instances/:instanceId/suppressions/:chatId', validateAdminKey, removeSuppressionHandler);
+}
+
+module.exports = {
+  listSuppressionsHandler,
+  addSuppressionHandler,
+  removeSuppressionHandler,
+  registerSuppressionRoutes
+};
@@ -0,0 +1,260 @@
+// src/controllers/templateController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const { getTemplates, getTemplate, saveTemplate, deleteTemplate } = require('../models/template');
+const { describeTemplate } = require('../services/templateService');
+const logger = require('../utils/logger');
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Schema for template content
+const templateSchema = Joi.object({
+  description: Joi.string().max(500).allow(''),
+  defaultLanguage: Joi.string().pattern(LANGUAGE_PATTERN).default('en'),
+  variants: Joi.object()
+    .pattern(Joi.string().pattern(LANGUAGE_PATTERN), Joi.string().min(1).max(4096))
+    .min(1)
+    .required()
+});
+
+// Schema for new templates
+const createTemplateSchema = templateSchema.keys({
+  name: Joi.string().pattern(TEMPLATE_NAME_PATTERN).required()
+});
+
+/**
+ * Check that a template has a variant for its default language
+ * @param {Object} template - The validated template
+ * @returns {string|null} - The error message or null if valid
+ */
+function validateDefaultLanguage(template) {
+  const languages = Object.keys(template.variants).map(language => language.toLowerCase());
+  if (!languages.includes(template.defaultLanguage.toLowerCase())) {
+    return `variants must include the default language ${template.defaultLanguage}`;
+  }
+  return null;
+}
+
+/**
+ * List the templates of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listTemplatesHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const templates = Object.values(await getTemplates(instanceId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(describeTemplate);
+
+    return res.status(200).json({
+      instanceId,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    logger.error(`Error listing templates for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTemplateHandler(req, res) {
+  try {
+    const { instanceId, name } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const template = await getTemplate(instanceId, name);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    return res.status(200).json({
+      instanceId,
+      ...describeTemplate(template)
+    });
+  } catch (error) {
+    logger.error(`Error getting template for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createTemplateHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = createTemplateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const languageError = validateDefaultLanguage(value);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
+    }
+
+    if (await getTemplate(instanceId, value.name)) {
+      return res.status(409).json({ error: `Template ${value.name} already exists` });
+    }
+
+    const now = new Date().toISOString();
+    const template = {
+      name: value.name,
+      description: value.description || '',
+      defaultLanguage: value.defaultLanguage,
+      variants: value.variants,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (!await saveTemplate(instanceId, template)) {
+      return res.status(500).json({ error: 'Failed to save template' });
+    }
+
+    logger.info(`Template ${template.name} created for instance ${instanceId}`);
+    return res.status(201).json({
+      instanceId,
+      ...describeTemplate(template)
+    });
+  } catch (error) {
+    logger.error(`Error creating template for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Replace the content of a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateTemplateHandler(req, res) {
+  try {
+    const { instanceId, name } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const existing = await getTemplate(instanceId, name);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { error, value } = templateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const languageError = validateDefaultLanguage(value);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
+    }
+
+    const template = {
+      ...existing,
+      description: value.description !== undefined ? value.description : existing.description,
+      defaultLanguage: value.defaultLanguage,
+      variants: value.variants,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!await saveTemplate(instanceId, template)) {
+      return res.status(500).json({ error: 'Failed to save template' });
+    }
+
+    logger.info(`Template ${name} updated for instance ${instanceId}`);
+    return res.status(200).json({
+      instanceId,
+      ...describeTemplate(template)
+    });
+  } catch (error) {
+    logger.error(`Error updating template for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Delete a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteTemplateHandler(req, res) {
+  try {
+    const { instanceId, name } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const deleted = await deleteTemplate(instanceId, name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    logger.info(`Template ${name} deleted for instance ${instanceId}`);
+    return res.status(200).json({
+      success: true,
+      instanceId,
+      name
+    });
+  } catch (error) {
+    logger.error(`Error deleting template for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register template routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerTemplateRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Message templates (admin only)
+  app.get('/api/admin/instances/:instanceId/templates', validateAdminKey, listTemplatesHandler);
+  app.post('/api/admin/instances/:instanceId/templates', validateAdminKey, createTemplateHandler);
+  app.get('/api/admin/instances/:instanceId/templates/:name', validateAdminKey, getTemplateHandler);
+  app.put('/api/admin/instances/:instanceId/templates/:name', validateAdminKey, updateTemplateHandler);
+  app.delete('/api/admin/instances/:instanceId/templates/:name', validateAdminKey, deleteTemplateHandler);
+}
+
+module.exports = {
+  listTemplatesHandler,
+  getTemplateHandler,
+  createTemplateHandler,
+  updateTemplateHandler,
+  deleteTemplateHandler,
+  registerTemplateRoutes
+};
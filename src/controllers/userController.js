@@ -0,0 +1,309 @@
+// src/controllers/userController.js
+const Joi = require('joi');
+const {
+  ADMIN_ROLES,
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  login,
+  refreshSession,
+  logout,
+  changePassword
+} = require('../services/authService');
+const logger = require('../utils/logger');
+
+const usernameSchema = Joi.string().pattern(/^[A-Za-z0-9_.@-]{3,100}$/)
+  .messages({ 'string.pattern.base': 'username must be 3-100 letters, digits, _, ., @ or -' });
+const passwordSchema = Joi.string().min(10).max(200);
+const instancesSchema = Joi.array().items(Joi.string().pattern(/^([a-zA-Z0-9-_]+|\*)$/)).unique();
+
+// Schema for new users
+const userSchema = Joi.object({
+  username: usernameSchema.required(),
+  password: passwordSchema.required(),
+  role: Joi.string().valid(...ADMIN_ROLES).required(),
+  instances: instancesSchema.default([]),
+  name: Joi.string().max(200)
+});
+
+// Schema for user changes
+const userUpdateSchema = Joi.object({
+  password: passwordSchema,
+  role: Joi.string().valid(...ADMIN_ROLES),
+  instances: instancesSchema,
+  name: Joi.string().max(200),
+  disabled: Joi.boolean()
+}).min(1);
+
+// Schema for logins
+const loginSchema = Joi.object({
+  username: Joi.string().max(100).required(),
+  password: Joi.string().max(200).required()
+});
+
+// Schema for refresh and logout requests
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+// Schema for password changes
+const passwordChangeSchema = Joi.object({
+  currentPassword: Joi.string().max(200).required(),
+  newPassword: passwordSchema.required()
+});
+
+/**
+ * Log in with a username and password, returning an access token and a refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function loginHandler(req, res) {
+  try {
+    const { error, value } = loginSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await login(value.username, value.password);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function refreshHandler(req, res) {
+  try {
+    const { error, value } = refreshSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await refreshSession(value.refreshToken);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error('Error refreshing session:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Log out by revoking a refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function logoutHandler(req, res) {
+  try {
+    const { error, value } = refreshSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await logout(value.refreshToken);
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the logged in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCurrentUserHandler(req, res) {
+  return res.status(200).json(req.user);
+}
+
+/**
+ * Change the password of the logged in user, which ends all of its sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function changePasswordHandler(req, res) {
+  try {
+    const { error, value } = passwordChangeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await changePassword(req.user.userId, value.currentPassword, value.newPassword);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error(`Error changing password of user ${req.user.userId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the users of the admin API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listUsersHandler(req, res) {
+  try {
+    const users = await listUsers();
+
+    return res.status(200).json({
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    logger.error('Error listing users:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create a user of the admin API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createUserHandler(req, res) {
+  try {
+    const { error, value } = userSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await createUser(value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(201).json(result.value);
+  } catch (error) {
+    logger.error('Error creating user:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a user of the admin API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getUserHandler(req, res) {
+  try {
+    const user = await getUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(200).json(user);
+  } catch (error) {
+    logger.error(`Error getting user ${req.params.userId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Change the password, role, instances, name or disabled flag of a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateUserHandler(req, res) {
+  try {
+    const { error, value } = userUpdateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await updateUser(req.params.userId, value);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error(`Error updating user ${req.params.userId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Delete a user of the admin API
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteUserHandler(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const result = await deleteUser(userId);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      userId
+    });
+  } catch (error) {
+    logger.error(`Error deleting user ${req.params.userId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register authentication and user routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerUserRoutes(app) {
+  const { validateAdminKey, validateJwt } = require('../middleware/auth');
+
+  // Sessions of admin API users
+  app.post('/api/auth/login', loginHandler);
+  app.post('/api/auth/refresh', refreshHandler);
+  app.post('/api/auth/logout', logoutHandler);
+  app.get('/api/auth/me', validateJwt, getCurrentUserHandler);
+  app.put('/api/auth/password', validateJwt, changePasswordHandler);
+
+  // User management (super-admin only)
+  app.get('/api/admin/users', validateAdminKey, listUsersHandler);
+  app.post('/api/admin/users', validateAdminKey, createUserHandler);
+  app.get('/api/admin/users/:userId', validateAdminKey, getUserHandler);
+  app.put('/api/admin/users/:userId', validateAdminKey, updateUserHandler);
+  app.delete('/api/admin/users/:userId', validateAdminKey, deleteUserHandler);
+}
+
+module.exports = {
+  loginHandler,
+  refreshHandler,
+  logoutHandler,
+  getCurrentUserHandler,
+  changePasswordHandler,
+  listUsersHandler,
+  createUserHandler,
+  getUserHandler,
+  updateUserHandler,
+  deleteUserHandler,
+  registerUserRoutes
+};
@@ -1,9 +1,87 @@
 // src/controllers/webhookHandler.js
+const Joi = require('joi');
+const multer = require('multer');
 const logger = require('../utils/logger');
+const config = require('../config');
 const { getInstanceConfig } = require('../models/instance');
-const { getClientInstance } = require('../services/whatsappService');
+const { getClientInstance, createMessageMedia, normalizeChatId } = require('../services/whatsappService');
+const { validateOutboundMedia, getMediaSendOptions } = require('../services/mediaService');
+const { deliverAsyncReply } = require('../services/asyncReplyService');
+const { queueMessage } = require('../services/outboundQueueService');
+const { isScheduled, scheduleMessage } = require('../services/scheduledMessageService');
+const { getSuppressionError } = require('../services/suppressionService');
+const { renderNamedTemplate } = require('../services/templateService');
 const { sanitizeInput } = require('../utils/security');
 
+// Schema for outbound send requests
+const sendRequestSchema = Joi.object({
+  to: Joi.string().required(),
+  // An empty message is only accepted as the caption of media or next to a template
+  message: Joi.string()
+    .when('media', { is: Joi.exist(), then: Joi.allow('') })
+    .when('template', {
+      is: Joi.exist(),
+      then: Joi.valid('').messages({ 'any.only': '"message" and "template" cannot be used together' })
+    }),
+  template: Joi.string(),
+  variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number())).default({}),
+  language: Joi.string(),
+  media: Joi.object({
+    data: Joi.string(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    mimetype: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+/),
+    filename: Joi.string().max(255)
+  }).xor('data', 'url').with('data', 'mimetype'),
+  mediaType: Joi.string().valid('auto', 'document', 'voice', 'sticker').default('auto'),
+  quotedMessageId: Joi.string(),
+  mentions: Joi.array().items(Joi.string()),
+  options: Joi.object({
+    isViewOnce: Joi.boolean(),
+    stickerName: Joi.string().max(100),
+    stickerAuthor: Joi.string().max(100),
+    stickerCategories: Joi.array().items(Joi.string())
+  }).default({}),
+  sendAt: Joi.date().iso(),
+  delay: Joi.number().integer().min(1).max(365 * 24 * 60 * 60),
+  cron: Joi.string(),
+  timezone: Joi.string()
+}).or('message', 'media', 'template').oxor('sendAt', 'delay', 'cron');
+
+// Schema for operations on an existing message
+const messageActionSchema = Joi.object({
+  action: Joi.string().valid('react', 'edit', 'delete').required(),
+  messageId: Joi.string().required(),
+  emoji: Joi.when('action', {
+    is: 'react',
+    then: Joi.string().allow('').required(),
+    otherwise: Joi.forbidden()
+  }),
+  message: Joi.when('action', {
+    is: 'edit',
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }),
+  forEveryone: Joi.when('action', {
+    is: 'delete',
+    then: Joi.boolean().default(true),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Schema for asynchronous replies posted by n8n
+const asyncReplySchema = Joi.object({
+  output: Joi.string().allow(''),
+  actions: Joi.array().items(Joi.object({ type: Joi.string().required() }).unknown(true)),
+  handoff: Joi.boolean(),
+  handoffReason: Joi.string()
+}).or('output', 'actions', 'handoff').unknown(true);
+
+// Multipart uploads are kept in memory and sent straight to WhatsApp
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.media.maxSizeBytes, files: 1 }
+});
+
 /**
  * Handle incoming webhook requests
  * @param {Object} req - Express request object
@@ -26,56 +104,132 @@ async function webhookHandler(req, res) {
       return res.status(404).json({ error: 'Instance not found' });
     }
 
-    // Get WhatsApp client instance
-    const client = getClientInstance(instanceId);
-    if (!client) {
-      return res.status(503).json({ error: 'WhatsApp client not initialized for this instance' });
-    }
-
     // Validate request body
     if (!req.body || typeof req.body !== 'object') {
       return res.status(400).json({ error: 'Invalid request body' });
     }
 
-    // Extract message data
-    const { to, message, options } = req.body;
+    // Parse and validate message data (JSON body or multipart form fields)
+    const { error: validationError, value: payload } = parseSendRequest(req.body, req.file);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { to, message, media, mediaType, quotedMessageId, mentions, options } = payload;
+    const scheduled = isScheduled(payload);
 
-    // Validate required fields
-    if (!to || !message) {
-      return res.status(400).json({ error: 'Missing required fields: to and message' });
+    // Get WhatsApp client instance (scheduled messages only need it when they are sent)
+    if (!scheduled && !getClientInstance(instanceId)) {
+      return res.status(503).json({ error: 'WhatsApp client not initialized for this instance' });
     }
 
     // Sanitize inputs
     const sanitizedTo = sanitizeInput(to);
-    const sanitizedMessage = sanitizeInput(message);
-
-    // Process options
-    const messageOptions = options || {};
+    let sanitizedMessage = sanitizeInput(message || '');
     
-    // Validate phone number format (basic check)
-    if (!isValidPhoneNumber(sanitizedTo)) {
-      return res.status(400).json({ error: 'Invalid phone number format' });
+    // Validate the recipient (phone number, contact or group chat ID)
+    const chatId = normalizeChatId(sanitizedTo);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid recipient: expected a phone number or a chat ID ending in @c.us or @g.us' });
+    }
+    
+    // Refuse recipients who opted out or are on the blocklist
+    const suppressionError = await getSuppressionError(instanceId, chatId);
+    if (suppressionError) {
+      return res.status(403).json({ error: suppressionError });
+    }
+    
+    // Render a named template (used as the caption when media is sent)
+    if (payload.template) {
+      const rendered = await renderNamedTemplate(instanceId, payload.template, payload.variables, payload.language);
+      if (rendered.error) {
+        return res.status(rendered.status).json({ error: rendered.error });
+      }
+      sanitizedMessage = sanitizeInput(rendered.text);
+    }
+    
+    // Validate mentioned participants
+    const mentionIds = (mentions || []).map(normalizeChatId);
+    if (mentionIds.includes(null)) {
+      return res.status(400).json({ error: 'Invalid mention: expected phone numbers or contact IDs' });
     }
 
     // Send message to WhatsApp
-    logger.info(`Sending webhook message to ${sanitizedTo} from instance ${instanceId}`);
+    logger.info(`Sending webhook message to ${chatId} from instance ${instanceId}`);
     
     try {
-      // Format the phone number
-      const formattedNumber = sanitizedTo.includes('@c.us') ? sanitizedTo : `${sanitizedTo}@c.us`;
+      // Prepare the content: plain text, or media with the message as caption
+      let content = sanitizedMessage;
+      let sendOptions = {};
+      if (media) {
+        let messageMedia;
+        try {
+          messageMedia = await createMessageMedia(media, config.media.maxSizeBytes);
+        } catch (mediaError) {
+          return res.status(400).json({ error: mediaError.message });
+        }
+        
+        const mediaError = validateOutboundMedia(mediaType, messageMedia, options, sanitizedMessage);
+        if (mediaError) {
+          return res.status(400).json({ error: mediaError });
+        }
+        
+        content = messageMedia;
+        sendOptions = getMediaSendOptions(mediaType, options, sanitizedMessage);
+      }
       
-      // Send the message
-      const result = await client.sendMessage(formattedNumber, sanitizedMessage);
+      // Reply to an existing message and mention participants
+      if (quotedMessageId) {
+        sendOptions.quotedMessageId = quotedMessageId;
+      }
+      if (mentionIds.length > 0) {
+        sendOptions.mentions = mentionIds;
+      }
       
-      // Return success response
-      return res.status(200).json({
+      // Schedule the message for later or on a recurring schedule
+      if (scheduled) {
+        const { error: scheduleError, value: scheduledMessage } = await scheduleMessage(instanceId, chatId, content, sendOptions, {
+          sendAt: payload.sendAt,
+          delay: payload.delay,
+          cron: payload.cron,
+          timezone: payload.timezone
+        });
+        if (scheduleError) {
+          return res.status(400).json({ error: scheduleError });
+        }
+        
+        return res.status(202).json({
+          success: true,
+          scheduleId: scheduledMessage.scheduleId,
+          nextRunAt: scheduledMessage.nextRunAt,
+          cron: scheduledMessage.cron,
+          instanceId: instanceId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Queue the message, it is sent right away when the client is connected
+      const outboundMessage = await queueMessage(instanceId, chatId, content, sendOptions, 'api');
+      if (outboundMessage.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to send message',
+          queueId: outboundMessage.queueId,
+          message: outboundMessage.lastError
+        });
+      }
+      
+      // 200 when sent, 202 when the message waits in the queue (reconnecting or retrying)
+      const sent = outboundMessage.status !== 'queued';
+      return res.status(sent ? 200 : 202).json({
         success: true,
-        messageId: result.id,
+        queueId: outboundMessage.queueId,
+        status: outboundMessage.status,
+        messageId: outboundMessage.messageId,
         instanceId: instanceId,
         timestamp: new Date().toISOString()
       });
     } catch (sendError) {
-      logger.error(`Failed to send message to ${sanitizedTo} from instance ${instanceId}:`, sendError);
+      logger.error(`Failed to send message to ${chatId} from instance ${instanceId}:`, sendError);
       return res.status(500).json({
         success: false,
         error: 'Failed to send message',
@@ -93,16 +247,187 @@ async function webhookHandler(req, res) {
 }
 
 /**
- * Validate phone number format
- * @param {string} phoneNumber - The phone number to validate
- * @returns {boolean} - Whether the phone number is valid
+ * Parse and validate a send request
+ * @param {Object} body - The request body (JSON or multipart form fields)
+ * @param {Object} [file] - The uploaded file from a multipart request
+ * @returns {Object} - The validated payload or an error message
  */
-function isValidPhoneNumber(phoneNumber) {
-  // Remove @c.us if present
-  const number = phoneNumber.replace('@c.us', '');
+function parseSendRequest(body, file) {
+  const data = { ...body };
+  
+  // Multipart form fields arrive as strings, so nested objects are sent as JSON
+  for (const field of ['media', 'mentions', 'options', 'variables']) {
+    if (typeof data[field] === 'string') {
+      try {
+        data[field] = JSON.parse(data[field]);
+      } catch (parseError) {
+        return { error: `Invalid JSON in field: ${field}` };
+      }
+    }
+  }
   
-  // Basic validation: must be numeric and at least 10 digits
-  return /^\d{10,15}$/.test(number);
+  // An uploaded file becomes the media of the message
+  if (file) {
+    if (data.media) {
+      return { error: 'Provide either an uploaded file or media, not both' };
+    }
+    data.media = {
+      data: file.buffer.toString('base64'),
+      mimetype: file.mimetype,
+      filename: file.originalname
+    };
+  }
+  
+  const { error, value } = sendRequestSchema.validate(data);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  
+  return { value };
+}
+
+/**
+ * Handle multipart uploads, turning upload errors into client errors
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function handleUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+}
+
+/**
+ * Handle operations on an existing message (react, edit, delete)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function messageActionHandler(req, res) {
+  try {
+    const instanceId = req.params.instanceId;
+    
+    // Get instance configuration
+    const instanceConfig = await getInstanceConfig(instanceId);
+    if (!instanceConfig) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+    
+    // Get WhatsApp client instance
+    const client = getClientInstance(instanceId);
+    if (!client) {
+      return res.status(503).json({ error: 'WhatsApp client not initialized for this instance' });
+    }
+    
+    // Validate the request
+    const { error: validationError, value: payload } = messageActionSchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    const { action, messageId } = payload;
+    
+    // Look up the target message
+    const targetMessage = await client.getMessageById(messageId);
+    if (!targetMessage) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    logger.info(`Applying ${action} to message ${messageId} from instance ${instanceId}`);
+    
+    switch (action) {
+      case 'react':
+        // An empty emoji removes the reaction
+        await targetMessage.react(payload.emoji);
+        break;
+      case 'edit': {
+        if (!targetMessage.fromMe) {
+          return res.status(400).json({ error: 'Only messages sent by this instance can be edited' });
+        }
+        const edited = await targetMessage.edit(sanitizeInput(payload.message));
+        if (!edited) {
+          return res.status(400).json({ error: 'Message can no longer be edited' });
+        }
+        break;
+      }
+      case 'delete':
+        if (payload.forEveryone && !targetMessage.fromMe) {
+          return res.status(400).json({ error: 'Only messages sent by this instance can be deleted for everyone' });
+        }
+        await targetMessage.delete(payload.forEveryone);
+        break;
+      default:
+        return res.status(400).json({ error: `Unsupported action: ${action}` });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      action,
+      messageId,
+      instanceId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error applying message action for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to apply message action',
+      message: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+}
+
+/**
+ * Deliver a reply that n8n processed asynchronously
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function asyncReplyHandler(req, res) {
+  try {
+    const { instanceId, correlationId } = req.params;
+    
+    // Validate the request
+    const { error: validationError, value: payload } = asyncReplySchema.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError.details[0].message });
+    }
+    
+    // Get WhatsApp client instance (n8n can retry while it is unavailable)
+    if (!getClientInstance(instanceId)) {
+      return res.status(503).json({ error: 'WhatsApp client not initialized for this instance' });
+    }
+    
+    const delivery = await deliverAsyncReply(instanceId, correlationId, payload);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Unknown or expired correlation ID' });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      correlationId,
+      queueId: delivery.outboundMessage ? delivery.outboundMessage.queueId : null,
+      status: delivery.outboundMessage ? delivery.outboundMessage.status : null,
+      messageId: delivery.outboundMessage ? delivery.outboundMessage.messageId : null,
+      ...(delivery.actions ? { actions: delivery.actions } : {}),
+      instanceId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error delivering async reply for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to deliver reply',
+      message: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
 }
 
 /**
@@ -110,13 +435,21 @@ function isValidPhoneNumber(phoneNumber) {
  * @param {Object} app - Express app
  */
 function registerWebhookRoutes(app) {
-  const { validateApiKey } = require('../middleware/auth');
+  const { validateApiKey, requireScope, verifyRequestSignature } = require('../middleware/auth');
   
   // Main webhook route for sending messages
-  app.post('/api/webhook/:instanceId', validateApiKey, webhookHandler);
+  app.post('/api/webhook/:instanceId', validateApiKey, requireScope('send'), verifyRequestSignature, handleUpload, webhookHandler);
+  
+  // Reactions, edits and deletions of existing messages
+  app.post('/api/webhook/:instanceId/actions', validateApiKey, requireScope('send'), verifyRequestSignature, messageActionHandler);
+  
+  // Replies from n8n workflows running in async mode
+  app.post('/api/webhook/:instanceId/callback/:correlationId', validateApiKey, requireScope('send'), verifyRequestSignature, asyncReplyHandler);
 }
 
 module.exports = {
   webhookHandler,
+  messageActionHandler,
+  asyncReplyHandler,
   registerWebhookRoutes
 };
\ No newline at end of file
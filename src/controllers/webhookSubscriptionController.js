@@ -0,0 +1,361 @@
+// src/controllers/webhookSubscriptionController.js
+const Joi = require('joi');
+const { getInstanceConfig } = require('../models/instance');
+const {
+  WEBHOOK_EVENT_TYPES,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  getDelivery,
+  listDeliveries,
+  replayDelivery,
+  replayDeadLetters,
+  deleteDelivery
+} = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+// Event types a subscription can receive ('*' for all of them)
+const eventsSchema = Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENT_TYPES)).min(1);
+
+// Schema for new subscriptions
+const subscriptionSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  events: eventsSchema.required(),
+  description: Joi.string().max(500).allow(''),
+  enabled: Joi.boolean()
+});
+
+// Schema for subscription changes
+const subscriptionUpdateSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  events: eventsSchema,
+  description: Joi.string().max(500).allow(''),
+  enabled: Joi.boolean()
+}).min(1);
+
+// Schema for delivery log filters
+const deliveryQuerySchema = Joi.object({
+  subscriptionId: Joi.string(),
+  status: Joi.string().valid('pending', 'delivered', 'dead'),
+  event: Joi.string(),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+/**
+ * List the webhook subscriptions of an instance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listSubscriptionsHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const subscriptions = await listSubscriptions(instanceId);
+
+    return res.status(200).json({
+      instanceId,
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    logger.error(`Error listing webhook subscriptions for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create a webhook subscription, returning its signing secret once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createSubscriptionHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = subscriptionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const subscription = await createSubscription(instanceId, value);
+    return res.status(201).json(subscription);
+  } catch (error) {
+    logger.error(`Error creating webhook subscription for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSubscriptionHandler(req, res) {
+  try {
+    const { instanceId, subscriptionId } = req.params;
+
+    const subscription = await getSubscription(instanceId, subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error getting webhook subscription for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Change the URL, events, description or enabled flag of a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateSubscriptionHandler(req, res) {
+  try {
+    const { instanceId, subscriptionId } = req.params;
+
+    const { error, value } = subscriptionUpdateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const subscription = await updateSubscription(instanceId, subscriptionId, value);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error updating webhook subscription for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Replace the signing secret of a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function rotateSecretHandler(req, res) {
+  try {
+    const { instanceId, subscriptionId } = req.params;
+
+    const subscription = await rotateSubscriptionSecret(instanceId, subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    return res.status(200).json(subscription);
+  } catch (error) {
+    logger.error(`Error rotating webhook secret for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Delete a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSubscriptionHandler(req, res) {
+  try {
+    const { instanceId, subscriptionId } = req.params;
+
+    const deleted = await deleteSubscription(instanceId, subscriptionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      instanceId,
+      subscriptionId
+    });
+  } catch (error) {
+    logger.error(`Error deleting webhook subscription for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Queue the dead letters of a webhook subscription for delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function replayDeadLettersHandler(req, res) {
+  try {
+    const { instanceId, subscriptionId } = req.params;
+
+    const replayed = await replayDeadLetters(instanceId, subscriptionId);
+    if (replayed === null) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    return res.status(202).json({
+      success: true,
+      instanceId,
+      subscriptionId,
+      replayed
+    });
+  } catch (error) {
+    logger.error(`Error replaying dead letters for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List the webhook delivery log of an instance, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listDeliveriesHandler(req, res) {
+  try {
+    const { instanceId } = req.params;
+
+    // Check if instance exists
+    const config = await getInstanceConfig(instanceId);
+    if (!config) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const { error, value } = deliveryQuerySchema.validate(req.query || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const deliveries = await listDeliveries(instanceId, value);
+
+    return res.status(200).json({
+      instanceId,
+      count: deliveries.length,
+      deliveries: deliveries.slice(0, value.limit)
+    });
+  } catch (error) {
+    logger.error(`Error listing webhook deliveries for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a webhook delivery with its payload and attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDeliveryHandler(req, res) {
+  try {
+    const { instanceId, deliveryId } = req.params;
+
+    const delivery = await getDelivery(instanceId, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    return res.status(200).json(delivery);
+  } catch (error) {
+    logger.error(`Error getting webhook delivery for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Send a webhook delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function replayDeliveryHandler(req, res) {
+  try {
+    const { instanceId, deliveryId } = req.params;
+
+    const result = await replayDelivery(instanceId, deliveryId);
+    if (!result) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    return res.status(200).json(result.value);
+  } catch (error) {
+    logger.error(`Error replaying webhook delivery for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Delete a webhook delivery from the log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteDeliveryHandler(req, res) {
+  try {
+    const { instanceId, deliveryId } = req.params;
+
+    const deleted = await deleteDelivery(instanceId, deliveryId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      instanceId,
+      deliveryId
+    });
+  } catch (error) {
+    logger.error(`Error deleting webhook delivery for instance ${req.params.instanceId}:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Register webhook subscription routes with Express app
+ * @param {Object} app - Express app
+ */
+function registerWebhookSubscriptionRoutes(app) {
+  const { validateAdminKey } = require('../middleware/auth');
+
+  // Event webhook subscriptions (admin only)
+  app.get('/api/admin/instances/:instanceId/webhooks', validateAdminKey, listSubscriptionsHandler);
+  app.post('/api/admin/instances/:instanceId/webhooks', validateAdminKey, createSubscriptionHandler);
+  app.get('/api/admin/instances/:instanceId/webhooks/:subscriptionId', validateAdminKey, getSubscriptionHandler);
+  app.put('/api/admin/instances/:instanceId/webhooks/:subscriptionId', validateAdminKey, updateSubscriptionHandler);
+  app.delete('/api/admin/instances/:instanceId/webhooks/:subscriptionId', validateAdminKey, deleteSubscriptionHandler);
+  app.post('/api/admin/instances/:instanceId/webhooks/:subscriptionId/rotate-secret', validateAdminKey, rotateSecretHandler);
+  app.post('/api/admin/instances/:instanceId/webhooks/:subscriptionId/replay', validateAdminKey, replayDeadLettersHandler);
+
+  // Delivery log and dead letters
+  app.get('/api/admin/instances/:instanceId/webhook-deliveries', validateAdminKey, listDeliveriesHandler);
+  app.get('/api/admin/instances/:instanceId/webhook-deliveries/:deliveryId', validateAdminKey, getDeliveryHandler);
+  app.post('/api/admin/instances/:instanceId/webhook-deliveries/:deliveryId/replay', validateAdminKey, replayDeliveryHandler);
+  app.delete('/api/admin/instances/:instanceId/webhook-deliveries/:deliveryId', validateAdminKey, deleteDeliveryHandler);
+}
+
+module.exports = {
+  listSubscriptionsHandler,
+  createSubscriptionHandler,
+  getSubscriptionHandler,
+  updateSubscriptionHandler,
+  rotateSecretHandler,
+  deleteSubscriptionHandler,
+  replayDeadLettersHandler,
+  listDeliveriesHandler,
+  getDeliveryHandler,
+  replayDeliveryHandler,
+  deleteDeliveryHandler,
+  registerWebhookSubscriptionRoutes
+};
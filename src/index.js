@@ -1,14 +1,22 @@
 // src/index.js
 require('dotenv').config();
 const app = require('./app');
+const config = require('./config');
 const logger = require('./utils/logger');
 const { listInstances, getInstanceConfig } = require('./models/instance');
 const { initializeWhatsAppInstance } = require('./services/whatsappService');
+const { startRetentionScheduler, stopRetentionScheduler } = require('./services/retentionService');
+const { startBusinessHoursScheduler, stopBusinessHoursScheduler } = require('./services/businessHoursService');
+const { startAsyncReplyScheduler, stopAsyncReplyScheduler } = require('./services/asyncReplyService');
+const { startOutboundScheduler, stopOutboundScheduler } = require('./services/outboundQueueService');
+const { startMessageScheduler, stopMessageScheduler } = require('./services/scheduledMessageService');
+const { startCampaignScheduler, stopCampaignScheduler } = require('./services/campaignService');
+const { startWebhookScheduler, stopWebhookScheduler } = require('./services/webhookService');
 const path = require('path');
 const fs = require('fs');
 
 // Configuration
-const PORT = process.env.PORT || 3030;
+const PORT = config.port;
 
 // Create necessary directories
 function ensureDirectoriesExist() {
@@ -61,6 +69,15 @@ async function startApp() {
     // Initialize saved instances
     await initializeAllInstances();
     
+    // Start background jobs
+    startRetentionScheduler();
+    startBusinessHoursScheduler();
+    startAsyncReplyScheduler();
+    startOutboundScheduler();
+    startMessageScheduler();
+    await startCampaignScheduler();
+    startWebhookScheduler();
+    
     // Start the Express server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -94,6 +111,13 @@ process.on('unhandledRejection', (reason, promise) => {
 // Handle SIGTERM for graceful shutdown (important for containerized environments)
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopRetentionScheduler();
+  stopBusinessHoursScheduler();
+  stopAsyncReplyScheduler();
+  stopOutboundScheduler();
+  stopMessageScheduler();
+  stopCampaignScheduler();
+  stopWebhookScheduler();
   // Close server, database connections, etc.
   process.exit(0);
 });
@@ -1,40 +1,62 @@
 // src/middleware/auth.js
 const logger = require('../utils/logger');
+const config = require('../config');
+const { getInstanceConfig } = require('../models/instance');
+const { verifySignature } = require('../utils/security');
+const { authenticateApiKey, hasActiveApiKeys } = require('../services/apiKeyService');
+const { authenticateAccessToken, canAccessInstance } = require('../services/authService');
+
+// Signatures already accepted, with the time they expire, so a captured request cannot be sent twice
+const seenSignatures = new Map();
+let lastSignaturePruneAt = 0;
 
 /**
  * Middleware to validate API key
+ * Accepts the global API key (every instance and scope) or an API key issued for the instance in the URL
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function validateApiKey(req, res, next) {
+async function validateApiKey(req, res, next) {
   try {
     // Get API key from environment variable
     const apiKey = process.env.API_KEY;
+    const { instanceId } = req.params;
+    
+    // Get API key from request header
+    const providedKey = req.headers['x-api-key'];
+    
+    // The global API key works for every instance
+    if (apiKey && providedKey === apiKey) {
+      return next();
+    }
+    
+    // Instance API keys are checked for their instance, expiry and allowed IPs
+    if (providedKey && instanceId) {
+      const { error, status, value } = await authenticateApiKey(instanceId, providedKey, req.ip);
+      if (error) {
+        logger.warn(`API key validation failed for instance ${instanceId}: ${error}`);
+        return res.status(status).json({ error });
+      }
+      
+      req.apiKey = value;
+      return next();
+    }
     
     // If no API key is set, skip validation
-    if (!apiKey) {
+    if (!apiKey && !(instanceId && await hasActiveApiKeys(instanceId))) {
       logger.warn('API key validation skipped: No API key set in environment variables');
       return next();
     }
     
-    // Get API key from request header
-    const providedKey = req.headers['x-api-key'];
-    
     // Check if API key is provided
     if (!providedKey) {
       logger.warn('API key validation failed: No API key provided');
       return res.status(401).json({ error: 'API key is required' });
     }
     
-    // Validate API key
-    if (providedKey !== apiKey) {
-      logger.warn('API key validation failed: Invalid API key');
-      return res.status(401).json({ error: 'Invalid API key' });
-    }
-    
-    // API key is valid, proceed to the next middleware
-    next();
+    logger.warn('API key validation failed: Invalid API key');
+    return res.status(401).json({ error: 'Invalid API key' });
   } catch (error) {
     logger.error('Error validating API key:', error);
     return res.status(500).json({ error: 'Internal server error during authentication' });
@@ -42,12 +64,44 @@ function validateApiKey(req, res, next) {
 }
 
 /**
- * Middleware to validate admin API key (for admin-only endpoints)
+ * Create a middleware that requires a scope from instance API keys
+ * Requests authenticated with the global API key are not limited
+ * @param {string} scope - The required scope (send, qr, read-conversations or events)
+ * @returns {Function} - The Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      logger.warn(`API key ${req.apiKey.keyId} is missing the ${scope} scope`);
+      return res.status(403).json({ error: `API key does not have the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Create a middleware for admin routes that instance API keys with a scope can also use
+ * @param {string} scope - The scope that grants access
+ * @returns {Function} - The Express middleware
+ */
+function validateAdminKeyOrScope(scope) {
+  const checkScope = requireScope(scope);
+  return (req, res, next) => {
+    const providedKey = req.headers['x-api-key'];
+    if (!req.headers['x-admin-key'] && !req.headers.authorization && providedKey && providedKey !== process.env.API_KEY) {
+      return validateApiKey(req, res, () => checkScope(req, res, next));
+    }
+    return validateAdminKey(req, res, next);
+  };
+}
+
+/**
+ * Middleware to validate the shared admin API key
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function validateAdminKey(req, res, next) {
+function validateSharedAdminKey(req, res, next) {
   try {
     // Get admin API key from environment variable
     const adminKey = process.env.ADMIN_API_KEY;
@@ -87,53 +141,175 @@ function validateAdminKey(req, res, next) {
 }
 
 /**
- * Middleware to validate JWT token (for future use)
+ * Create a middleware for admin endpoints that authorizes the admin API key or a logged in user
+ * The admin API key acts as a super-admin. Users are authorized by role:
+ * - read-only users can only make GET requests
+ * - instance-admin and read-only users can only access their assigned instances
+ * - endpoints without an instance require a super-admin, unless instanceUsers is set
+ *   (the handler then limits the response to the instances of req.user)
+ * @param {Object} [options] - Authorization options
+ * @param {boolean} [options.instanceUsers] - Whether users limited to instances can use the endpoint
+ * @returns {Function} - The Express middleware
+ */
+function authorizeAdmin(options = {}) {
+  return (req, res, next) => {
+    if (!/^Bearer /i.test(req.headers.authorization || '')) {
+      return validateSharedAdminKey(req, res, next);
+    }
+    
+    return validateJwt(req, res, () => {
+      const { user } = req;
+      const { instanceId } = req.params;
+      
+      if (user.role === 'read-only' && !['GET', 'HEAD'].includes(req.method)) {
+        logger.warn(`Admin user ${user.username} is read-only: ${req.method} ${req.path}`);
+        return res.status(403).json({ error: 'Read-only users cannot make changes' });
+      }
+      
+      if (instanceId ? !canAccessInstance(user, instanceId) : user.role !== 'super-admin' && !options.instanceUsers) {
+        logger.warn(`Admin user ${user.username} (${user.role}) denied: ${req.method} ${req.path}`);
+        return res.status(403).json({
+          error: instanceId ? `User cannot access instance ${instanceId}` : 'This endpoint requires the super-admin role'
+        });
+      }
+      
+      next();
+    });
+  };
+}
+
+/**
+ * Middleware to authorize admin endpoints (admin API key or a user with access to the instance)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function validateJwt(req, res, next) {
+const validateAdminKey = authorizeAdmin();
+
+/**
+ * Middleware to validate the JWT access token of a logged in user
+ * Sets req.user to the user, loaded from storage so role changes and disabled accounts apply right away
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function validateJwt(req, res, next) {
   try {
-    // Get JWT secret from environment variable
-    const jwtSecret = process.env.JWT_SECRET;
-    
-    // If no JWT secret is set, skip validation
-    if (!jwtSecret) {
-      logger.warn('JWT validation skipped: No JWT secret set in environment variables');
-      return next();
-    }
-    
     // Get JWT token from request header
-    const token = req.headers.authorization?.split(' ')[1];
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
     
     // Check if token is provided
-    if (!token) {
+    if (!/^Bearer$/i.test(scheme || '') || !token) {
       logger.warn('JWT validation failed: No token provided');
       return res.status(401).json({ error: 'JWT token is required' });
     }
     
     // Validate JWT token
-    const jwt = require('jsonwebtoken');
-    try {
-      const decoded = jwt.verify(token, jwtSecret);
-      
-      // Set user info in request object
-      req.user = decoded;
-      
-      // Token is valid, proceed to the next middleware
-      next();
-    } catch (jwtError) {
-      logger.warn('JWT validation failed: Invalid token');
-      return res.status(401).json({ error: 'Invalid JWT token' });
+    const { error, status, value } = await authenticateAccessToken(token);
+    if (error) {
+      logger.warn(`JWT validation failed: ${error}`);
+      return res.status(status).json({ error });
     }
+    
+    // Set user info in request object
+    req.user = value;
+    
+    // Token is valid, proceed to the next middleware
+    next();
   } catch (error) {
     logger.error('Error validating JWT token:', error);
     return res.status(500).json({ error: 'Internal server error during authentication' });
   }
 }
 
+/**
+ * Remember an accepted signature until it is too old to be accepted again
+ * @param {string} key - The instance ID and signature
+ * @param {number} expiresAt - When the signature expires, in milliseconds
+ * @returns {boolean} - Whether the signature was already used
+ */
+function isReplayedSignature(key, expiresAt) {
+  const now = Date.now();
+  if (now - lastSignaturePruneAt >= 60 * 1000) {
+    lastSignaturePruneAt = now;
+    for (const [seenKey, seenExpiresAt] of seenSignatures) {
+      if (seenExpiresAt <= now) {
+        seenSignatures.delete(seenKey);
+      }
+    }
+  }
+
+  if (seenSignatures.has(key) && seenSignatures.get(key) > now) {
+    return true;
+  }
+  seenSignatures.set(key, expiresAt);
+  return false;
+}
+
+/**
+ * Middleware to verify the HMAC signature of requests from n8n
+ * Only instances with n8nConfig.signingSecret require signed requests
+ * The signature covers "<X-Signature-Timestamp>.<raw body>"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function verifyRequestSignature(req, res, next) {
+  try {
+    const { instanceId } = req.params;
+    const instanceConfig = await getInstanceConfig(instanceId);
+    const secret = instanceConfig && instanceConfig.n8nConfig && instanceConfig.n8nConfig.signingSecret;
+    
+    // Unsigned instances (and unknown instances, which the handler rejects) skip verification
+    if (!secret) {
+      return next();
+    }
+    
+    // Only JSON bodies are kept raw, so uploads cannot be verified
+    if (req.is('multipart/form-data')) {
+      logger.warn(`Signature verification failed for instance ${instanceId}: multipart request`);
+      return res.status(415).json({ error: 'Signed requests must have a JSON body' });
+    }
+    
+    const timestamp = Number(req.headers['x-signature-timestamp']);
+    const signature = String(req.headers['x-signature'] || '').replace(/^sha256=/, '');
+    if (!req.headers['x-signature-timestamp'] || !signature) {
+      logger.warn(`Signature verification failed for instance ${instanceId}: no signature provided`);
+      return res.status(401).json({ error: 'Request signature is required' });
+    }
+    
+    // Reject requests signed too long ago (or too far in the future)
+    const tolerance = config.signatureToleranceSeconds;
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+      logger.warn(`Signature verification failed for instance ${instanceId}: stale timestamp`);
+      return res.status(401).json({ error: 'Request signature has expired' });
+    }
+    
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!/^[0-9a-f]{64}$/i.test(signature) || !verifySignature(`${timestamp}.${body}`, signature, secret)) {
+      logger.warn(`Signature verification failed for instance ${instanceId}: invalid signature`);
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+    
+    if (isReplayedSignature(`${instanceId}:${signature}`, (timestamp + tolerance) * 1000)) {
+      logger.warn(`Signature verification failed for instance ${instanceId}: replayed request`);
+      return res.status(401).json({ error: 'Request has already been received' });
+    }
+    
+    // Signature is valid, proceed to the next middleware
+    next();
+  } catch (error) {
+    logger.error('Error verifying request signature:', error);
+    return res.status(500).json({ error: 'Internal server error during authentication' });
+  }
+}
+
 module.exports = {
   validateApiKey,
   validateAdminKey,
-  validateJwt
+  validateJwt,
+  authorizeAdmin,
+  verifyRequestSignature,
+  requireScope,
+  validateAdminKeyOrScope
 };
\ No newline at end of file
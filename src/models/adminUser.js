@@ -0,0 +1,102 @@
+// src/models/adminUser.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+const { hash } = require('../utils/security');
+
+// Operator accounts of the admin API, one record per user ID
+const COLLECTION = 'admin-users';
+
+// SHA-256 hashes of the lowercased usernames, pointing to their user ID
+// (hashed because record IDs are sanitized, which would make "john.doe" and "john_doe" the same entry)
+const USERNAME_INDEX = 'admin-usernames';
+
+/**
+ * Get the username index entry ID of a username
+ * @param {string} username - The username
+ * @returns {string} - The SHA-256 hash of the lowercased username
+ */
+function getUsernameKey(username) {
+  return hash(String(username).toLowerCase());
+}
+
+/**
+ * Get an operator account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The user or null if not found
+ */
+async function getAdminUser(userId) {
+  try {
+    return await getStore().getRecord(COLLECTION, userId);
+  } catch (error) {
+    logger.error(`Error getting admin user ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Find an operator account by its username (case-insensitive)
+ * @param {string} username - The username
+ * @returns {Promise<Object|null>} - The user or null if not found
+ */
+async function findAdminUserByUsername(username) {
+  try {
+    const entry = await getStore().getRecord(USERNAME_INDEX, getUsernameKey(username));
+    return entry ? await getStore().getRecord(COLLECTION, entry.userId) : null;
+  } catch (error) {
+    logger.error(`Error finding admin user ${username}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save an operator account and index its username
+ * @param {Object} user - The user (with its userId and username)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveAdminUser(user) {
+  try {
+    user.updatedAt = new Date().toISOString();
+    await getStore().saveRecord(USERNAME_INDEX, getUsernameKey(user.username), { userId: user.userId });
+    return await getStore().saveRecord(COLLECTION, user.userId, user);
+  } catch (error) {
+    logger.error(`Error saving admin user ${user.userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete an operator account
+ * @param {Object} user - The user
+ * @returns {Promise<boolean>} - Whether the deletion was successful
+ */
+async function deleteAdminUser(user) {
+  try {
+    await getStore().deleteRecord(USERNAME_INDEX, getUsernameKey(user.username));
+    return await getStore().deleteRecord(COLLECTION, user.userId);
+  } catch (error) {
+    logger.error(`Error deleting admin user ${user.userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List operator accounts, oldest first
+ * @returns {Promise<Array>} - The users
+ */
+async function listAdminUsers() {
+  try {
+    const users = await getStore().listRecords(COLLECTION);
+    return users.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    logger.error('Error listing admin users:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getAdminUser,
+  findAdminUserByUsername,
+  saveAdminUser,
+  deleteAdminUser,
+  listAdminUsers
+};
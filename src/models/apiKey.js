@@ -0,0 +1,109 @@
+// src/models/apiKey.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Instance API keys (only their hashes are stored), one record per key ID
+const COLLECTION = 'api-keys';
+
+// Hashes of active keys, pointing to their key ID
+const KEY_HASH_INDEX = 'api-key-hashes';
+
+/**
+ * Get an API key
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object|null>} - The API key or null if not found
+ */
+async function getApiKey(keyId) {
+  try {
+    return await getStore().getRecord(COLLECTION, keyId);
+  } catch (error) {
+    logger.error(`Error getting API key ${keyId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Find an active API key by the hash of its secret
+ * @param {string} keyHash - The SHA-256 hash of the key
+ * @returns {Promise<Object|null>} - The API key or null if not found
+ */
+async function findApiKeyByHash(keyHash) {
+  try {
+    const entry = await getStore().getRecord(KEY_HASH_INDEX, keyHash);
+    return entry ? await getStore().getRecord(COLLECTION, entry.keyId) : null;
+  } catch (error) {
+    logger.error('Error finding API key by hash:', error);
+    return null;
+  }
+}
+
+/**
+ * Save an API key, indexing its hash while it is active
+ * @param {Object} apiKey - The API key (with its keyId and keyHash)
+ * @param {string} [previousHash] - The hash the key had before it was rotated
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveApiKey(apiKey, previousHash) {
+  try {
+    apiKey.updatedAt = new Date().toISOString();
+
+    if (previousHash && previousHash !== apiKey.keyHash) {
+      await getStore().deleteRecord(KEY_HASH_INDEX, previousHash);
+    }
+    if (apiKey.revokedAt) {
+      await getStore().deleteRecord(KEY_HASH_INDEX, apiKey.keyHash);
+    } else {
+      await getStore().saveRecord(KEY_HASH_INDEX, apiKey.keyHash, { keyId: apiKey.keyId });
+    }
+
+    return await getStore().saveRecord(COLLECTION, apiKey.keyId, apiKey);
+  } catch (error) {
+    logger.error(`Error saving API key ${apiKey.keyId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Record the last use of an API key. Only the usage fields are written to the
+ * current record, so a key revoked or rotated in the meantime stays that way.
+ * @param {string} keyId - The key ID
+ * @param {Object} usage - { lastUsedAt, lastUsedIp }
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function recordApiKeyUse(keyId, { lastUsedAt, lastUsedIp }) {
+  try {
+    const apiKey = await getStore().getRecord(COLLECTION, keyId);
+    if (!apiKey) {
+      return false;
+    }
+    return await getStore().saveRecord(COLLECTION, keyId, { ...apiKey, lastUsedAt, lastUsedIp });
+  } catch (error) {
+    logger.error(`Error recording use of API key ${keyId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List API keys, oldest first
+ * @param {string} [instanceId] - Only keys of this instance
+ * @returns {Promise<Array>} - The API keys
+ */
+async function listApiKeys(instanceId) {
+  try {
+    const apiKeys = await getStore().listRecords(COLLECTION);
+    return apiKeys
+      .filter(apiKey => !instanceId || apiKey.instanceId === instanceId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getApiKey,
+  findApiKeyByHash,
+  saveApiKey,
+  recordApiKeyUse,
+  listApiKeys
+};
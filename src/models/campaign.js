@@ -0,0 +1,58 @@
+// src/models/campaign.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Broadcast campaigns with their recipients, one record per campaign ID
+const COLLECTION = 'campaigns';
+
+/**
+ * Get a campaign
+ * @param {string} campaignId - The campaign ID
+ * @returns {Promise<Object|null>} - The campaign or null if not found
+ */
+async function getCampaign(campaignId) {
+  try {
+    return await getStore().getRecord(COLLECTION, campaignId);
+  } catch (error) {
+    logger.error(`Error getting campaign ${campaignId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a campaign
+ * @param {Object} campaign - The campaign (with its campaignId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveCampaign(campaign) {
+  try {
+    campaign.updatedAt = new Date().toISOString();
+    return await getStore().saveRecord(COLLECTION, campaign.campaignId, campaign);
+  } catch (error) {
+    logger.error(`Error saving campaign ${campaign.campaignId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List campaigns, newest first
+ * @param {string} [instanceId] - Only campaigns of this instance
+ * @returns {Promise<Array>} - The campaigns
+ */
+async function listCampaigns(instanceId) {
+  try {
+    const campaigns = await getStore().listRecords(COLLECTION);
+    return campaigns
+      .filter(campaign => !instanceId || campaign.instanceId === instanceId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    logger.error('Error listing campaigns:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getCampaign,
+  saveCampaign,
+  listCampaigns
+};
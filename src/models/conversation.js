@@ -1,61 +1,66 @@
 // src/models/conversation.js
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
-const { encrypt, decrypt } = require('../utils/security');
+const { getStore } = require('./storage');
 
-// Directory to store conversation data
-const DATA_DIR = path.join(process.cwd(), 'data', 'conversations');
+// Pending read-modify-write changes per conversation, so they never overwrite each other
+const conversationLocks = new Map();
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+/**
+ * Create an empty conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} [instanceId] - The instance ID
+ * @returns {Object} - The conversation object
+ */
+function createEmptyConversation(conversationId, instanceId) {
+  return {
+    conversationId,
+    ...(instanceId ? { instanceId } : {}),
+    messages: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
 }
 
 /**
  * Get conversation history for a user
+ * The instance ID is recorded on the conversation, since it cannot be told apart from the chat ID in the conversation ID
  * @param {string} conversationId - The conversation ID (instanceId-userId or instanceId-groupId)
+ * @param {string} [instanceId] - The instance ID
  * @returns {Promise<Object>} - The conversation object
  */
-async function getConversation(conversationId) {
+async function getConversation(conversationId, instanceId) {
   try {
-    // Sanitize conversation ID for use in filename
-    const safeConversationId = conversationId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(DATA_DIR, `${safeConversationId}.json`);
-    
-    // Check if conversation file exists
-    if (!fs.existsSync(filePath)) {
-      // Return empty conversation if file doesn't exist
-      return {
-        conversationId,
-        messages: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+    const conversation = await getStore().getConversation(conversationId);
+    if (conversation && instanceId) {
+      conversation.instanceId = instanceId;
     }
-    
-    // Read and parse the conversation file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    
-    // Decrypt if encryption is enabled
-    const decryptedContent = process.env.ENCRYPTION_KEY 
-      ? decrypt(fileContent) 
-      : fileContent;
-    
-    const conversation = JSON.parse(decryptedContent);
-    
-    // Return the conversation
-    return conversation;
+
+    // Return empty conversation if none is stored yet
+    return conversation || createEmptyConversation(conversationId, instanceId);
   } catch (error) {
     logger.error(`Error getting conversation for ${conversationId}:`, error);
-    
+
     // Return empty conversation on error
-    return {
-      conversationId,
-      messages: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    return createEmptyConversation(conversationId, instanceId);
+  }
+}
+
+/**
+ * Find a stored conversation without falling back to an empty one
+ * @param {string} conversationId - The conversation ID (instanceId-userId or instanceId-groupId)
+ * @param {string} [instanceId] - Only a conversation of this instance
+ * @returns {Promise<Object|null>} - The conversation object or null if not found
+ */
+async function findConversation(conversationId, instanceId) {
+  try {
+    const conversation = await getStore().getConversation(conversationId);
+    if (conversation && instanceId && conversation.instanceId && conversation.instanceId !== instanceId) {
+      return null;
+    }
+    return conversation;
+  } catch (error) {
+    logger.error(`Error finding conversation for ${conversationId}:`, error);
+    return null;
   }
 }
 
@@ -67,31 +72,45 @@ async function getConversation(conversationId) {
  */
 async function saveConversation(conversationId, conversation) {
   try {
-    // Sanitize conversation ID for use in filename
-    const safeConversationId = conversationId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(DATA_DIR, `${safeConversationId}.json`);
-    
     // Update the timestamp
     conversation.updatedAt = new Date().toISOString();
-    
-    // Convert conversation to JSON
-    const conversationJson = JSON.stringify(conversation, null, 2);
-    
-    // Encrypt if encryption is enabled
-    const contentToSave = process.env.ENCRYPTION_KEY 
-      ? encrypt(conversationJson) 
-      : conversationJson;
-    
-    // Write the file
-    fs.writeFileSync(filePath, contentToSave, 'utf8');
-    
-    return true;
+
+    return await getStore().saveConversation(conversationId, conversation);
   } catch (error) {
     logger.error(`Error saving conversation for ${conversationId}:`, error);
     return false;
   }
 }
 
+/**
+ * Change a conversation after the changes already pending for it, reading it fresh and saving it right away
+ * @param {string} conversationId - The conversation ID (instanceId-userId or instanceId-groupId)
+ * @param {string} instanceId - The instance ID
+ * @param {Function} change - Changes the conversation, returning false to leave it unsaved
+ * @returns {Promise<any>} - The result of the change
+ */
+function updateConversation(conversationId, instanceId, change) {
+  const run = async () => {
+    const conversation = await getConversation(conversationId, instanceId);
+    const result = await change(conversation);
+    if (result !== false) {
+      await saveConversation(conversationId, conversation);
+    }
+    return result;
+  };
+
+  const previous = conversationLocks.get(conversationId) || Promise.resolve();
+  const next = previous.then(run, run);
+  const settled = next.catch(() => {});
+  conversationLocks.set(conversationId, settled);
+  settled.then(() => {
+    if (conversationLocks.get(conversationId) === settled) {
+      conversationLocks.delete(conversationId);
+    }
+  });
+  return next;
+}
+
 /**
  * Clear conversation history
  * @param {string} conversationId - The conversation ID (instanceId-userId or instanceId-groupId)
@@ -99,17 +118,7 @@ async function saveConversation(conversationId, conversation) {
  */
 async function clearConversation(conversationId) {
   try {
-    // Sanitize conversation ID for use in filename
-    const safeConversationId = conversationId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(DATA_DIR, `${safeConversationId}.json`);
-    
-    // Check if conversation file exists
-    if (fs.existsSync(filePath)) {
-      // Delete the file
-      fs.unlinkSync(filePath);
-    }
-    
-    return true;
+    return await getStore().clearConversation(conversationId);
   } catch (error) {
     logger.error(`Error clearing conversation for ${conversationId}:`, error);
     return false;
@@ -123,19 +132,8 @@ async function clearConversation(conversationId) {
  */
 async function deleteInstanceConversations(instanceId) {
   try {
-    // Get all conversation files for this instance
-    const files = fs.readdirSync(DATA_DIR).filter(file => 
-      file.startsWith(`${instanceId}-`) && file.endsWith('.json')
-    );
-    
-    // Delete each file
-    let deletedCount = 0;
-    for (const file of files) {
-      const filePath = path.join(DATA_DIR, file);
-      fs.unlinkSync(filePath);
-      deletedCount++;
-    }
-    
+    const deletedCount = await getStore().deleteInstanceConversations(instanceId);
+
     logger.info(`Deleted ${deletedCount} conversations for instance ${instanceId}`);
     return deletedCount;
   } catch (error) {
@@ -147,32 +145,18 @@ async function deleteInstanceConversations(instanceId) {
 /**
  * Delete old conversations (older than specified days)
  * @param {number} days - The number of days to keep conversations
+ * @param {string} [instanceId] - Only delete conversations of this instance
  * @returns {Promise<number>} - The number of deleted conversations
  */
-async function deleteOldConversations(days = 30) {
+async function deleteOldConversations(days = 30, instanceId) {
   try {
-    // Get all conversation files
-    const files = fs.readdirSync(DATA_DIR).filter(file => file.endsWith('.json'));
-    
     // Calculate cutoff date
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
-    
-    let deletedCount = 0;
-    
-    // Iterate through files and delete old ones
-    for (const file of files) {
-      const filePath = path.join(DATA_DIR, file);
-      const stats = fs.statSync(filePath);
-      
-      // Check if file is older than cutoff date
-      if (stats.mtime < cutoffDate) {
-        fs.unlinkSync(filePath);
-        deletedCount++;
-      }
-    }
-    
-    logger.info(`Deleted ${deletedCount} old conversations`);
+
+    const deletedCount = await getStore().deleteOldConversations(cutoffDate, instanceId);
+
+    logger.info(`Deleted ${deletedCount} old conversations${instanceId ? ` for instance ${instanceId}` : ''}`);
     return deletedCount;
   } catch (error) {
     logger.error('Error deleting old conversations:', error);
@@ -180,10 +164,69 @@ async function deleteOldConversations(days = 30) {
   }
 }
 
+/**
+ * Find old conversations (older than specified days) without deleting them
+ * @param {number} days - The number of days to keep conversations
+ * @param {string} [instanceId] - Only find conversations of this instance
+ * @returns {Promise<Array<string>>} - The IDs of the old conversations
+ */
+async function findOldConversations(days = 30, instanceId) {
+  try {
+    // Calculate cutoff date
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    return await getStore().listOldConversations(cutoffDate, instanceId);
+  } catch (error) {
+    logger.error('Error finding old conversations:', error);
+    return [];
+  }
+}
+
+/**
+ * List the conversations of an instance, most recently updated first
+ * @param {string} instanceId - The instance ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of conversations to return
+ * @param {number} options.offset - Number of conversations to skip
+ * @returns {Promise<Object>} - The total count and a page of conversation summaries
+ */
+async function listConversations(instanceId, options = {}) {
+  try {
+    return await getStore().listConversations(instanceId, options);
+  } catch (error) {
+    logger.error(`Error listing conversations for instance ${instanceId}:`, error);
+    return { total: 0, conversations: [] };
+  }
+}
+
+/**
+ * Get the messages of a conversation, optionally filtered by time
+ * @param {string} conversationId - The conversation ID (instanceId-userId or instanceId-groupId)
+ * @param {Object} options - Query options
+ * @param {string} options.since - Only messages at or after this ISO timestamp
+ * @param {string} options.until - Only messages at or before this ISO timestamp
+ * @param {number} options.limit - Only the most recent messages
+ * @returns {Promise<Array>} - The messages
+ */
+async function getMessages(conversationId, options = {}) {
+  try {
+    return await getStore().getMessages(conversationId, options);
+  } catch (error) {
+    logger.error(`Error getting messages for ${conversationId}:`, error);
+    return [];
+  }
+}
+
 module.exports = {
   getConversation,
+  findConversation,
   saveConversation,
+  updateConversation,
   clearConversation,
   deleteInstanceConversations,
-  deleteOldConversations
-};
\ No newline at end of file
+  deleteOldConversations,
+  findOldConversations,
+  listConversations,
+  getMessages
+};
@@ -1,16 +1,6 @@
 // src/models/instance.js
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
-const { encrypt, decrypt } = require('../utils/security');
-
-// Directory to store instance data
-const INSTANCES_DIR = path.join(process.cwd(), 'data', 'instances');
-
-// Ensure instances directory exists
-if (!fs.existsSync(INSTANCES_DIR)) {
-  fs.mkdirSync(INSTANCES_DIR, { recursive: true });
-}
+const { getStore } = require('./storage');
 
 /**
  * Get configuration for a specific instance
@@ -19,27 +9,7 @@ if (!fs.existsSync(INSTANCES_DIR)) {
  */
 async function getInstanceConfig(instanceId) {
   try {
-    // Sanitize instance ID for use in filename
-    const safeInstanceId = instanceId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(INSTANCES_DIR, `${safeInstanceId}.json`);
-    
-    // Check if configuration file exists
-    if (!fs.existsSync(filePath)) {
-      return null;
-    }
-    
-    // Read and parse the configuration file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    
-    // Decrypt if encryption is enabled
-    const decryptedContent = process.env.ENCRYPTION_KEY 
-      ? decrypt(fileContent) 
-      : fileContent;
-    
-    const config = JSON.parse(decryptedContent);
-    
-    // Return the configuration
-    return config;
+    return await getStore().getInstance(instanceId);
   } catch (error) {
     logger.error(`Error getting configuration for instance ${instanceId}:`, error);
     return null;
@@ -54,25 +24,10 @@ async function getInstanceConfig(instanceId) {
  */
 async function saveInstanceConfig(instanceId, config) {
   try {
-    // Sanitize instance ID for use in filename
-    const safeInstanceId = instanceId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(INSTANCES_DIR, `${safeInstanceId}.json`);
-    
     // Add last updated timestamp
     config.updatedAt = new Date().toISOString();
     
-    // Convert config to JSON
-    const configJson = JSON.stringify(config, null, 2);
-    
-    // Encrypt if encryption is enabled
-    const contentToSave = process.env.ENCRYPTION_KEY 
-      ? encrypt(configJson) 
-      : configJson;
-    
-    // Write the file
-    fs.writeFileSync(filePath, contentToSave, 'utf8');
-    
-    return true;
+    return await getStore().saveInstance(instanceId, config);
   } catch (error) {
     logger.error(`Error saving configuration for instance ${instanceId}:`, error);
     return false;
@@ -86,17 +41,7 @@ async function saveInstanceConfig(instanceId, config) {
  */
 async function deleteInstanceConfig(instanceId) {
   try {
-    // Sanitize instance ID for use in filename
-    const safeInstanceId = instanceId.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filePath = path.join(INSTANCES_DIR, `${safeInstanceId}.json`);
-    
-    // Check if configuration file exists
-    if (fs.existsSync(filePath)) {
-      // Delete the file
-      fs.unlinkSync(filePath);
-    }
-    
-    return true;
+    return await getStore().deleteInstance(instanceId);
   } catch (error) {
     logger.error(`Error deleting configuration for instance ${instanceId}:`, error);
     return false;
@@ -109,13 +54,7 @@ async function deleteInstanceConfig(instanceId) {
  */
 async function listInstances() {
   try {
-    // Get all configuration files
-    const files = fs.readdirSync(INSTANCES_DIR).filter(file => file.endsWith('.json'));
-    
-    // Extract instance IDs from filenames
-    const instanceIds = files.map(file => file.replace('.json', ''));
-    
-    return instanceIds;
+    return await getStore().listInstanceIds();
   } catch (error) {
     logger.error('Error listing instances:', error);
     return [];
@@ -164,8 +103,17 @@ async function updateInstanceStatus(instanceId, status) {
       return false;
     }
     
+    const previousStatus = config.status || null;
     config.status = status;
-    return await saveInstanceConfig(instanceId, config);
+    const saved = await saveInstanceConfig(instanceId, config);
+    
+    // Let webhook subscriptions know about connection changes
+    if (saved && previousStatus !== status) {
+      const { publishEvent } = require('../services/webhookService');
+      publishEvent(instanceId, 'instance_status', { status, previousStatus });
+    }
+    
+    return saved;
   } catch (error) {
     logger.error(`Error updating status for instance ${instanceId}:`, error);
     return false;
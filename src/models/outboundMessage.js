@@ -0,0 +1,120 @@
+// src/models/outboundMessage.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Outbound messages, one record per queue ID
+const COLLECTION = 'outbound-messages';
+
+// WhatsApp message IDs of sent messages, pointing to their queue ID (for delivery receipts)
+const MESSAGE_ID_INDEX = 'outbound-message-ids';
+
+// Queue IDs of messages still waiting to be sent, so the scheduler does not load every sent message
+const QUEUED_INDEX = 'outbound-queued';
+
+/**
+ * Get an outbound message
+ * @param {string} queueId - The queue ID
+ * @returns {Promise<Object|null>} - The outbound message or null if not found
+ */
+async function getOutboundMessage(queueId) {
+  try {
+    return await getStore().getRecord(COLLECTION, queueId);
+  } catch (error) {
+    logger.error(`Error getting outbound message ${queueId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Find an outbound message by the ID WhatsApp gave it when it was sent
+ * @param {string} messageId - The serialized WhatsApp message ID
+ * @returns {Promise<Object|null>} - The outbound message or null if not found
+ */
+async function findOutboundMessageByMessageId(messageId) {
+  try {
+    const entry = await getStore().getRecord(MESSAGE_ID_INDEX, messageId);
+    return entry ? await getStore().getRecord(COLLECTION, entry.queueId) : null;
+  } catch (error) {
+    logger.error(`Error finding outbound message for ${messageId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save an outbound message
+ * @param {Object} outboundMessage - The outbound message (with its queueId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveOutboundMessage(outboundMessage) {
+  try {
+    outboundMessage.updatedAt = new Date().toISOString();
+
+    if (outboundMessage.messageId) {
+      await getStore().saveRecord(MESSAGE_ID_INDEX, outboundMessage.messageId, {
+        queueId: outboundMessage.queueId
+      });
+    }
+
+    const saved = await getStore().saveRecord(COLLECTION, outboundMessage.queueId, outboundMessage);
+    if (outboundMessage.status === 'queued') {
+      await getStore().saveRecord(QUEUED_INDEX, outboundMessage.queueId, { queueId: outboundMessage.queueId });
+    } else {
+      await getStore().deleteRecord(QUEUED_INDEX, outboundMessage.queueId);
+    }
+    return saved;
+  } catch (error) {
+    logger.error(`Error saving outbound message ${outboundMessage.queueId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete an outbound message
+ * @param {Object} outboundMessage - The outbound message
+ * @returns {Promise<boolean>} - Whether the outbound message existed
+ */
+async function deleteOutboundMessage(outboundMessage) {
+  try {
+    if (outboundMessage.messageId) {
+      await getStore().deleteRecord(MESSAGE_ID_INDEX, outboundMessage.messageId);
+    }
+    await getStore().deleteRecord(QUEUED_INDEX, outboundMessage.queueId);
+
+    return await getStore().deleteRecord(COLLECTION, outboundMessage.queueId);
+  } catch (error) {
+    logger.error(`Error deleting outbound message ${outboundMessage.queueId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List outbound messages, oldest first
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.instanceId] - Only messages of this instance
+ * @param {string} [filter.status] - Only messages with this status
+ * @returns {Promise<Array>} - The outbound messages
+ */
+async function listOutboundMessages(filter = {}) {
+  try {
+    // Queued messages are read through their index instead of scanning every record
+    const messages = filter.status === 'queued'
+      ? (await Promise.all((await getStore().listRecords(QUEUED_INDEX))
+        .map(entry => getStore().getRecord(COLLECTION, entry.queueId)))).filter(Boolean)
+      : await getStore().listRecords(COLLECTION);
+    return messages
+      .filter(message => !filter.instanceId || message.instanceId === filter.instanceId)
+      .filter(message => !filter.status || message.status === filter.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    logger.error('Error listing outbound messages:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getOutboundMessage,
+  findOutboundMessageByMessageId,
+  saveOutboundMessage,
+  deleteOutboundMessage,
+  listOutboundMessages
+};
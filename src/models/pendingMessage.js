@@ -0,0 +1,99 @@
+// src/models/pendingMessage.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Incoming messages waiting for business hours, one record per message keyed by "<instanceId>:<id>"
+// (instance IDs cannot contain ":", so the prefix of one instance never matches another)
+const COLLECTION = 'pending-messages';
+
+/**
+ * Get the record ID of a pending message
+ * @param {string} instanceId - The instance ID
+ * @param {string} id - The pending message ID
+ * @returns {string} - The record ID
+ */
+function getRecordId(instanceId, id) {
+  return `${instanceId}:${id}`;
+}
+
+/**
+ * Split the messages of an instance stored in a single record by older versions into one record each
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<void>}
+ */
+async function splitLegacyRecord(instanceId) {
+  const legacy = await getStore().getRecord(COLLECTION, instanceId);
+  if (!legacy || !Array.isArray(legacy.messages)) {
+    return;
+  }
+
+  for (const message of legacy.messages) {
+    await getStore().saveRecord(COLLECTION, getRecordId(instanceId, message.id), { ...message, instanceId });
+  }
+  await getStore().deleteRecord(COLLECTION, instanceId);
+}
+
+/**
+ * Get the messages waiting to be processed for an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array>} - The pending messages, oldest first
+ */
+async function getPendingMessages(instanceId) {
+  try {
+    await splitLegacyRecord(instanceId);
+
+    const messages = await getStore().listRecords(COLLECTION, { prefix: getRecordId(instanceId, '') });
+    return messages
+      .filter(message => message.instanceId === instanceId)
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  } catch (error) {
+    logger.error(`Error getting pending messages for instance ${instanceId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Queue an incoming message to be processed later
+ * The WhatsApp message ID is used as the ID when there is one, so a message reported twice is queued once
+ * @param {string} instanceId - The instance ID
+ * @param {Object} pendingMessage - The message data
+ * @returns {Promise<Object|null>} - The queued message or null if it could not be saved
+ */
+async function addPendingMessage(instanceId, pendingMessage) {
+  try {
+    const queuedMessage = {
+      id: pendingMessage.messageId || crypto.randomUUID(),
+      instanceId,
+      ...pendingMessage,
+      queuedAt: new Date().toISOString()
+    };
+
+    await getStore().saveRecord(COLLECTION, getRecordId(instanceId, queuedMessage.id), queuedMessage);
+    return queuedMessage;
+  } catch (error) {
+    logger.error(`Error queuing message for instance ${instanceId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Remove a processed message from the queue
+ * @param {string} instanceId - The instance ID
+ * @param {string} id - The pending message ID
+ * @returns {Promise<boolean>} - Whether the message was removed
+ */
+async function removePendingMessage(instanceId, id) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, getRecordId(instanceId, id));
+  } catch (error) {
+    logger.error(`Error removing pending message ${id} for instance ${instanceId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getPendingMessages,
+  addPendingMessage,
+  removePendingMessage
+};
@@ -0,0 +1,68 @@
+// src/models/pendingReply.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Messages waiting for an asynchronous n8n reply, one record per correlation ID
+const COLLECTION = 'pending-replies';
+
+/**
+ * Get a pending reply
+ * @param {string} correlationId - The correlation ID sent to n8n
+ * @returns {Promise<Object|null>} - The pending reply or null if not found
+ */
+async function getPendingReply(correlationId) {
+  try {
+    return await getStore().getRecord(COLLECTION, correlationId);
+  } catch (error) {
+    logger.error(`Error getting pending reply ${correlationId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a pending reply
+ * @param {Object} pendingReply - The pending reply (with its correlationId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function savePendingReply(pendingReply) {
+  try {
+    return await getStore().saveRecord(COLLECTION, pendingReply.correlationId, pendingReply);
+  } catch (error) {
+    logger.error(`Error saving pending reply ${pendingReply.correlationId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a pending reply
+ * @param {string} correlationId - The correlation ID
+ * @returns {Promise<boolean>} - Whether the pending reply existed
+ */
+async function deletePendingReply(correlationId) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, correlationId);
+  } catch (error) {
+    logger.error(`Error deleting pending reply ${correlationId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List all pending replies
+ * @returns {Promise<Array>} - The pending replies
+ */
+async function listPendingReplies() {
+  try {
+    return await getStore().listRecords(COLLECTION);
+  } catch (error) {
+    logger.error('Error listing pending replies:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getPendingReply,
+  savePendingReply,
+  deletePendingReply,
+  listPendingReplies
+};
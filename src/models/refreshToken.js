@@ -0,0 +1,70 @@
+// src/models/refreshToken.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Refresh tokens of operator sessions, keyed by the SHA-256 hash of the token
+const COLLECTION = 'refresh-tokens';
+
+/**
+ * Get a refresh token
+ * @param {string} tokenHash - The SHA-256 hash of the token
+ * @returns {Promise<Object|null>} - The refresh token or null if not found
+ */
+async function getRefreshToken(tokenHash) {
+  try {
+    return await getStore().getRecord(COLLECTION, tokenHash);
+  } catch (error) {
+    logger.error('Error getting refresh token:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a refresh token
+ * @param {Object} refreshToken - The refresh token (with its tokenHash)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveRefreshToken(refreshToken) {
+  try {
+    return await getStore().saveRecord(COLLECTION, refreshToken.tokenHash, refreshToken);
+  } catch (error) {
+    logger.error(`Error saving refresh token for user ${refreshToken.userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a refresh token
+ * @param {string} tokenHash - The SHA-256 hash of the token
+ * @returns {Promise<boolean>} - Whether the deletion was successful
+ */
+async function deleteRefreshToken(tokenHash) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, tokenHash);
+  } catch (error) {
+    logger.error('Error deleting refresh token:', error);
+    return false;
+  }
+}
+
+/**
+ * List refresh tokens
+ * @param {string} [userId] - Only tokens of this user
+ * @returns {Promise<Array>} - The refresh tokens
+ */
+async function listRefreshTokens(userId) {
+  try {
+    const refreshTokens = await getStore().listRecords(COLLECTION);
+    return refreshTokens.filter(refreshToken => !userId || refreshToken.userId === userId);
+  } catch (error) {
+    logger.error('Error listing refresh tokens:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getRefreshToken,
+  saveRefreshToken,
+  deleteRefreshToken,
+  listRefreshTokens
+};
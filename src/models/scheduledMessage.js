@@ -0,0 +1,73 @@
+// src/models/scheduledMessage.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Messages scheduled for later or on a recurring schedule, one record per schedule ID
+const COLLECTION = 'scheduled-messages';
+
+/**
+ * Get a scheduled message
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Promise<Object|null>} - The scheduled message or null if not found
+ */
+async function getScheduledMessage(scheduleId) {
+  try {
+    return await getStore().getRecord(COLLECTION, scheduleId);
+  } catch (error) {
+    logger.error(`Error getting scheduled message ${scheduleId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a scheduled message
+ * @param {Object} scheduledMessage - The scheduled message (with its scheduleId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveScheduledMessage(scheduledMessage) {
+  try {
+    scheduledMessage.updatedAt = new Date().toISOString();
+    return await getStore().saveRecord(COLLECTION, scheduledMessage.scheduleId, scheduledMessage);
+  } catch (error) {
+    logger.error(`Error saving scheduled message ${scheduledMessage.scheduleId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a scheduled message
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Promise<boolean>} - Whether the scheduled message existed
+ */
+async function deleteScheduledMessage(scheduleId) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, scheduleId);
+  } catch (error) {
+    logger.error(`Error deleting scheduled message ${scheduleId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List scheduled messages, next run first
+ * @param {string} [instanceId] - Only scheduled messages of this instance
+ * @returns {Promise<Array>} - The scheduled messages
+ */
+async function listScheduledMessages(instanceId) {
+  try {
+    const messages = await getStore().listRecords(COLLECTION);
+    return messages
+      .filter(message => !instanceId || message.instanceId === instanceId)
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+  } catch (error) {
+    logger.error('Error listing scheduled messages:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getScheduledMessage,
+  saveScheduledMessage,
+  deleteScheduledMessage,
+  listScheduledMessages
+};
@@ -0,0 +1,273 @@
+// src/models/storage/fileStore.js
+const fs = require('fs');
+const path = require('path');
+const { encrypt, decrypt } = require('../../utils/security');
+const { findLegacyInstanceId } = require('./legacyConversations');
+
+/**
+ * Create a storage adapter that keeps one (optionally encrypted) JSON file per record
+ * @param {Object} options - Adapter options
+ * @param {string} options.dataDir - Base data directory
+ * @returns {Object} - The storage adapter
+ */
+function createFileStore({ dataDir }) {
+  const conversationsDir = path.join(dataDir, 'conversations');
+  const instancesDir = path.join(dataDir, 'instances');
+
+  // Ensure data directories exist
+  for (const dir of [conversationsDir, instancesDir]) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Get the file path for a conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {string} - The file path
+   */
+  function getConversationPath(conversationId) {
+    // Sanitize conversation ID for use in filename
+    const safeConversationId = conversationId.replace(/[^a-zA-Z0-9-_]/g, '_');
+    return path.join(conversationsDir, `${safeConversationId}.json`);
+  }
+
+  /**
+   * Get the file path for an instance configuration
+   * @param {string} instanceId - The instance ID
+   * @returns {string} - The file path
+   */
+  function getInstancePath(instanceId) {
+    // Sanitize instance ID for use in filename
+    const safeInstanceId = instanceId.replace(/[^a-zA-Z0-9-_]/g, '_');
+    return path.join(instancesDir, `${safeInstanceId}.json`);
+  }
+
+  /**
+   * Get the file path for a record of a collection
+   * @param {string} collection - The collection name
+   * @param {string} id - The record ID
+   * @returns {string} - The file path
+   */
+  function getRecordPath(collection, id) {
+    const safeId = id.replace(/[^a-zA-Z0-9-_]/g, '_');
+    return path.join(dataDir, collection, `${safeId}.json`);
+  }
+
+  /**
+   * Read and decrypt a JSON file
+   * @param {string} filePath - The file path
+   * @returns {Object} - The parsed content
+   */
+  function readJsonFile(filePath) {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+
+    // Decrypt if encryption is enabled
+    const decryptedContent = process.env.ENCRYPTION_KEY
+      ? decrypt(fileContent)
+      : fileContent;
+
+    return JSON.parse(decryptedContent);
+  }
+
+  /**
+   * Encrypt and write a JSON file
+   * @param {string} filePath - The file path
+   * @param {Object} data - The content to write
+   */
+  function writeJsonFile(filePath, data) {
+    const json = JSON.stringify(data, null, 2);
+
+    // Encrypt if encryption is enabled
+    const contentToSave = process.env.ENCRYPTION_KEY
+      ? encrypt(json)
+      : json;
+
+    fs.writeFileSync(filePath, contentToSave, 'utf8');
+  }
+
+  /**
+   * List the IDs of the stored instances
+   * @returns {Array<string>} - The instance IDs
+   */
+  function listInstanceIds() {
+    return fs.readdirSync(instancesDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace('.json', ''));
+  }
+
+  /**
+   * List conversation files, optionally limited to one instance
+   * The file name only narrows the candidates, since the conversations of "acme-support" also start with "acme-"
+   * @param {string} [instanceId] - The instance ID
+   * @returns {Array<string>} - The file names
+   */
+  function listConversationFiles(instanceId) {
+    const files = fs.readdirSync(conversationsDir).filter(file => file.endsWith('.json'));
+    if (!instanceId) {
+      return files;
+    }
+
+    const instanceIds = listInstanceIds();
+    return files.filter(file => {
+      if (!file.startsWith(`${instanceId}-`)) {
+        return false;
+      }
+      const conversation = readJsonFile(path.join(conversationsDir, file));
+      const conversationInstanceId = conversation.instanceId ||
+        findLegacyInstanceId(conversation.conversationId || file.replace('.json', ''), instanceIds);
+      return conversationInstanceId === instanceId;
+    });
+  }
+
+  return {
+    type: 'file',
+
+    async getInstance(instanceId) {
+      const filePath = getInstancePath(instanceId);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return readJsonFile(filePath);
+    },
+
+    async saveInstance(instanceId, instanceConfig) {
+      writeJsonFile(getInstancePath(instanceId), instanceConfig);
+      return true;
+    },
+
+    async deleteInstance(instanceId) {
+      const filePath = getInstancePath(instanceId);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      return true;
+    },
+
+    async listInstanceIds() {
+      return listInstanceIds();
+    },
+
+    async getConversation(conversationId) {
+      const filePath = getConversationPath(conversationId);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return readJsonFile(filePath);
+    },
+
+    async saveConversation(conversationId, conversation) {
+      writeJsonFile(getConversationPath(conversationId), conversation);
+      return true;
+    },
+
+    async clearConversation(conversationId) {
+      const filePath = getConversationPath(conversationId);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      return true;
+    },
+
+    async deleteInstanceConversations(instanceId) {
+      const files = listConversationFiles(instanceId);
+      for (const file of files) {
+        fs.unlinkSync(path.join(conversationsDir, file));
+      }
+      return files.length;
+    },
+
+    async deleteOldConversations(cutoffDate, instanceId) {
+      let deletedCount = 0;
+      for (const file of listConversationFiles(instanceId)) {
+        const filePath = path.join(conversationsDir, file);
+        if (fs.statSync(filePath).mtime < cutoffDate) {
+          fs.unlinkSync(filePath);
+          deletedCount++;
+        }
+      }
+      return deletedCount;
+    },
+
+    async listOldConversations(cutoffDate, instanceId) {
+      return listConversationFiles(instanceId)
+        .filter(file => fs.statSync(path.join(conversationsDir, file)).mtime < cutoffDate)
+        .map(file => readJsonFile(path.join(conversationsDir, file)).conversationId || file.replace('.json', ''));
+    },
+
+    async listConversations(instanceId, { limit = 50, offset = 0 } = {}) {
+      // Most recently updated first
+      const files = listConversationFiles(instanceId)
+        .map(file => ({ file, mtime: fs.statSync(path.join(conversationsDir, file)).mtime }))
+        .sort((a, b) => b.mtime - a.mtime);
+
+      const conversations = files.slice(offset, offset + limit).map(({ file }) => {
+        const conversation = readJsonFile(path.join(conversationsDir, file));
+        return {
+          conversationId: conversation.conversationId,
+          messageCount: (conversation.messages || []).length,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        };
+      });
+
+      return { total: files.length, conversations };
+    },
+
+    async getMessages(conversationId, { since, until, limit } = {}) {
+      const filePath = getConversationPath(conversationId);
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+
+      const messages = (readJsonFile(filePath).messages || []).filter(message =>
+        (!since || (message.timestamp && message.timestamp >= since)) &&
+        (!until || (message.timestamp && message.timestamp <= until))
+      );
+
+      return limit ? messages.slice(-limit) : messages;
+    },
+
+    async getRecord(collection, id) {
+      const filePath = getRecordPath(collection, id);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return readJsonFile(filePath);
+    },
+
+    async saveRecord(collection, id, record) {
+      const collectionDir = path.join(dataDir, collection);
+      if (!fs.existsSync(collectionDir)) {
+        fs.mkdirSync(collectionDir, { recursive: true });
+      }
+      writeJsonFile(getRecordPath(collection, id), record);
+      return true;
+    },
+
+    async deleteRecord(collection, id) {
+      const filePath = getRecordPath(collection, id);
+      if (!fs.existsSync(filePath)) {
+        return false;
+      }
+      fs.unlinkSync(filePath);
+      return true;
+    },
+
+    async listRecords(collection, { prefix } = {}) {
+      const collectionDir = path.join(dataDir, collection);
+      if (!fs.existsSync(collectionDir)) {
+        return [];
+      }
+      // IDs are sanitized into file names, so a prefix can match more records than asked for
+      const safePrefix = prefix ? prefix.replace(/[^a-zA-Z0-9-_]/g, '_') : '';
+      return fs.readdirSync(collectionDir)
+        .filter(file => file.endsWith('.json') && file.startsWith(safePrefix))
+        .map(file => readJsonFile(path.join(collectionDir, file)));
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,42 @@
+// src/models/storage/index.js
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { createFileStore } = require('./fileStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+// Storage adapter shared by all models
+let store = null;
+
+/**
+ * Create a storage adapter for a database configuration
+ * @param {Object} databaseConfig - Database configuration (see config.database)
+ * @returns {Object} - The storage adapter
+ */
+function createStore(databaseConfig) {
+  switch (databaseConfig.type) {
+    case 'file':
+      return createFileStore({ dataDir: path.join(process.cwd(), 'data') });
+    case 'sqlite':
+      return createSqliteStore({ path: databaseConfig.path });
+    default:
+      throw new Error(`Unsupported database type: ${databaseConfig.type}`);
+  }
+}
+
+/**
+ * Get the storage adapter selected by config.database.type
+ * @returns {Object} - The storage adapter
+ */
+function getStore() {
+  if (!store) {
+    store = createStore(config.database);
+    logger.info(`Using ${store.type} storage`);
+  }
+  return store;
+}
+
+module.exports = {
+  createStore,
+  getStore
+};
@@ -0,0 +1,23 @@
+// src/models/storage/legacyConversations.js
+
+/**
+ * Find the instance of a conversation stored without its instanceId by older versions
+ * Conversation IDs are "<instanceId>-<chatId>" and instance IDs may contain "-", so the longest
+ * known instance ID followed by "-" wins ("acme-support-1@c.us" belongs to "acme-support", not "acme")
+ * @param {string} conversationId - The conversation ID
+ * @param {Array<string>} instanceIds - The known instance IDs
+ * @returns {string|null} - The instance ID or null if no known instance matches
+ */
+function findLegacyInstanceId(conversationId, instanceIds) {
+  let found = null;
+  for (const instanceId of instanceIds) {
+    if (conversationId.startsWith(`${instanceId}-`) && (!found || instanceId.length > found.length)) {
+      found = instanceId;
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  findLegacyInstanceId
+};
@@ -0,0 +1,368 @@
+// src/models/storage/sqliteStore.js
+const fs = require('fs');
+const path = require('path');
+const { encrypt, decrypt } = require('../../utils/security');
+const { findLegacyInstanceId } = require('./legacyConversations');
+
+// Conversation and message fields that have their own columns
+const CONVERSATION_COLUMNS = ['conversationId', 'instanceId', 'messages', 'createdAt', 'updatedAt'];
+const MESSAGE_COLUMNS = ['role', 'content', 'author', 'timestamp'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS instances (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    instance_id TEXT,
+    data TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT,
+    author TEXT,
+    data TEXT,
+    timestamp TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_conversations_updated_at ON conversations(updated_at);
+  CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, position);
+  CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+`;
+
+/**
+ * Encrypt a value for storage if encryption is enabled
+ * @param {string|null} value - The value to store
+ * @returns {string|null} - The stored value
+ */
+function encodeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return process.env.ENCRYPTION_KEY ? encrypt(value) : value;
+}
+
+/**
+ * Decrypt a stored value if encryption is enabled
+ * @param {string|null} value - The stored value
+ * @returns {string|null} - The original value
+ */
+function decodeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return process.env.ENCRYPTION_KEY ? decrypt(value) : value;
+}
+
+/**
+ * Collect the fields of an object that have no dedicated column
+ * @param {Object} source - The source object
+ * @param {Array<string>} columns - Fields stored in their own columns
+ * @returns {string|null} - The remaining fields as JSON or null if there are none
+ */
+function extraFields(source, columns) {
+  const extra = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!columns.includes(key)) {
+      extra[key] = value;
+    }
+  }
+  return Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+}
+
+/**
+ * Create a storage adapter backed by SQLite, with one row per conversation message
+ * @param {Object} options - Adapter options
+ * @param {string} options.path - Path of the database file
+ * @returns {Object} - The storage adapter
+ */
+function createSqliteStore({ path: dbPath }) {
+  // Loaded lazily so file storage works without the native module
+  const Database = require('better-sqlite3');
+
+  const dbDir = path.dirname(path.resolve(dbPath));
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  // Databases created by older versions have no instance_id column yet
+  if (!db.pragma('table_info(conversations)').some(column => column.name === 'instance_id')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN instance_id TEXT');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_instance ON conversations(instance_id, updated_at)');
+
+  const statements = {
+    getInstance: db.prepare('SELECT data FROM instances WHERE id = ?'),
+    upsertInstance: db.prepare(`
+      INSERT INTO instances (id, data, updated_at) VALUES (@id, @data, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    deleteInstance: db.prepare('DELETE FROM instances WHERE id = ?'),
+    listInstanceIds: db.prepare('SELECT id FROM instances ORDER BY id'),
+    getConversation: db.prepare('SELECT * FROM conversations WHERE id = ?'),
+    getConversationMessages: db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY position'),
+    upsertConversation: db.prepare(`
+      INSERT INTO conversations (id, instance_id, data, created_at, updated_at) VALUES (@id, @instanceId, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET
+        instance_id = COALESCE(excluded.instance_id, conversations.instance_id),
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `),
+    deleteMessages: db.prepare('DELETE FROM messages WHERE conversation_id = ?'),
+    insertMessage: db.prepare(`
+      INSERT INTO messages (conversation_id, position, role, content, author, data, timestamp)
+      VALUES (@conversationId, @position, @role, @content, @author, @data, @timestamp)
+    `),
+    deleteConversation: db.prepare('DELETE FROM conversations WHERE id = ?'),
+    deleteInstanceConversations: db.prepare('DELETE FROM conversations WHERE instance_id = @instanceId'),
+    deleteOldConversations: db.prepare('DELETE FROM conversations WHERE updated_at < @cutoff'),
+    deleteOldInstanceConversations: db.prepare('DELETE FROM conversations WHERE updated_at < @cutoff AND instance_id = @instanceId'),
+    listOldConversations: db.prepare('SELECT id FROM conversations WHERE updated_at < @cutoff ORDER BY updated_at'),
+    listOldInstanceConversations: db.prepare('SELECT id FROM conversations WHERE updated_at < @cutoff AND instance_id = @instanceId ORDER BY updated_at'),
+    countInstanceConversations: db.prepare('SELECT COUNT(*) AS total FROM conversations WHERE instance_id = @instanceId'),
+    listInstanceConversations: db.prepare(`
+      SELECT c.id, c.created_at, c.updated_at, COUNT(m.id) AS message_count
+      FROM conversations c LEFT JOIN messages m ON m.conversation_id = c.id
+      WHERE c.instance_id = @instanceId
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+      LIMIT @limit OFFSET @offset
+    `),
+    getRecord: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    upsertRecord: db.prepare(`
+      INSERT INTO records (collection, id, data, updated_at) VALUES (@collection, @id, @data, @updatedAt)
+      ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    deleteRecord: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    listRecords: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY id'),
+    listConversationsWithoutInstance: db.prepare('SELECT id FROM conversations WHERE instance_id IS NULL'),
+    setConversationInstance: db.prepare('UPDATE conversations SET instance_id = @instanceId WHERE id = @id'),
+    listRecordsByPrefix: db.prepare('SELECT data FROM records WHERE collection = @collection AND substr(id, 1, length(@prefix)) = @prefix ORDER BY id')
+  };
+
+  /**
+   * Convert a message row into a message object
+   * @param {Object} row - The database row
+   * @returns {Object} - The message
+   */
+  function rowToMessage(row) {
+    const message = {
+      role: row.role,
+      content: decodeValue(row.content),
+      timestamp: row.timestamp
+    };
+    if (row.author) {
+      message.author = row.author;
+    }
+    if (row.data) {
+      Object.assign(message, JSON.parse(decodeValue(row.data)));
+    }
+    return message;
+  }
+
+  /**
+   * Find the instance of a conversation stored without its instanceId
+   * @param {string} conversationId - The conversation ID
+   * @returns {string|null} - The instance ID or null if no known instance matches
+   */
+  function findInstanceId(conversationId) {
+    return findLegacyInstanceId(conversationId, statements.listInstanceIds.all().map(row => row.id));
+  }
+
+  // Assign conversations written by older versions to their instance
+  db.transaction(() => {
+    for (const { id } of statements.listConversationsWithoutInstance.all()) {
+      const instanceId = findInstanceId(id);
+      if (instanceId) {
+        statements.setConversationInstance.run({ id, instanceId });
+      }
+    }
+  })();
+
+  // Replace the stored messages of a conversation in a single transaction
+  const writeConversation = db.transaction((conversationId, conversation) => {
+    const now = new Date().toISOString();
+    statements.upsertConversation.run({
+      id: conversationId,
+      instanceId: conversation.instanceId || findInstanceId(conversationId),
+      data: encodeValue(extraFields(conversation, CONVERSATION_COLUMNS)),
+      createdAt: conversation.createdAt || now,
+      updatedAt: conversation.updatedAt || now
+    });
+
+    statements.deleteMessages.run(conversationId);
+    (conversation.messages || []).forEach((message, position) => {
+      statements.insertMessage.run({
+        conversationId,
+        position,
+        role: message.role,
+        content: encodeValue(message.content === undefined ? null : String(message.content)),
+        author: message.author || null,
+        data: encodeValue(extraFields(message, MESSAGE_COLUMNS)),
+        timestamp: message.timestamp || conversation.updatedAt || now
+      });
+    });
+  });
+
+  return {
+    type: 'sqlite',
+    db,
+
+    async getInstance(instanceId) {
+      const row = statements.getInstance.get(instanceId);
+      return row ? JSON.parse(decodeValue(row.data)) : null;
+    },
+
+    async saveInstance(instanceId, instanceConfig) {
+      statements.upsertInstance.run({
+        id: instanceId,
+        data: encodeValue(JSON.stringify(instanceConfig)),
+        updatedAt: instanceConfig.updatedAt || new Date().toISOString()
+      });
+      return true;
+    },
+
+    async deleteInstance(instanceId) {
+      statements.deleteInstance.run(instanceId);
+      return true;
+    },
+
+    async listInstanceIds() {
+      return statements.listInstanceIds.all().map(row => row.id);
+    },
+
+    async getConversation(conversationId) {
+      const row = statements.getConversation.get(conversationId);
+      if (!row) {
+        return null;
+      }
+
+      const conversation = {
+        conversationId,
+        messages: statements.getConversationMessages.all(conversationId).map(rowToMessage),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+      if (row.instance_id) {
+        conversation.instanceId = row.instance_id;
+      }
+      if (row.data) {
+        Object.assign(conversation, JSON.parse(decodeValue(row.data)));
+      }
+      return conversation;
+    },
+
+    async saveConversation(conversationId, conversation) {
+      writeConversation(conversationId, conversation);
+      return true;
+    },
+
+    async clearConversation(conversationId) {
+      statements.deleteConversation.run(conversationId);
+      return true;
+    },
+
+    async deleteInstanceConversations(instanceId) {
+      return statements.deleteInstanceConversations.run({ instanceId }).changes;
+    },
+
+    async deleteOldConversations(cutoffDate, instanceId) {
+      const cutoff = cutoffDate.toISOString();
+      if (instanceId) {
+        return statements.deleteOldInstanceConversations.run({ cutoff, instanceId }).changes;
+      }
+      return statements.deleteOldConversations.run({ cutoff }).changes;
+    },
+
+    async listOldConversations(cutoffDate, instanceId) {
+      const cutoff = cutoffDate.toISOString();
+      const rows = instanceId
+        ? statements.listOldInstanceConversations.all({ cutoff, instanceId })
+        : statements.listOldConversations.all({ cutoff });
+      return rows.map(row => row.id);
+    },
+
+    async listConversations(instanceId, { limit = 50, offset = 0 } = {}) {
+      const { total } = statements.countInstanceConversations.get({ instanceId });
+      const rows = statements.listInstanceConversations.all({ instanceId, limit, offset });
+
+      return {
+        total,
+        conversations: rows.map(row => ({
+          conversationId: row.id,
+          messageCount: row.message_count,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at
+        }))
+      };
+    },
+
+    async getMessages(conversationId, { since, until, limit } = {}) {
+      const conditions = ['conversation_id = @conversationId'];
+      if (since) conditions.push('timestamp >= @since');
+      if (until) conditions.push('timestamp <= @until');
+
+      // Take the most recent messages when limited, then return them in order
+      const rows = db.prepare(`
+        SELECT * FROM (
+          SELECT * FROM messages WHERE ${conditions.join(' AND ')}
+          ORDER BY position DESC ${limit ? 'LIMIT @limit' : ''}
+        ) ORDER BY position
+      `).all({ conversationId, since, until, limit });
+
+      return rows.map(rowToMessage);
+    },
+
+    async getRecord(collection, id) {
+      const row = statements.getRecord.get(collection, id);
+      return row ? JSON.parse(decodeValue(row.data)) : null;
+    },
+
+    async saveRecord(collection, id, record) {
+      statements.upsertRecord.run({
+        collection,
+        id,
+        data: encodeValue(JSON.stringify(record)),
+        updatedAt: new Date().toISOString()
+      });
+      return true;
+    },
+
+    async deleteRecord(collection, id) {
+      return statements.deleteRecord.run(collection, id).changes > 0;
+    },
+
+    async listRecords(collection, { prefix } = {}) {
+      const rows = prefix
+        ? statements.listRecordsByPrefix.all({ collection, prefix })
+        : statements.listRecords.all(collection);
+      return rows.map(row => JSON.parse(decodeValue(row.data)));
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
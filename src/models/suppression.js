@@ -0,0 +1,85 @@
+// src/models/suppression.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Contacts that opted out of messages, one record per instance
+const COLLECTION = 'suppressions';
+
+/**
+ * Get the suppressed contacts of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Object>} - The suppression entries by chat ID
+ */
+async function getSuppressions(instanceId) {
+  try {
+    const record = await getStore().getRecord(COLLECTION, instanceId);
+    return (record && record.contacts) || {};
+  } catch (error) {
+    logger.error(`Error getting suppressions for instance ${instanceId}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Get the suppression entry of a contact
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The contact chat ID
+ * @returns {Promise<Object|null>} - The suppression entry or null if the contact is not suppressed
+ */
+async function getSuppression(instanceId, chatId) {
+  const contacts = await getSuppressions(instanceId);
+  return contacts[chatId] || null;
+}
+
+/**
+ * Suppress a contact
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The contact chat ID
+ * @param {Object} [details] - Why the contact was suppressed (reason, source)
+ * @returns {Promise<Object|null>} - The suppression entry or null if the save failed
+ */
+async function addSuppression(instanceId, chatId, details = {}) {
+  try {
+    const contacts = await getSuppressions(instanceId);
+    contacts[chatId] = {
+      chatId,
+      reason: details.reason || null,
+      source: details.source || null,
+      createdAt: new Date().toISOString()
+    };
+
+    const saved = await getStore().saveRecord(COLLECTION, instanceId, { instanceId, contacts });
+    return saved ? contacts[chatId] : null;
+  } catch (error) {
+    logger.error(`Error suppressing ${chatId} for instance ${instanceId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Remove a contact from the suppression list
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The contact chat ID
+ * @returns {Promise<boolean>} - Whether the contact was suppressed
+ */
+async function removeSuppression(instanceId, chatId) {
+  try {
+    const contacts = await getSuppressions(instanceId);
+    if (!contacts[chatId]) {
+      return false;
+    }
+
+    delete contacts[chatId];
+    return await getStore().saveRecord(COLLECTION, instanceId, { instanceId, contacts });
+  } catch (error) {
+    logger.error(`Error removing suppression of ${chatId} for instance ${instanceId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getSuppressions,
+  getSuppression,
+  addSuppression,
+  removeSuppression
+};
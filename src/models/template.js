@@ -0,0 +1,77 @@
+// src/models/template.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Message templates, one record per instance
+const COLLECTION = 'templates';
+
+/**
+ * Get the templates of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Object>} - The templates by name
+ */
+async function getTemplates(instanceId) {
+  try {
+    const record = await getStore().getRecord(COLLECTION, instanceId);
+    return (record && record.templates) || {};
+  } catch (error) {
+    logger.error(`Error getting templates for instance ${instanceId}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Get a template
+ * @param {string} instanceId - The instance ID
+ * @param {string} name - The template name
+ * @returns {Promise<Object|null>} - The template or null if not found
+ */
+async function getTemplate(instanceId, name) {
+  const templates = await getTemplates(instanceId);
+  return templates[name] || null;
+}
+
+/**
+ * Save a template
+ * @param {string} instanceId - The instance ID
+ * @param {Object} template - The template (with its name)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveTemplate(instanceId, template) {
+  try {
+    const templates = await getTemplates(instanceId);
+    templates[template.name] = template;
+    return await getStore().saveRecord(COLLECTION, instanceId, { instanceId, templates });
+  } catch (error) {
+    logger.error(`Error saving template ${template.name} for instance ${instanceId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a template
+ * @param {string} instanceId - The instance ID
+ * @param {string} name - The template name
+ * @returns {Promise<boolean>} - Whether the template existed
+ */
+async function deleteTemplate(instanceId, name) {
+  try {
+    const templates = await getTemplates(instanceId);
+    if (!templates[name]) {
+      return false;
+    }
+
+    delete templates[name];
+    return await getStore().saveRecord(COLLECTION, instanceId, { instanceId, templates });
+  } catch (error) {
+    logger.error(`Error deleting template ${name} for instance ${instanceId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate
+};
@@ -0,0 +1,78 @@
+// src/models/webhookDelivery.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Event webhook deliveries (the delivery log and dead letters), one record per delivery ID
+const COLLECTION = 'webhook-deliveries';
+
+/**
+ * Get a webhook delivery
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object|null>} - The delivery or null if not found
+ */
+async function getWebhookDelivery(deliveryId) {
+  try {
+    return await getStore().getRecord(COLLECTION, deliveryId);
+  } catch (error) {
+    logger.error(`Error getting webhook delivery ${deliveryId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a webhook delivery
+ * @param {Object} delivery - The delivery (with its deliveryId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveWebhookDelivery(delivery) {
+  try {
+    delivery.updatedAt = new Date().toISOString();
+    return await getStore().saveRecord(COLLECTION, delivery.deliveryId, delivery);
+  } catch (error) {
+    logger.error(`Error saving webhook delivery ${delivery.deliveryId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a webhook delivery
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<boolean>} - Whether the delivery existed
+ */
+async function deleteWebhookDelivery(deliveryId) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, deliveryId);
+  } catch (error) {
+    logger.error(`Error deleting webhook delivery ${deliveryId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List webhook deliveries, oldest first
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.instanceId] - Only deliveries of this instance
+ * @param {string} [filter.subscriptionId] - Only deliveries to this subscription
+ * @param {string} [filter.status] - Only deliveries with this status
+ * @returns {Promise<Array>} - The deliveries
+ */
+async function listWebhookDeliveries(filter = {}) {
+  try {
+    const deliveries = await getStore().listRecords(COLLECTION);
+    return deliveries
+      .filter(delivery => !filter.instanceId || delivery.instanceId === filter.instanceId)
+      .filter(delivery => !filter.subscriptionId || delivery.subscriptionId === filter.subscriptionId)
+      .filter(delivery => !filter.status || delivery.status === filter.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    logger.error('Error listing webhook deliveries:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getWebhookDelivery,
+  saveWebhookDelivery,
+  deleteWebhookDelivery,
+  listWebhookDeliveries
+};
@@ -0,0 +1,73 @@
+// src/models/webhookSubscription.js
+const logger = require('../utils/logger');
+const { getStore } = require('./storage');
+
+// Event webhook subscriptions, one record per subscription ID
+const COLLECTION = 'webhook-subscriptions';
+
+/**
+ * Get a webhook subscription
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<Object|null>} - The subscription or null if not found
+ */
+async function getWebhookSubscription(subscriptionId) {
+  try {
+    return await getStore().getRecord(COLLECTION, subscriptionId);
+  } catch (error) {
+    logger.error(`Error getting webhook subscription ${subscriptionId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a webhook subscription
+ * @param {Object} subscription - The subscription (with its subscriptionId)
+ * @returns {Promise<boolean>} - Whether the save was successful
+ */
+async function saveWebhookSubscription(subscription) {
+  try {
+    subscription.updatedAt = new Date().toISOString();
+    return await getStore().saveRecord(COLLECTION, subscription.subscriptionId, subscription);
+  } catch (error) {
+    logger.error(`Error saving webhook subscription ${subscription.subscriptionId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a webhook subscription
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<boolean>} - Whether the subscription existed
+ */
+async function deleteWebhookSubscription(subscriptionId) {
+  try {
+    return await getStore().deleteRecord(COLLECTION, subscriptionId);
+  } catch (error) {
+    logger.error(`Error deleting webhook subscription ${subscriptionId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * List webhook subscriptions, oldest first
+ * @param {string} [instanceId] - Only subscriptions of this instance
+ * @returns {Promise<Array>} - The subscriptions
+ */
+async function listWebhookSubscriptions(instanceId) {
+  try {
+    const subscriptions = await getStore().listRecords(COLLECTION);
+    return subscriptions
+      .filter(subscription => !instanceId || subscription.instanceId === instanceId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getWebhookSubscription,
+  saveWebhookSubscription,
+  deleteWebhookSubscription,
+  listWebhookSubscriptions
+};
@@ -0,0 +1,396 @@
+// src/scripts/migrate.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { decrypt } = require('../utils/security');
+const { createStore } = require('../models/storage');
+
+// Data directories that hold no records
+const IGNORED_DIRS = ['instances', 'conversations', 'media'];
+
+/**
+ * Read the ID of a record from its file name. Only safe for IDs that the file
+ * store does not change, such as hex hashes and UUIDs.
+ * @param {string} file - The file name
+ * @returns {string} - The record ID
+ */
+function getIdFromFileName(file) {
+  return file.replace('.json', '');
+}
+
+/**
+ * Get a record ID from a field of the record
+ * @param {string} field - The field holding the ID
+ * @returns {Function} - Gets the ID from the file name and record
+ */
+function getIdFromField(field) {
+  return (file, record) => {
+    if (!record[field]) {
+      throw new Error(`Record has no ${field}`);
+    }
+    return record[field];
+  };
+}
+
+/**
+ * How to get the record ID of each collection. The file store replaces
+ * unsafe characters in file names, so IDs are read from the records where
+ * possible.
+ */
+const RECORD_COLLECTIONS = {
+  'admin-users': getIdFromField('userId'),
+  'admin-usernames': getIdFromFileName,
+  'api-keys': getIdFromField('keyId'),
+  'api-key-hashes': getIdFromFileName,
+  campaigns: getIdFromField('campaignId'),
+  'outbound-messages': getIdFromField('queueId'),
+  'outbound-message-ids': (file, record, { readRecord }) => {
+    const outboundMessage = readRecord('outbound-messages', record.queueId);
+    if (!outboundMessage || !outboundMessage.messageId) {
+      throw new Error(`Outbound message ${record.queueId} has no message ID`);
+    }
+    return outboundMessage.messageId;
+  },
+  'outbound-queued': getIdFromField('queueId'),
+  'pending-messages': (file, record) => {
+    if (!record.instanceId || !record.id) {
+      throw new Error('Record has no instanceId or id');
+    }
+    return `${record.instanceId}:${record.id}`;
+  },
+  'pending-replies': getIdFromField('correlationId'),
+  'refresh-tokens': getIdFromField('tokenHash'),
+  'scheduled-messages': getIdFromField('scheduleId'),
+  suppressions: getIdFromField('instanceId'),
+  templates: getIdFromField('instanceId'),
+  'webhook-deliveries': getIdFromField('deliveryId'),
+  'webhook-subscriptions': getIdFromField('subscriptionId')
+};
+
+const USAGE = `
+Migrate instance configurations, conversations and all other records from JSON files to a database backend.
+
+Usage: npm run migrate -- [options]
+
+Options:
+  --to <type>        Target backend (default: DB_TYPE, e.g. sqlite)
+  --db-path <path>   Target database path (default: DB_PATH)
+  --source <dir>     Data directory holding instances/, conversations/ and the record collections (default: ./data)
+  --dry-run          Read and validate all files without writing anything
+  --resume           Skip files already migrated by a previous, interrupted run
+  --help             Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - The command line arguments
+ * @returns {Object} - The migration options
+ */
+function parseArgs(argv) {
+  const options = {
+    to: config.database.type,
+    dbPath: config.database.path,
+    source: path.join(process.cwd(), 'data'),
+    dryRun: false,
+    resume: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--to':
+        options.to = argv[++i];
+        break;
+      case '--db-path':
+        options.dbPath = argv[++i];
+        break;
+      case '--source':
+        options.source = path.resolve(argv[++i]);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--resume':
+        options.resume = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read a JSON data file, decrypting it when ENCRYPTION_KEY is set
+ * @param {string} filePath - The file path
+ * @returns {Object} - The parsed content
+ */
+function readDataFile(filePath) {
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+
+  // Files written before encryption was enabled are still plain JSON
+  try {
+    return JSON.parse(fileContent);
+  } catch (parseError) {
+    if (!process.env.ENCRYPTION_KEY) {
+      throw new Error('File is not valid JSON and ENCRYPTION_KEY is not set');
+    }
+    return JSON.parse(decrypt(fileContent));
+  }
+}
+
+/**
+ * List the JSON files of a data subdirectory
+ * @param {string} dir - The directory
+ * @returns {Array<string>} - The file names
+ */
+function listDataFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+}
+
+/**
+ * List the record collection directories of the data directory
+ * @param {string} source - The data directory
+ * @returns {Array<string>} - The collection names
+ */
+function listCollections(source) {
+  if (!fs.existsSync(source)) {
+    return [];
+  }
+  return fs.readdirSync(source, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRS.includes(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Load the state of a previous run
+ * @param {string} statePath - The state file path
+ * @param {Object} options - The migration options
+ * @returns {Object} - The migration state
+ */
+function loadState(statePath, options) {
+  const emptyState = { target: options.to, instances: [], conversations: [], records: {} };
+
+  if (!options.resume || !fs.existsSync(statePath)) {
+    return emptyState;
+  }
+
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  if (state.target !== options.to) {
+    logger.warn(`Previous run migrated to ${state.target}, starting over for ${options.to}`);
+    return emptyState;
+  }
+  return { records: {}, ...state };
+}
+
+/**
+ * Migrate one kind of record
+ * @param {Object} params - Migration parameters
+ * @param {string} params.kind - instances, conversations or a record collection
+ * @param {string} params.dir - The source directory
+ * @param {Array<string>} params.done - Files migrated by previous runs, updated in place
+ * @param {Function} params.write - Writes a record to the target
+ * @param {Function} params.getId - Gets the record ID from the file name and content
+ * @param {boolean} params.dryRun - Whether to skip writing
+ * @param {Function} params.saveState - Persists the migration state
+ * @returns {Promise<Object>} - Counts and the migrated records
+ */
+async function migrateRecords({ kind, dir, done, write, getId, dryRun, saveState }) {
+  const files = listDataFiles(dir);
+  const result = { total: files.length, migrated: [], skipped: 0, failed: [] };
+
+  for (const file of files) {
+    if (done.includes(file)) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const record = readDataFile(path.join(dir, file));
+      const id = getId(file, record);
+
+      if (!dryRun) {
+        await write(id, record);
+        done.push(file);
+        saveState();
+      }
+      result.migrated.push({ id, record });
+    } catch (error) {
+      logger.error(`Failed to migrate ${kind} file ${file}: ${error.message}`);
+      result.failed.push(file);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Verify that migrated records are present in the target
+ * @param {Object} store - The target storage adapter
+ * @param {Object} results - The migration results
+ * @returns {Promise<Array<string>>} - Descriptions of mismatches
+ */
+async function verifyMigration(store, results) {
+  const mismatches = [];
+
+  for (const { id } of results.instances.migrated) {
+    if (!(await store.getInstance(id))) {
+      mismatches.push(`instance ${id} is missing`);
+    }
+  }
+
+  for (const { id, record } of results.conversations.migrated) {
+    const stored = await store.getConversation(id);
+    const expectedCount = (record.messages || []).length;
+    if (!stored) {
+      mismatches.push(`conversation ${id} is missing`);
+    } else if (stored.messages.length !== expectedCount) {
+      mismatches.push(`conversation ${id} has ${stored.messages.length} of ${expectedCount} messages`);
+    }
+  }
+
+  for (const [collection, result] of Object.entries(results.records)) {
+    for (const { id } of result.migrated) {
+      if (!(await store.getRecord(collection, id))) {
+        mismatches.push(`${collection} record ${id} is missing`);
+      }
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Run the migration
+ * @param {Object} options - The migration options
+ * @returns {Promise<boolean>} - Whether the migration succeeded
+ */
+async function migrate(options) {
+  if (options.to === 'file') {
+    throw new Error('Target backend is "file", set DB_TYPE or --to to a database backend such as sqlite');
+  }
+
+  const statePath = path.join(options.source, '.migration-state.json');
+  const state = loadState(statePath, options);
+  const saveState = () => fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf8');
+
+  // Open the target only when writing, a dry run never touches it
+  const store = options.dryRun ? null : createStore({ type: options.to, path: options.dbPath });
+
+  logger.info(`${options.dryRun ? 'Dry run: ' : ''}migrating ${options.source} to ${options.to}`);
+
+  const results = {
+    instances: await migrateRecords({
+      kind: 'instances',
+      dir: path.join(options.source, 'instances'),
+      done: state.instances,
+      dryRun: options.dryRun,
+      saveState,
+      getId: (file) => file.replace('.json', ''),
+      write: (id, record) => store.saveInstance(id, record)
+    }),
+    conversations: await migrateRecords({
+      kind: 'conversations',
+      dir: path.join(options.source, 'conversations'),
+      done: state.conversations,
+      dryRun: options.dryRun,
+      saveState,
+      getId: (file, record) => record.conversationId || file.replace('.json', ''),
+      write: (id, record) => store.saveConversation(id, record)
+    }),
+    records: {}
+  };
+
+  /**
+   * Read a record of the source by its ID
+   * @param {string} collection - The collection
+   * @param {string} id - The record ID
+   * @returns {Object|null} - The record
+   */
+  const readRecord = (collection, id) => {
+    const filePath = path.join(options.source, collection, `${String(id).replace(/[^a-zA-Z0-9-_]/g, '_')}.json`);
+    return fs.existsSync(filePath) ? readDataFile(filePath) : null;
+  };
+
+  const unknownCollections = [];
+
+  for (const collection of listCollections(options.source)) {
+    const getId = RECORD_COLLECTIONS[collection];
+    if (!getId) {
+      logger.error(`Unknown collection ${collection}, cannot tell the IDs of its records`);
+      unknownCollections.push(collection);
+      continue;
+    }
+
+    state.records[collection] = state.records[collection] || [];
+    results.records[collection] = await migrateRecords({
+      kind: collection,
+      dir: path.join(options.source, collection),
+      done: state.records[collection],
+      dryRun: options.dryRun,
+      saveState,
+      getId: (file, record) => getId(file, record, { readRecord }),
+      write: (id, record) => store.saveRecord(collection, id, record)
+    });
+  }
+
+  const counts = { instances: results.instances, conversations: results.conversations, ...results.records };
+  let failedCount = unknownCollections.length;
+
+  for (const [kind, { total, migrated, skipped, failed }] of Object.entries(counts)) {
+    logger.info(`${kind}: ${total} found, ${migrated.length} ${options.dryRun ? 'readable' : 'migrated'}, ${skipped} already migrated, ${failed.length} failed`);
+    failedCount += failed.length;
+  }
+
+  if (options.dryRun) {
+    return failedCount === 0;
+  }
+
+  const mismatches = await verifyMigration(store, results);
+  mismatches.forEach(mismatch => logger.error(`Verification failed: ${mismatch}`));
+
+  if (failedCount === 0 && mismatches.length === 0) {
+    logger.info('Migration complete and verified. Set DB_TYPE to the new backend and restart the server.');
+    return true;
+  }
+
+  logger.error('Migration incomplete, fix the errors above and run again with --resume');
+  return false;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    logger.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  migrate(options)
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate
+};
@@ -0,0 +1,282 @@
+// src/services/actionService.js
+const Joi = require('joi');
+const { Location } = require('whatsapp-web.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateOutboundMedia, getMediaSendOptions } = require('./mediaService');
+const { getSuppressionError } = require('./suppressionService');
+const { queueMessage, trackBotSend } = require('./outboundQueueService');
+
+// Longest typing indicator an action can hold the chat for
+const MAX_TYPING_MS = 10000;
+
+// Schemas for the actions n8n can return, by type
+const actionSchemas = {
+  text: Joi.object({
+    type: Joi.string().valid('text').required(),
+    message: Joi.string().required(),
+    quote: Joi.boolean().default(false)
+  }),
+  media: Joi.object({
+    type: Joi.string().valid('media').required(),
+    media: Joi.object({
+      data: Joi.string(),
+      url: Joi.string().uri({ scheme: ['http', 'https'] }),
+      mimetype: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+/),
+      filename: Joi.string().max(255)
+    }).xor('data', 'url').with('data', 'mimetype').required(),
+    caption: Joi.string().allow('').default(''),
+    mediaType: Joi.string().valid('auto', 'document', 'voice', 'sticker').default('auto'),
+    options: Joi.object({
+      isViewOnce: Joi.boolean(),
+      stickerName: Joi.string().max(100),
+      stickerAuthor: Joi.string().max(100),
+      stickerCategories: Joi.array().items(Joi.string())
+    }).default({}),
+    quote: Joi.boolean().default(false)
+  }),
+  react: Joi.object({
+    type: Joi.string().valid('react').required(),
+    emoji: Joi.string().allow('').required()
+  }),
+  location: Joi.object({
+    type: Joi.string().valid('location').required(),
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    name: Joi.string(),
+    address: Joi.string(),
+    url: Joi.string().uri()
+  }),
+  contact: Joi.object({
+    type: Joi.string().valid('contact').required(),
+    contactId: Joi.string().required()
+  }),
+  typing: Joi.object({
+    type: Joi.string().valid('typing').required(),
+    state: Joi.string().valid('typing', 'recording', 'paused').default('typing'),
+    durationMs: Joi.number().integer().min(0).max(MAX_TYPING_MS).default(0)
+  }),
+  markRead: Joi.object({
+    type: Joi.string().valid('markRead').required()
+  }),
+  forward: Joi.object({
+    type: Joi.string().valid('forward').required(),
+    to: Joi.string().required()
+  }),
+  endSession: Joi.object({
+    type: Joi.string().valid('endSession').required(),
+    message: Joi.string()
+  })
+};
+
+/**
+ * Validate an action returned by n8n
+ * @param {Object} action - The action
+ * @returns {Object} - The validated action or an error message
+ */
+function validateAction(action) {
+  const schema = action && actionSchemas[action.type];
+  if (!schema) {
+    return { error: `Unsupported action type: ${action && action.type}` };
+  }
+
+  const { error, value } = schema.validate(action);
+  return error ? { error: error.details[0].message } : { value };
+}
+
+/**
+ * Refuse to send to a suppressed chat (for sends that do not go through the outbound queue)
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID
+ * @returns {Promise<void>}
+ */
+async function assertNotSuppressed(instanceId, chatId) {
+  const suppressionError = await getSuppressionError(instanceId, chatId);
+  if (suppressionError) {
+    throw new Error(suppressionError);
+  }
+}
+
+/**
+ * Execute a single validated action
+ * Text and media go through the outbound queue, so they are retried and their delivery is tracked
+ * @param {Object} action - The validated action
+ * @param {Object} context - Where the action applies
+ * @returns {Promise<string|null>} - Text sent to the chat (kept in the history) or null
+ */
+async function runAction(action, context) {
+  const { client, instanceId, chatId, messageId } = context;
+  const { createMessageMedia, normalizeChatId } = require('./whatsappService');
+  const quoteOptions = messageId ? { quotedMessageId: messageId } : {};
+
+  switch (action.type) {
+    case 'text':
+      await queueMessage(instanceId, chatId, action.message, action.quote ? quoteOptions : {}, 'action');
+      return action.message;
+
+    case 'media': {
+      const messageMedia = await createMessageMedia(action.media, config.media.maxSizeBytes);
+      const mediaError = validateOutboundMedia(action.mediaType, messageMedia, action.options, action.caption);
+      if (mediaError) {
+        throw new Error(mediaError);
+      }
+      await queueMessage(instanceId, chatId, messageMedia, {
+        ...getMediaSendOptions(action.mediaType, action.options, action.caption),
+        ...(action.quote ? quoteOptions : {})
+      }, 'action');
+      return action.caption || null;
+    }
+
+    case 'react':
+      await (await context.getMessage()).react(action.emoji);
+      return null;
+
+    case 'location':
+      await assertNotSuppressed(instanceId, chatId);
+      await trackBotSend(instanceId, chatId, () => client.sendMessage(chatId, new Location(action.latitude, action.longitude, {
+        name: action.name,
+        address: action.address,
+        url: action.url
+      })));
+      return null;
+
+    case 'contact': {
+      const contactId = normalizeChatId(action.contactId);
+      if (!contactId || !contactId.endsWith('@c.us')) {
+        throw new Error(`Invalid contact: ${action.contactId}`);
+      }
+      await assertNotSuppressed(instanceId, chatId);
+      const contact = await client.getContactById(contactId);
+      await trackBotSend(instanceId, chatId, () => client.sendMessage(chatId, contact));
+      return null;
+    }
+
+    case 'typing': {
+      const chat = await client.getChatById(chatId);
+      if (action.state === 'paused') {
+        await chat.clearState();
+        return null;
+      }
+      await (action.state === 'recording' ? chat.sendStateRecording() : chat.sendStateTyping());
+      if (action.durationMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, action.durationMs));
+      }
+      return null;
+    }
+
+    case 'markRead':
+      await (await client.getChatById(chatId)).sendSeen();
+      return null;
+
+    case 'forward': {
+      const targetChatId = normalizeChatId(action.to);
+      if (!targetChatId) {
+        throw new Error(`Invalid recipient: ${action.to}`);
+      }
+      await assertNotSuppressed(instanceId, targetChatId);
+      await (await context.getMessage()).forward(targetChatId);
+      return null;
+    }
+
+    case 'endSession':
+      if (action.message) {
+        await queueMessage(instanceId, chatId, action.message, {}, 'action');
+      }
+      return action.message || null;
+
+    default:
+      throw new Error(`Unsupported action type: ${action.type}`);
+  }
+}
+
+/**
+ * Execute the actions returned by n8n in order
+ * Invalid or failing actions are skipped and reported, the remaining actions still run
+ * @param {Array<Object>} actions - The actions
+ * @param {Object} context - Where the actions apply
+ * @param {Object} context.client - The WhatsApp client instance
+ * @param {string} context.instanceId - The instance ID
+ * @param {string} context.chatId - The chat to act on
+ * @param {string} [context.messageId] - The user message (for quotes, reactions and forwards)
+ * @param {Object} [context.message] - The user message object, fetched by ID when missing
+ * @returns {Promise<Object>} - { results, historyEntry, endSession }
+ */
+async function executeActions(actions, context) {
+  const { client, instanceId, chatId, messageId } = context;
+  let cachedMessage = context.message || null;
+
+  const actionContext = {
+    client,
+    instanceId,
+    chatId,
+    messageId,
+    getMessage: async () => {
+      if (!cachedMessage && messageId) {
+        cachedMessage = await client.getMessageById(messageId);
+      }
+      if (!cachedMessage) {
+        throw new Error('The user message is not available');
+      }
+      return cachedMessage;
+    }
+  };
+
+  const results = [];
+  const texts = [];
+  let endSession = false;
+
+  for (const action of actions) {
+    const { error, value } = validateAction(action);
+    if (error) {
+      logger.warn(`Skipping invalid n8n action for instance ${instanceId}: ${error}`);
+      results.push({ type: action && action.type, status: 'invalid', error });
+      continue;
+    }
+
+    try {
+      const text = await runAction(value, actionContext);
+      if (text) {
+        texts.push(text);
+      }
+      if (value.type === 'endSession') {
+        endSession = true;
+      }
+      results.push({ type: value.type, status: 'done' });
+    } catch (actionError) {
+      logger.error(`Error executing ${value.type} action for instance ${instanceId}:`, actionError);
+      results.push({ type: value.type, status: 'failed', error: actionError.message });
+    }
+  }
+
+  return {
+    results,
+    endSession,
+    historyEntry: {
+      role: 'assistant',
+      content: texts.length > 0 ? texts.join('\n') : `[${results.map(result => result.type).join(', ')}]`,
+      actions: results,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Get the actions of an n8n response, with the text output as the first (quoted) reply
+ * @param {Object} aiResponse - The n8n response
+ * @returns {Array<Object>|null} - The actions or null if the response has none
+ */
+function getResponseActions(aiResponse) {
+  if (!aiResponse || !Array.isArray(aiResponse.actions) || aiResponse.actions.length === 0) {
+    return null;
+  }
+
+  return aiResponse.output
+    ? [{ type: 'text', message: aiResponse.output, quote: true }, ...aiResponse.actions]
+    : aiResponse.actions;
+}
+
+module.exports = {
+  validateAction,
+  executeActions,
+  getResponseActions
+};
@@ -0,0 +1,266 @@
+// src/services/apiKeyService.js
+const crypto = require('crypto');
+const net = require('net');
+const logger = require('../utils/logger');
+const { getApiKey, findApiKeyByHash, saveApiKey, recordApiKeyUse, listApiKeys } = require('../models/apiKey');
+const { generateToken, hash } = require('../utils/security');
+
+// What an instance API key can be allowed to do
+const API_KEY_SCOPES = ['send', 'qr', 'read-conversations', 'events'];
+
+const KEY_PREFIX = 'wa_';
+
+// How often the last use of a key is written, so busy keys do not write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the public view of an API key (without its hash)
+ * @param {Object} apiKey - The API key
+ * @returns {Object} - The API key
+ */
+function toApiKeyView(apiKey) {
+  const { keyHash, ...view } = apiKey;
+  return {
+    ...view,
+    status: getApiKeyStatus(apiKey)
+  };
+}
+
+/**
+ * Get the status of an API key
+ * @param {Object} apiKey - The API key
+ * @returns {string} - active, expired or revoked
+ */
+function getApiKeyStatus(apiKey) {
+  if (apiKey.revokedAt) {
+    return 'revoked';
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Create a new key secret
+ * @returns {Object} - { key, keyHash, prefix }
+ */
+function createSecret() {
+  const key = `${KEY_PREFIX}${generateToken(24)}`;
+  return {
+    key,
+    keyHash: hash(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8)
+  };
+}
+
+/**
+ * Normalize an IP address, turning IPv4-mapped IPv6 addresses into IPv4
+ * @param {string} ip - The IP address
+ * @returns {string} - The normalized address
+ */
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Check whether an IP address matches an allowed address or IPv4 CIDR range
+ * @param {string} ip - The client IP address
+ * @param {string} allowed - An IP address or a range like 10.0.0.0/8
+ * @returns {boolean} - Whether the address matches
+ */
+function ipMatches(ip, allowed) {
+  if (!allowed.includes('/')) {
+    return normalizeIp(allowed) === ip;
+  }
+
+  const [range, bits] = allowed.split('/');
+  if (!net.isIPv4(range) || !net.isIPv4(ip)) {
+    return false;
+  }
+
+  const toNumber = address => address.split('.').reduce((value, part) => (value << 8) + parseInt(part, 10), 0) >>> 0;
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (toNumber(ip) & mask) === (toNumber(range) & mask);
+}
+
+/**
+ * Validate a list of allowed IP addresses and ranges
+ * @param {Array<string>} [allowedIps] - The allowed addresses
+ * @returns {string|null} - The error message or null if the list is valid
+ */
+function validateAllowedIps(allowedIps) {
+  for (const allowed of allowedIps || []) {
+    const [address, bits] = allowed.split('/');
+    if (bits === undefined ? !net.isIP(address) : !net.isIPv4(address) || !/^\d+$/.test(bits) || Number(bits) > 32) {
+      return `Invalid IP address or range: ${allowed}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Issue an API key for an instance
+ * @param {string} instanceId - The instance ID
+ * @param {Object} definition - The key settings
+ * @param {string} definition.name - What the key is used for
+ * @param {Array<string>} definition.scopes - The allowed scopes
+ * @param {string} [definition.expiresAt] - When the key stops working
+ * @param {Array<string>} [definition.allowedIps] - IP addresses and IPv4 ranges the key can be used from
+ * @returns {Promise<Object>} - The API key, including the key itself (only returned here and on rotation)
+ */
+async function createApiKey(instanceId, definition) {
+  const { key, keyHash, prefix } = createSecret();
+  const apiKey = {
+    keyId: crypto.randomUUID(),
+    instanceId,
+    name: definition.name,
+    prefix,
+    keyHash,
+    scopes: definition.scopes,
+    allowedIps: definition.allowedIps || [],
+    expiresAt: definition.expiresAt || null,
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null,
+    lastUsedIp: null
+  };
+
+  if (!await saveApiKey(apiKey)) {
+    throw new Error('Failed to save API key');
+  }
+
+  logger.info(`API key ${apiKey.keyId} (${apiKey.scopes.join(', ')}) issued for instance ${instanceId}`);
+  return { ...toApiKeyView(apiKey), key };
+}
+
+/**
+ * List the API keys of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array>} - The API keys
+ */
+async function listInstanceApiKeys(instanceId) {
+  const apiKeys = await listApiKeys(instanceId);
+  return apiKeys.map(toApiKeyView);
+}
+
+/**
+ * Get an API key of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object|null>} - The API key or null if not found
+ */
+async function getInstanceApiKey(instanceId, keyId) {
+  const apiKey = await getApiKey(keyId);
+  if (!apiKey || apiKey.instanceId !== instanceId) {
+    return null;
+  }
+  return toApiKeyView(apiKey);
+}
+
+/**
+ * Replace the secret of an API key, the old key stops working right away
+ * @param {string} instanceId - The instance ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object|null>} - The API key with the new key, an error message, or null if not found
+ */
+async function rotateApiKey(instanceId, keyId) {
+  const apiKey = await getApiKey(keyId);
+  if (!apiKey || apiKey.instanceId !== instanceId) {
+    return null;
+  }
+  if (apiKey.revokedAt) {
+    return { error: 'Cannot rotate a revoked API key' };
+  }
+
+  const previousHash = apiKey.keyHash;
+  const { key, keyHash, prefix } = createSecret();
+  Object.assign(apiKey, { keyHash, prefix, rotatedAt: new Date().toISOString() });
+
+  if (!await saveApiKey(apiKey, previousHash)) {
+    throw new Error('Failed to save API key');
+  }
+
+  logger.info(`API key ${keyId} rotated for instance ${instanceId}`);
+  return { value: { ...toApiKeyView(apiKey), key } };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} instanceId - The instance ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object|null>} - The revoked API key or null if not found
+ */
+async function revokeApiKey(instanceId, keyId) {
+  const apiKey = await getApiKey(keyId);
+  if (!apiKey || apiKey.instanceId !== instanceId) {
+    return null;
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date().toISOString();
+    if (!await saveApiKey(apiKey)) {
+      throw new Error('Failed to save API key');
+    }
+    logger.info(`API key ${keyId} revoked for instance ${instanceId}`);
+  }
+
+  return toApiKeyView(apiKey);
+}
+
+/**
+ * Check whether an instance has API keys that can be used
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<boolean>} - Whether the instance has active keys
+ */
+async function hasActiveApiKeys(instanceId) {
+  const apiKeys = await listApiKeys(instanceId);
+  return apiKeys.some(apiKey => getApiKeyStatus(apiKey) === 'active');
+}
+
+/**
+ * Authenticate a request with an instance API key, recording its use
+ * @param {string} instanceId - The instance the request is for
+ * @param {string} key - The key from the X-API-Key header
+ * @param {string} ip - The client IP address
+ * @returns {Promise<Object>} - { value } with the API key, or { error, status }
+ */
+async function authenticateApiKey(instanceId, key, ip) {
+  const apiKey = await findApiKeyByHash(hash(String(key)));
+  if (!apiKey || apiKey.revokedAt) {
+    return { error: 'Invalid API key', status: 401 };
+  }
+  if (apiKey.instanceId !== instanceId) {
+    return { error: 'API key is not valid for this instance', status: 403 };
+  }
+  if (getApiKeyStatus(apiKey) === 'expired') {
+    return { error: 'API key has expired', status: 401 };
+  }
+
+  const clientIp = normalizeIp(ip);
+  if (apiKey.allowedIps.length > 0 && !apiKey.allowedIps.some(allowed => ipMatches(clientIp, allowed))) {
+    return { error: 'API key is not allowed from this IP address', status: 403 };
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() >= LAST_USED_INTERVAL_MS || apiKey.lastUsedIp !== clientIp) {
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    apiKey.lastUsedIp = clientIp;
+    await recordApiKeyUse(apiKey.keyId, apiKey);
+  }
+
+  return { value: toApiKeyView(apiKey) };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateAllowedIps,
+  createApiKey,
+  listInstanceApiKeys,
+  getInstanceApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  hasActiveApiKeys,
+  authenticateApiKey
+};
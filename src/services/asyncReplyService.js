@@ -0,0 +1,271 @@
+// src/services/asyncReplyService.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getInstanceConfig } = require('../models/instance');
+const { updateConversation, clearConversation } = require('../models/conversation');
+const {
+  getPendingReply,
+  savePendingReply,
+  deletePendingReply,
+  listPendingReplies
+} = require('../models/pendingReply');
+const { sendMessageToN8n } = require('./n8nService');
+const { beginHandoff } = require('./handoffService');
+const { executeActions, getResponseActions } = require('./actionService');
+const { queueMessage } = require('./outboundQueueService');
+
+const DEFAULT_TIMEOUT_MESSAGE = 'Sorry, this is taking longer than expected. Please try again later.';
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Scheduler state
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Get the async reply options for an instance, merged with the defaults
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object} - { enabled, timeoutSeconds, timeoutMessage }
+ */
+function getAsyncOptions(instanceConfig) {
+  const asyncConfig = instanceConfig && instanceConfig.n8nConfig && instanceConfig.n8nConfig.async;
+  const settings = asyncConfig && typeof asyncConfig === 'object' ? asyncConfig : {};
+
+  return {
+    enabled: asyncConfig === true || (!!asyncConfig && settings.enabled !== false),
+    timeoutSeconds: settings.timeoutSeconds || 300,
+    timeoutMessage: settings.timeoutMessage !== undefined ? settings.timeoutMessage : DEFAULT_TIMEOUT_MESSAGE
+  };
+}
+
+/**
+ * Add a message exchange to the conversation history and save it
+ * @param {Object} pendingReply - The pending reply
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} [reply] - The assistant history entry
+ * @param {Object} [handoff] - Handoff requested by n8n (handoff flag and reason)
+ * @returns {Promise<void>}
+ */
+async function recordExchange(pendingReply, instanceConfig, reply, handoff) {
+  const conversationId = `${pendingReply.instanceId}-${pendingReply.chatId}`;
+
+  // Changed on a fresh copy, the reply can arrive long after the history was sent to n8n
+  await updateConversation(conversationId, pendingReply.instanceId, async conversation => {
+    conversation.messages.push({
+      role: 'user',
+      content: pendingReply.historyContent,
+      ...(pendingReply.author ? { author: pendingReply.author } : {}),
+      timestamp: pendingReply.receivedAt
+    });
+    if (reply) {
+      conversation.messages.push(reply);
+    }
+
+    if (handoff && handoff.handoff) {
+      await beginHandoff(conversation, pendingReply.instanceId, pendingReply.chatId, instanceConfig, {
+        source: 'n8n',
+        reason: handoff.handoffReason
+      });
+    }
+
+    // Trim conversation history if it gets too long
+    const maxLength = instanceConfig.maxConversationLength || 20;
+    if (conversation.messages.length > maxLength) {
+      conversation.messages = conversation.messages.slice(-maxLength);
+    }
+  });
+}
+
+/**
+ * Send a message to n8n in async mode
+ * n8n gets a correlation ID and a callback URL, acknowledges at once and posts the reply later
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} requestData - The n8n payload
+ * @param {Object} route - The n8n route (see resolveRoute)
+ * @param {Object} context - What is needed to deliver the reply later
+ * @param {string} context.chatId - The chat to reply to
+ * @param {string} context.messageId - The message to quote
+ * @param {string} [context.author] - The group member who sent the message
+ * @param {string} context.historyContent - The content stored in the conversation history
+ * @param {string} context.receivedAt - When the message was received
+ * @returns {Promise<Object|null>} - The n8n response if n8n answered right away, null if the reply will come later
+ */
+async function requestAsyncReply(instanceId, instanceConfig, requestData, route, context) {
+  const { timeoutSeconds } = getAsyncOptions(instanceConfig);
+  const correlationId = crypto.randomUUID();
+  const now = new Date();
+
+  await savePendingReply({
+    correlationId,
+    instanceId,
+    ...context,
+    route: route.name,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + timeoutSeconds * 1000).toISOString()
+  });
+
+  try {
+    const response = await sendMessageToN8n(instanceId, {
+      ...requestData,
+      correlationId,
+      callbackUrl: `${config.publicUrl}/api/webhook/${instanceId}/callback/${correlationId}`
+    }, route);
+
+    // n8n may still answer synchronously
+    if (response && (response.output || getResponseActions(response))) {
+      await deletePendingReply(correlationId);
+      return response;
+    }
+
+    logger.info(`n8n accepted message ${correlationId} for async processing on instance ${instanceId}`);
+    return null;
+  } catch (error) {
+    await deletePendingReply(correlationId);
+    throw error;
+  }
+}
+
+/**
+ * Deliver a reply posted by n8n to the callback endpoint
+ * @param {string} instanceId - The instance ID
+ * @param {string} correlationId - The correlation ID
+ * @param {Object} body - The callback body (output, actions, handoff, handoffReason)
+ * @returns {Promise<Object|null>} - The queued reply or null if the reply is unknown or expired
+ */
+async function deliverAsyncReply(instanceId, correlationId, body) {
+  const pendingReply = await getPendingReply(correlationId);
+  if (!pendingReply || pendingReply.instanceId !== instanceId) {
+    return null;
+  }
+
+  const { getClientInstance } = require('./whatsappService');
+  const client = getClientInstance(instanceId);
+  if (!client) {
+    throw new Error(`WhatsApp client for instance ${instanceId} not initialized`);
+  }
+
+  // Claim the reply before sending it, so a callback retried or sent twice by n8n is only delivered once
+  if (!await deletePendingReply(correlationId)) {
+    return null;
+  }
+
+  const instanceConfig = await getInstanceConfig(instanceId);
+  const actions = getResponseActions(body);
+  let outboundMessage = null;
+  let reply = null;
+  let execution = null;
+
+  try {
+    if (actions) {
+      execution = await executeActions(actions, {
+        client,
+        instanceId,
+        chatId: pendingReply.chatId,
+        messageId: pendingReply.messageId
+      });
+      reply = execution.historyEntry;
+    } else if (body.output) {
+      outboundMessage = await queueMessage(instanceId, pendingReply.chatId, body.output, {
+        ...(pendingReply.messageId ? { quotedMessageId: pendingReply.messageId } : {})
+      }, 'reply');
+      reply = { role: 'assistant', content: body.output, timestamp: new Date().toISOString() };
+    }
+  } catch (error) {
+    // Put the reply back so n8n can retry a failed delivery
+    await savePendingReply(pendingReply);
+    throw error;
+  }
+
+  await recordExchange(pendingReply, instanceConfig || {}, reply, body);
+
+  // n8n ended the session, the next message starts with a fresh memory
+  if (execution && execution.endSession) {
+    await clearConversation(`${instanceId}-${pendingReply.chatId}`);
+  }
+
+  logger.info(`Delivered async reply ${correlationId} to ${pendingReply.chatId} for instance ${instanceId}`);
+  return { pendingReply, outboundMessage, actions: execution ? execution.results : undefined };
+}
+
+/**
+ * Send the timeout notice for replies n8n did not deliver in time
+ * @returns {Promise<void>}
+ */
+async function expirePendingReplies() {
+  if (sweeping) {
+    return;
+  }
+
+  sweeping = true;
+  try {
+    const { getClientInstance } = require('./whatsappService');
+    const now = new Date();
+
+    for (const pendingReply of await listPendingReplies()) {
+      if (new Date(pendingReply.expiresAt) > now) {
+        continue;
+      }
+
+      // Skip replies a callback claimed in the meantime
+      if (!await deletePendingReply(pendingReply.correlationId)) {
+        continue;
+      }
+      logger.warn(`No async reply from n8n for ${pendingReply.correlationId} on instance ${pendingReply.instanceId}`);
+
+      const instanceConfig = await getInstanceConfig(pendingReply.instanceId);
+      if (!instanceConfig) {
+        continue;
+      }
+
+      const { timeoutMessage } = getAsyncOptions(instanceConfig);
+      const client = getClientInstance(pendingReply.instanceId);
+      if (timeoutMessage && client) {
+        try {
+          await queueMessage(pendingReply.instanceId, pendingReply.chatId, timeoutMessage, {
+            ...(pendingReply.messageId ? { quotedMessageId: pendingReply.messageId } : {})
+          }, 'reply');
+        } catch (error) {
+          logger.error(`Failed to send timeout notice to ${pendingReply.chatId} for instance ${pendingReply.instanceId}:`, error);
+        }
+      }
+
+      await recordExchange(pendingReply, instanceConfig);
+    }
+  } catch (error) {
+    logger.error('Error expiring pending replies:', error);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start checking for async replies that timed out
+ */
+function startAsyncReplyScheduler() {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(expirePendingReplies, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the async reply scheduler
+ */
+function stopAsyncReplyScheduler() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  getAsyncOptions,
+  requestAsyncReply,
+  deliverAsyncReply,
+  expirePendingReplies,
+  startAsyncReplyScheduler,
+  stopAsyncReplyScheduler
+};
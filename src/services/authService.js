@@ -0,0 +1,426 @@
+// src/services/authService.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  getAdminUser,
+  findAdminUserByUsername,
+  saveAdminUser,
+  deleteAdminUser,
+  listAdminUsers
+} = require('../models/adminUser');
+const {
+  getRefreshToken,
+  saveRefreshToken,
+  deleteRefreshToken,
+  listRefreshTokens
+} = require('../models/refreshToken');
+const { generateToken, hash } = require('../utils/security');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles of operator accounts
+// super-admin: everything, instance-admin: its instances, read-only: reading its instances
+const ADMIN_ROLES = ['super-admin', 'instance-admin', 'read-only'];
+
+const PASSWORD_KEY_LENGTH = 64;
+
+// Signing secret for development without JWT_SECRET (sessions end on restart)
+let developmentJwtSecret = null;
+
+// Compared against when the username is unknown, so the response time does not reveal which usernames exist
+const DUMMY_PASSWORD_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(PASSWORD_KEY_LENGTH * 2)}`;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - The password
+ * @returns {Promise<string>} - The hash as "scrypt:<salt>:<hash>"
+ */
+async function hashPassword(password) {
+  const salt = generateToken(16);
+  const derived = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt:${salt}:${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against its hash
+ * @param {string} password - The password
+ * @param {string} passwordHash - The hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, expected] = String(passwordHash).split(':');
+  if (algorithm !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const derived = await scrypt(String(password), salt, PASSWORD_KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === derived.length && crypto.timingSafeEqual(derived, expectedBuffer);
+}
+
+/**
+ * Get the secret access tokens are signed with
+ * Without JWT_SECRET no tokens are issued or accepted, except in development mode
+ * @returns {string|null} - The secret or null if it is not configured
+ */
+function getJwtSecret() {
+  if (config.jwtSecret) {
+    return config.jwtSecret;
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    if (!developmentJwtSecret) {
+      logger.warn('No JWT secret set in environment variables, signing access tokens with a random secret (development mode)');
+      developmentJwtSecret = generateToken(32);
+    }
+    return developmentJwtSecret;
+  }
+
+  logger.error('Access token signing failed: No JWT_SECRET set in environment variables');
+  return null;
+}
+
+/**
+ * Get the public view of an operator account (without its password hash)
+ * @param {Object} user - The user
+ * @returns {Object} - The user
+ */
+function toUserView(user) {
+  const { passwordHash, tokenVersion, ...view } = user;
+  return view;
+}
+
+/**
+ * Check whether an operator can access an instance
+ * @param {Object} user - The user
+ * @param {string} instanceId - The instance ID
+ * @returns {boolean} - Whether the instance is assigned to the user (super-admins can access every instance)
+ */
+function canAccessInstance(user, instanceId) {
+  if (user.role === 'super-admin') {
+    return true;
+  }
+  return user.instances.includes('*') || user.instances.includes(instanceId);
+}
+
+/**
+ * Check whether removing a user would leave no active super-admin
+ * @param {Object} user - The user that would stop being an active super-admin
+ * @returns {Promise<boolean>} - Whether the user is the last active super-admin
+ */
+async function isLastSuperAdmin(user) {
+  if (user.role !== 'super-admin' || user.disabled) {
+    return false;
+  }
+  const users = await listAdminUsers();
+  return !users.some(other => other.userId !== user.userId && other.role === 'super-admin' && !other.disabled);
+}
+
+/**
+ * Revoke every session of a user: refresh tokens are deleted and issued access tokens stop working
+ * @param {Object} user - The user (its tokenVersion is increased, the caller saves it)
+ * @returns {Promise<void>}
+ */
+async function revokeSessions(user) {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  const refreshTokens = await listRefreshTokens(user.userId);
+  await Promise.all(refreshTokens.map(refreshToken => deleteRefreshToken(refreshToken.tokenHash)));
+}
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - The user
+ * @returns {Promise<Object>} - The session
+ */
+async function issueSession(user) {
+  const expiresIn = config.auth.accessTokenTtlSeconds;
+  const accessToken = jwt.sign(
+    { sub: user.userId, role: user.role, ver: user.tokenVersion || 0 },
+    getJwtSecret(),
+    { expiresIn }
+  );
+
+  // Drop the expired refresh tokens of the user while adding the new one
+  const now = new Date();
+  const refreshTokens = await listRefreshTokens(user.userId);
+  await Promise.all(refreshTokens
+    .filter(refreshToken => new Date(refreshToken.expiresAt) <= now)
+    .map(refreshToken => deleteRefreshToken(refreshToken.tokenHash)));
+
+  const refreshToken = generateToken(32);
+  const refreshExpiresAt = new Date(now.getTime() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+  if (!await saveRefreshToken({
+    tokenHash: hash(refreshToken),
+    userId: user.userId,
+    tokenVersion: user.tokenVersion || 0,
+    createdAt: now.toISOString(),
+    expiresAt: refreshExpiresAt
+  })) {
+    throw new Error('Failed to save refresh token');
+  }
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn,
+    refreshToken,
+    refreshExpiresAt,
+    user: toUserView(user)
+  };
+}
+
+/**
+ * Create an operator account
+ * @param {Object} definition - The account settings
+ * @param {string} definition.username - The login name
+ * @param {string} definition.password - The password
+ * @param {string} definition.role - super-admin, instance-admin or read-only
+ * @param {Array<string>} [definition.instances] - Instance IDs the user can access ('*' for all)
+ * @param {string} [definition.name] - Display name
+ * @returns {Promise<Object>} - { value } with the user, or { error, status }
+ */
+async function createUser(definition) {
+  if (await findAdminUserByUsername(definition.username)) {
+    return { error: `Username already exists: ${definition.username}`, status: 409 };
+  }
+
+  const user = {
+    userId: crypto.randomUUID(),
+    username: definition.username,
+    name: definition.name || definition.username,
+    role: definition.role,
+    instances: definition.instances || [],
+    disabled: false,
+    passwordHash: await hashPassword(definition.password),
+    tokenVersion: 0,
+    createdAt: new Date().toISOString(),
+    passwordChangedAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+
+  if (!await saveAdminUser(user)) {
+    throw new Error('Failed to save user');
+  }
+
+  logger.info(`Admin user ${user.username} (${user.role}) created`);
+  return { value: toUserView(user) };
+}
+
+/**
+ * List operator accounts
+ * @returns {Promise<Array>} - The users
+ */
+async function listUsers() {
+  const users = await listAdminUsers();
+  return users.map(toUserView);
+}
+
+/**
+ * Get an operator account
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The user or null if not found
+ */
+async function getUser(userId) {
+  const user = await getAdminUser(userId);
+  return user ? toUserView(user) : null;
+}
+
+/**
+ * Change the name, role, instances, password or disabled flag of an operator account
+ * Changing the password or disabling the account ends its sessions
+ * @param {string} userId - The user ID
+ * @param {Object} changes - The changed settings
+ * @returns {Promise<Object|null>} - { value } with the user, { error, status }, or null if not found
+ */
+async function updateUser(userId, changes) {
+  const user = await getAdminUser(userId);
+  if (!user) {
+    return null;
+  }
+
+  const demoted = (changes.role && changes.role !== 'super-admin') || changes.disabled === true;
+  if (demoted && await isLastSuperAdmin(user)) {
+    return { error: 'Cannot demote or disable the last super-admin', status: 409 };
+  }
+
+  for (const field of ['name', 'role', 'instances', 'disabled']) {
+    if (changes[field] !== undefined) {
+      user[field] = changes[field];
+    }
+  }
+
+  if (changes.password !== undefined) {
+    user.passwordHash = await hashPassword(changes.password);
+    user.passwordChangedAt = new Date().toISOString();
+  }
+  if (changes.password !== undefined || changes.disabled === true) {
+    await revokeSessions(user);
+  }
+
+  if (!await saveAdminUser(user)) {
+    throw new Error('Failed to save user');
+  }
+
+  logger.info(`Admin user ${user.username} updated`);
+  return { value: toUserView(user) };
+}
+
+/**
+ * Delete an operator account and its sessions
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - { value } with the deleted user, { error, status }, or null if not found
+ */
+async function deleteUser(userId) {
+  const user = await getAdminUser(userId);
+  if (!user) {
+    return null;
+  }
+  if (await isLastSuperAdmin(user)) {
+    return { error: 'Cannot delete the last super-admin', status: 409 };
+  }
+
+  await revokeSessions(user);
+  if (!await deleteAdminUser(user)) {
+    throw new Error('Failed to delete user');
+  }
+
+  logger.info(`Admin user ${user.username} deleted`);
+  return { value: toUserView(user) };
+}
+
+/**
+ * Log in with a username and password
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @returns {Promise<Object>} - { value } with the session, or { error, status }
+ */
+async function login(username, password) {
+  if (!getJwtSecret()) {
+    return { error: 'Server configuration error: JWT secret not set', status: 500 };
+  }
+
+  const user = await findAdminUserByUsername(username);
+  const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !valid) {
+    logger.warn(`Admin login failed for ${username}`);
+    return { error: 'Invalid username or password', status: 401 };
+  }
+  if (user.disabled) {
+    logger.warn(`Admin login refused for disabled user ${user.username}`);
+    return { error: 'User is disabled', status: 403 };
+  }
+
+  user.lastLoginAt = new Date().toISOString();
+  await saveAdminUser(user);
+
+  logger.info(`Admin user ${user.username} logged in`);
+  return { value: await issueSession(user) };
+}
+
+/**
+ * Exchange a refresh token for a new session, the refresh token can only be used once
+ * @param {string} token - The refresh token
+ * @returns {Promise<Object>} - { value } with the session, or { error, status }
+ */
+async function refreshSession(token) {
+  if (!getJwtSecret()) {
+    return { error: 'Server configuration error: JWT secret not set', status: 500 };
+  }
+
+  const tokenHash = hash(String(token));
+  const refreshToken = await getRefreshToken(tokenHash);
+  if (!refreshToken) {
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+  await deleteRefreshToken(tokenHash);
+
+  if (new Date(refreshToken.expiresAt) <= new Date()) {
+    return { error: 'Refresh token has expired', status: 401 };
+  }
+
+  const user = await getAdminUser(refreshToken.userId);
+  if (!user || user.disabled || (user.tokenVersion || 0) !== refreshToken.tokenVersion) {
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+
+  return { value: await issueSession(user) };
+}
+
+/**
+ * Log out by revoking a refresh token
+ * @param {string} token - The refresh token
+ * @returns {Promise<boolean>} - Whether the token existed
+ */
+async function logout(token) {
+  const tokenHash = hash(String(token));
+  if (!await getRefreshToken(tokenHash)) {
+    return false;
+  }
+  return deleteRefreshToken(tokenHash);
+}
+
+/**
+ * Change the password of the logged in user, ending all of its sessions
+ * @param {string} userId - The user ID
+ * @param {string} currentPassword - The current password
+ * @param {string} newPassword - The new password
+ * @returns {Promise<Object>} - { value } with the user, or { error, status }
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+  const user = await getAdminUser(userId);
+  if (!user) {
+    return { error: 'User not found', status: 404 };
+  }
+  if (!await verifyPassword(currentPassword, user.passwordHash)) {
+    return { error: 'Current password is incorrect', status: 401 };
+  }
+  return updateUser(userId, { password: newPassword });
+}
+
+/**
+ * Authenticate a request with an access token
+ * The user is loaded on every request, so role changes apply and disabled users are locked out right away
+ * @param {string} token - The access token from the Authorization header
+ * @returns {Promise<Object>} - { value } with the user, or { error, status }
+ */
+async function authenticateAccessToken(token) {
+  const secret = getJwtSecret();
+  if (!secret) {
+    return { error: 'Server configuration error: JWT secret not set', status: 500 };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token',
+      status: 401
+    };
+  }
+
+  const user = await getAdminUser(claims.sub);
+  if (!user || user.disabled || (user.tokenVersion || 0) !== claims.ver) {
+    return { error: 'Access token has been revoked', status: 401 };
+  }
+
+  return { value: toUserView(user) };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  canAccessInstance,
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  login,
+  refreshSession,
+  logout,
+  changePassword,
+  authenticateAccessToken
+};
@@ -0,0 +1,343 @@
+// src/services/businessHoursService.js
+const logger = require('../utils/logger');
+const { getInstanceConfig, listInstances } = require('../models/instance');
+const { updateConversation } = require('../models/conversation');
+const {
+  getPendingMessages,
+  addPendingMessage,
+  removePendingMessage
+} = require('../models/pendingMessage');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_AWAY_MESSAGE = "Thanks for your message! We're currently closed and will get back to you during business hours.";
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Scheduler state
+let flushTimer = null;
+let flushing = false;
+
+/**
+ * Get the business hours options for an instance, merged with the defaults
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object|null} - The business hours options or null if the instance answers 24/7
+ */
+function getBusinessHoursOptions(instanceConfig) {
+  const businessHours = instanceConfig && instanceConfig.options && instanceConfig.options.businessHours;
+  if (!businessHours || businessHours.enabled === false || !businessHours.schedule) {
+    return null;
+  }
+
+  return {
+    timezone: businessHours.timezone || 'UTC',
+    schedule: businessHours.schedule,
+    holidays: Array.isArray(businessHours.holidays) ? businessHours.holidays : [],
+    outsideHours: businessHours.outsideHours === 'queue' ? 'queue' : 'away',
+    awayMessage: businessHours.awayMessage !== undefined ? businessHours.awayMessage : DEFAULT_AWAY_MESSAGE
+  };
+}
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = parseInt(value, 10);
+  });
+  return values;
+}
+
+/**
+ * Convert a local date and time in a timezone to an instant
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of the month
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} - The instant
+ */
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Offset of the timezone at a given instant
+  const offsetAt = timestamp => {
+    const parts = getZonedParts(new Date(timestamp), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+      Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // Correct once more in case the guess crossed a DST change
+  const offset = offsetAt(localAsUtc);
+  const correctedOffset = offsetAt(localAsUtc - offset);
+  return new Date(localAsUtc - correctedOffset);
+}
+
+/**
+ * Parse the opening ranges of a day ("09:00-17:00")
+ * @param {Array<string>} ranges - The ranges
+ * @returns {Array<Object>} - { start, end } in minutes since midnight, sorted by start
+ */
+function parseRanges(ranges) {
+  return (Array.isArray(ranges) ? ranges : [])
+    .map(range => {
+      const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(range).trim());
+      if (!match) {
+        return null;
+      }
+      const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+      const end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+      return end > start ? { start, end } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {string} - The formatted date
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Check if an instance is open at a given time
+ * @param {Object} options - Business hours options
+ * @param {Date} [date=new Date()] - The instant to check
+ * @returns {boolean} - Whether the instance is within business hours
+ */
+function isWithinBusinessHours(options, date = new Date()) {
+  const parts = getZonedParts(date, options.timezone);
+  if (options.holidays.includes(formatDate(parts.year, parts.month, parts.day))) {
+    return false;
+  }
+
+  const weekday = WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+  const minutes = parts.hour * 60 + parts.minute;
+  return parseRanges(options.schedule[weekday]).some(({ start, end }) => minutes >= start && minutes < end);
+}
+
+/**
+ * Get the next time an instance opens
+ * @param {Object} options - Business hours options
+ * @param {Date} [from=new Date()] - Start searching from this instant
+ * @returns {Date|null} - The next opening or null if there is none in the next two weeks
+ */
+function getNextOpening(options, from = new Date()) {
+  const today = getZonedParts(from, options.timezone);
+
+  for (let offset = 0; offset <= 14; offset++) {
+    // Walk the local calendar, independent of DST
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth() + 1;
+    const dayOfMonth = day.getUTCDate();
+
+    if (options.holidays.includes(formatDate(year, month, dayOfMonth))) {
+      continue;
+    }
+
+    for (const { start } of parseRanges(options.schedule[WEEKDAYS[day.getUTCDay()]])) {
+      const opening = zonedTimeToDate(year, month, dayOfMonth, start, options.timezone);
+      if (opening > from) {
+        return opening;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the business hours status of an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Date} [date=new Date()] - The instant to check
+ * @returns {Object} - { enabled, open, nextOpening }
+ */
+function getBusinessHoursStatus(instanceConfig, date = new Date()) {
+  const options = getBusinessHoursOptions(instanceConfig);
+  if (!options) {
+    return { enabled: false, open: true, nextOpening: null };
+  }
+
+  const open = isWithinBusinessHours(options, date);
+  const nextOpening = open ? null : getNextOpening(options, date);
+  return {
+    enabled: true,
+    open,
+    timezone: options.timezone,
+    nextOpening: nextOpening ? nextOpening.toISOString() : null
+  };
+}
+
+/**
+ * Handle an incoming message outside business hours
+ * Sends the away message once per closed period and queues the message if configured
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} incoming - The processed message
+ * @param {string} incoming.chatId - The chat the message came from
+ * @param {Object} incoming.sender - The sender (id, name)
+ * @param {string} incoming.messageContent - The sanitized message text
+ * @param {string} incoming.historyContent - The content stored in the conversation history
+ * @param {Object|null} incoming.media - The media payload
+ * @param {string} incoming.receivedAt - When the message was received
+ * @returns {Promise<boolean>} - Whether the message was handled (the n8n flow must be skipped)
+ */
+async function handleOutsideBusinessHours(message, instanceId, instanceConfig, incoming) {
+  const options = getBusinessHoursOptions(instanceConfig);
+  let status;
+  try {
+    status = getBusinessHoursStatus(instanceConfig);
+  } catch (error) {
+    // An invalid timezone should not take the bot down
+    logger.error(`Invalid business hours for instance ${instanceId}:`, error);
+    return false;
+  }
+
+  if (status.open) {
+    return false;
+  }
+
+  if (options.outsideHours === 'queue') {
+    await addPendingMessage(instanceId, {
+      chatId: incoming.chatId,
+      messageId: message.id && message.id._serialized,
+      sender: incoming.sender,
+      message: incoming.messageContent,
+      historyContent: incoming.historyContent,
+      messageType: message.type,
+      media: incoming.media,
+      isGroup: incoming.chatId.includes('@g.us'),
+      receivedAt: incoming.receivedAt
+    });
+    logger.info(`Queued message from ${incoming.chatId} until business hours for instance ${instanceId}`);
+  }
+
+  // The away message is sent once per contact for each closed period
+  if (options.awayMessage) {
+    const closedPeriod = status.nextOpening || 'closed';
+
+    await updateConversation(`${instanceId}-${incoming.chatId}`, instanceId, async conversation => {
+      if (conversation.awayNoticeUntil === closedPeriod) {
+        return false;
+      }
+      await message.reply(options.awayMessage);
+      conversation.awayNoticeUntil = closedPeriod;
+      return true;
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Process the queued messages of instances that are open again
+ * @returns {Promise<void>}
+ */
+async function flushPendingMessages() {
+  if (flushing) {
+    return;
+  }
+
+  flushing = true;
+  try {
+    // Loaded lazily to avoid a circular dependency with the message handler
+    const { getClientInstance } = require('./whatsappService');
+    const { processPendingMessage } = require('../controllers/messageHandler');
+
+    for (const instanceId of await listInstances()) {
+      const instanceConfig = await getInstanceConfig(instanceId);
+      if (!instanceConfig) {
+        continue;
+      }
+
+      let status;
+      try {
+        status = getBusinessHoursStatus(instanceConfig);
+      } catch (error) {
+        logger.error(`Invalid business hours for instance ${instanceId}:`, error);
+        continue;
+      }
+      if (!status.open) {
+        continue;
+      }
+
+      const client = getClientInstance(instanceId);
+      const state = client ? await client.getState().catch(() => null) : null;
+      if (state !== 'CONNECTED') {
+        continue;
+      }
+
+      const pendingMessages = await getPendingMessages(instanceId);
+      if (pendingMessages.length === 0) {
+        continue;
+      }
+      logger.info(`Processing ${pendingMessages.length} queued message(s) for instance ${instanceId}`);
+
+      for (const pendingMessage of pendingMessages) {
+        try {
+          await processPendingMessage(pendingMessage, client, instanceId, instanceConfig);
+        } catch (error) {
+          logger.error(`Error processing queued message ${pendingMessage.id} for instance ${instanceId}:`, error);
+        }
+        await removePendingMessage(instanceId, pendingMessage.id);
+      }
+    }
+  } catch (error) {
+    logger.error('Error processing queued messages:', error);
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * Start processing queued messages when business hours resume
+ */
+function startBusinessHoursScheduler() {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(flushPendingMessages, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+}
+
+/**
+ * Stop the queued message scheduler
+ */
+function stopBusinessHoursScheduler() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+}
+
+module.exports = {
+  getBusinessHoursOptions,
+  isWithinBusinessHours,
+  getNextOpening,
+  getBusinessHoursStatus,
+  handleOutsideBusinessHours,
+  flushPendingMessages,
+  startBusinessHoursScheduler,
+  stopBusinessHoursScheduler
+};
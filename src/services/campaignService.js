@@ -0,0 +1,386 @@
+// src/services/campaignService.js
+const crypto = require('crypto');
+const { MessageMedia } = require('whatsapp-web.js');
+const logger = require('../utils/logger');
+const { getCampaign, saveCampaign, listCampaigns } = require('../models/campaign');
+const { isInstanceConnected, queueMessage, listMessageStatuses } = require('./outboundQueueService');
+const { getSuppressionError } = require('./suppressionService');
+const { renderTemplate } = require('../utils/template');
+
+const DEFAULT_RATE_PER_MINUTE = 10;
+const DEFAULT_JITTER_SECONDS = 5;
+const TICK_INTERVAL_MS = 1000;
+
+// Campaigns being sent, by campaign ID, with the time their next message is due
+const activeCampaigns = new Map();
+
+// Pending changes per campaign, so the sender and pause/resume/cancel never overwrite each other
+const campaignLocks = new Map();
+
+// Scheduler state
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Run a change on a campaign after the changes already pending for it
+ * @param {string} campaignId - The campaign ID
+ * @param {Function} change - The change to run
+ * @returns {Promise<any>} - The result of the change
+ */
+function withCampaignLock(campaignId, change) {
+  const previous = campaignLocks.get(campaignId) || Promise.resolve();
+  const next = previous.then(change, change);
+  const settled = next.catch(() => {});
+  campaignLocks.set(campaignId, settled);
+  settled.then(() => {
+    if (campaignLocks.get(campaignId) === settled) {
+      campaignLocks.delete(campaignId);
+    }
+  });
+  return next;
+}
+
+/**
+ * Get the delay before the next campaign message
+ * @param {Object} campaign - The campaign
+ * @returns {number} - The delay in milliseconds
+ */
+function getSendDelay(campaign) {
+  return Math.round(60000 / campaign.ratePerMinute + Math.random() * campaign.jitterSeconds * 1000);
+}
+
+/**
+ * Count the recipients of a campaign by status
+ * @param {Array<Object>} recipients - The campaign recipients
+ * @param {string} [field] - The status field to count
+ * @returns {Object} - The number of recipients per status
+ */
+function countByStatus(recipients, field = 'status') {
+  return recipients.reduce((counts, recipient) => {
+    if (recipient[field]) {
+      counts[recipient[field]] = (counts[recipient[field]] || 0) + 1;
+    }
+    return counts;
+  }, {});
+}
+
+/**
+ * Summarize a campaign without its recipients and media data
+ * @param {Object} campaign - The campaign
+ * @returns {Object} - The campaign summary with progress
+ */
+function toCampaignSummary(campaign) {
+  const { recipients, media, ...summary } = campaign;
+  const pending = recipients.filter(recipient => recipient.status === 'pending').length;
+
+  return {
+    ...summary,
+    ...(media ? { media: { mimetype: media.mimetype, filename: media.filename, filesize: media.filesize } } : {}),
+    progress: {
+      total: recipients.length,
+      processed: recipients.length - pending,
+      pending,
+      percent: recipients.length ? Math.round(((recipients.length - pending) / recipients.length) * 100) : 100,
+      ...countByStatus(recipients)
+    }
+  };
+}
+
+/**
+ * Create a campaign and start sending it
+ * @param {string} instanceId - The instance ID
+ * @param {Object} definition - The campaign
+ * @param {string} [definition.name] - A name for the campaign
+ * @param {string} definition.message - The message (or media caption) with {{variable}} placeholders
+ * @param {MessageMedia} [definition.media] - Media sent to every recipient
+ * @param {Object} [definition.sendOptions] - whatsapp-web.js send options for the media
+ * @param {Object} [definition.variables] - Variables shared by all recipients
+ * @param {Array<Object>} definition.recipients - The recipients ({ to, chatId, variables })
+ * @param {number} [definition.ratePerMinute] - Messages sent per minute
+ * @param {number} [definition.jitterSeconds] - Random extra wait between messages
+ * @returns {Promise<Object>} - The campaign summary
+ */
+async function createCampaign(instanceId, definition) {
+  const seen = new Set();
+  const recipients = definition.recipients.map(recipient => {
+    const duplicate = recipient.chatId && seen.has(recipient.chatId);
+    if (recipient.chatId) {
+      seen.add(recipient.chatId);
+    }
+
+    return {
+      to: recipient.to,
+      chatId: recipient.chatId,
+      variables: recipient.variables || {},
+      status: !recipient.chatId ? 'invalid' : duplicate ? 'duplicate' : 'pending',
+      queueId: null,
+      error: !recipient.chatId ? 'Invalid recipient' : null,
+      processedAt: null
+    };
+  });
+
+  const { media } = definition;
+  const campaign = {
+    campaignId: crypto.randomUUID(),
+    instanceId,
+    name: definition.name || null,
+    message: definition.message || '',
+    media: media
+      ? { mimetype: media.mimetype, data: media.data, filename: media.filename || null, filesize: media.filesize || null }
+      : null,
+    sendOptions: definition.sendOptions || {},
+    variables: definition.variables || {},
+    ratePerMinute: definition.ratePerMinute || DEFAULT_RATE_PER_MINUTE,
+    jitterSeconds: definition.jitterSeconds !== undefined ? definition.jitterSeconds : DEFAULT_JITTER_SECONDS,
+    status: 'running',
+    recipients,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+
+  if (!await saveCampaign(campaign)) {
+    throw new Error('Failed to save campaign');
+  }
+
+  activeCampaigns.set(campaign.campaignId, Date.now());
+  logger.info(`Campaign ${campaign.campaignId} created for instance ${instanceId} with ${recipients.length} recipient(s)`);
+  return toCampaignSummary(campaign);
+}
+
+/**
+ * Get a campaign progress report with the delivery status of every recipient
+ * @param {string} instanceId - The instance ID
+ * @param {string} campaignId - The campaign ID
+ * @returns {Promise<Object|null>} - The report or null if not found
+ */
+async function getCampaignReport(instanceId, campaignId) {
+  const campaign = await getCampaign(campaignId);
+  if (!campaign || campaign.instanceId !== instanceId) {
+    return null;
+  }
+
+  // Delivery status of the messages handed to the outbound queue
+  const deliveries = new Map(
+    (await listMessageStatuses(instanceId)).map(message => [message.queueId, message])
+  );
+
+  const recipients = campaign.recipients.map(recipient => {
+    const delivery = recipient.queueId ? deliveries.get(recipient.queueId) : null;
+    return {
+      to: recipient.to,
+      chatId: recipient.chatId,
+      status: recipient.status,
+      error: recipient.error || (delivery && delivery.lastError) || null,
+      queueId: recipient.queueId,
+      deliveryStatus: delivery ? delivery.status : null,
+      processedAt: recipient.processedAt
+    };
+  });
+
+  const summary = toCampaignSummary(campaign);
+  return {
+    ...summary,
+    progress: {
+      ...summary.progress,
+      delivery: countByStatus(recipients, 'deliveryStatus')
+    },
+    recipients
+  };
+}
+
+/**
+ * List the campaigns of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array>} - The campaign summaries
+ */
+async function listCampaignSummaries(instanceId) {
+  const campaigns = await listCampaigns(instanceId);
+  return campaigns.map(toCampaignSummary);
+}
+
+/**
+ * Change the status of a campaign
+ * @param {string} instanceId - The instance ID
+ * @param {string} campaignId - The campaign ID
+ * @param {string} action - pause, resume or cancel
+ * @returns {Promise<Object|null>} - The campaign summary, an error message, or null if not found
+ */
+function updateCampaignStatus(instanceId, campaignId, action) {
+  return withCampaignLock(campaignId, async () => {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign || campaign.instanceId !== instanceId) {
+      return null;
+    }
+
+    const allowedFrom = { pause: ['running'], resume: ['paused'], cancel: ['running', 'paused'] };
+    if (!allowedFrom[action].includes(campaign.status)) {
+      return { error: `Cannot ${action} a ${campaign.status} campaign` };
+    }
+
+    if (action === 'pause') {
+      campaign.status = 'paused';
+      activeCampaigns.delete(campaignId);
+    } else if (action === 'resume') {
+      campaign.status = 'running';
+      activeCampaigns.set(campaignId, Date.now());
+    } else {
+      campaign.status = 'cancelled';
+      campaign.completedAt = new Date().toISOString();
+      for (const recipient of campaign.recipients) {
+        if (recipient.status === 'pending') {
+          recipient.status = 'cancelled';
+        }
+      }
+      activeCampaigns.delete(campaignId);
+    }
+
+    if (!await saveCampaign(campaign)) {
+      throw new Error('Failed to save campaign');
+    }
+
+    logger.info(`Campaign ${campaignId} for instance ${instanceId} is ${campaign.status}`);
+    return { value: toCampaignSummary(campaign) };
+  });
+}
+
+/**
+ * Send the next message of a campaign
+ * Opted-out contacts and recipients with missing variables are skipped without waiting
+ * @param {string} campaignId - The campaign ID
+ * @returns {Promise<void>}
+ */
+function sendNextCampaignMessage(campaignId) {
+  return withCampaignLock(campaignId, async () => {
+    const campaign = await getCampaign(campaignId);
+    if (!campaign || campaign.status !== 'running') {
+      activeCampaigns.delete(campaignId);
+      return;
+    }
+
+    for (const recipient of campaign.recipients) {
+      if (recipient.status !== 'pending') {
+        continue;
+      }
+
+      recipient.processedAt = new Date().toISOString();
+
+      const suppressionError = await getSuppressionError(campaign.instanceId, recipient.chatId);
+      if (suppressionError) {
+        recipient.status = 'skipped';
+        recipient.error = suppressionError;
+        continue;
+      }
+
+      const { text, missing } = renderTemplate(campaign.message, { ...campaign.variables, ...recipient.variables });
+      if (missing.length > 0) {
+        recipient.status = 'failed';
+        recipient.error = `Missing variable(s): ${missing.join(', ')}`;
+        continue;
+      }
+
+      try {
+        const { media } = campaign;
+        const content = media ? new MessageMedia(media.mimetype, media.data, media.filename, media.filesize) : text;
+        const options = media && text ? { ...campaign.sendOptions, caption: text } : campaign.sendOptions;
+        const outboundMessage = await queueMessage(campaign.instanceId, recipient.chatId, content, options, 'campaign');
+
+        recipient.status = 'queued';
+        recipient.queueId = outboundMessage.queueId;
+      } catch (error) {
+        logger.error(`Error sending campaign ${campaignId} to ${recipient.chatId}:`, error);
+        recipient.status = 'failed';
+        recipient.error = error.message;
+      }
+
+      activeCampaigns.set(campaignId, Date.now() + getSendDelay(campaign));
+      await saveCampaign(campaign);
+      return;
+    }
+
+    // No recipients left
+    campaign.status = 'completed';
+    campaign.completedAt = new Date().toISOString();
+    activeCampaigns.delete(campaignId);
+    await saveCampaign(campaign);
+    logger.info(`Campaign ${campaignId} for instance ${campaign.instanceId} completed`);
+  });
+}
+
+/**
+ * Send the campaign messages that are due, pausing while an instance is not connected
+ * @returns {Promise<void>}
+ */
+async function dispatchCampaigns() {
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
+  try {
+    const now = Date.now();
+    const connectedInstances = {};
+
+    for (const [campaignId, nextSendAt] of activeCampaigns) {
+      if (nextSendAt > now) {
+        continue;
+      }
+
+      const campaign = await getCampaign(campaignId);
+      if (!campaign) {
+        activeCampaigns.delete(campaignId);
+        continue;
+      }
+
+      const { instanceId } = campaign;
+      if (connectedInstances[instanceId] === undefined) {
+        connectedInstances[instanceId] = await isInstanceConnected(instanceId);
+      }
+      if (connectedInstances[instanceId]) {
+        await sendNextCampaignMessage(campaignId);
+      }
+    }
+  } catch (error) {
+    logger.error('Error dispatching campaigns:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start sending campaigns in the background, resuming the campaigns that were running
+ * @returns {Promise<void>}
+ */
+async function startCampaignScheduler() {
+  if (tickTimer) {
+    return;
+  }
+
+  tickTimer = setInterval(dispatchCampaigns, TICK_INTERVAL_MS);
+  tickTimer.unref();
+
+  for (const campaign of await listCampaigns()) {
+    if (campaign.status === 'running') {
+      activeCampaigns.set(campaign.campaignId, Date.now());
+    }
+  }
+}
+
+/**
+ * Stop the campaign scheduler
+ */
+function stopCampaignScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+module.exports = {
+  createCampaign,
+  getCampaignReport,
+  listCampaignSummaries,
+  updateCampaignStatus,
+  dispatchCampaigns,
+  startCampaignScheduler,
+  stopCampaignScheduler
+};
@@ -0,0 +1,248 @@
+// src/services/eventService.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getInstanceConfig } = require('../models/instance');
+const { getSignatureHeaders } = require('./n8nService');
+
+// Lifecycle events that can be forwarded to n8n
+const EVENT_TYPES = [
+  'message_ack',
+  'message_reaction',
+  'message_edit',
+  'message_revoke',
+  'group_join',
+  'group_leave',
+  'call',
+  'change_state'
+];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Names of the WhatsApp acknowledgement levels
+const ACK_NAMES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+/**
+ * Get the event forwarding options for an instance
+ * Events go to webhookPath on the n8n base URL (or to url), for the subscribed types (all by default)
+ * @param {Object} config - Instance configuration
+ * @returns {Object} - { enabled, url, types, timeout }
+ */
+function getEventOptions(config) {
+  const events = (config && config.options && config.options.events) || {};
+  const n8nConfig = (config && config.n8nConfig) || {};
+  const baseUrl = events.baseUrl || n8nConfig.baseUrl;
+
+  let url = events.url || null;
+  if (!url && events.webhookPath && baseUrl) {
+    url = `${baseUrl}/${events.webhookPath}`.replace(/([^:]\/)\/+/g, '$1');
+  }
+
+  return {
+    enabled: events.enabled !== false && !!url,
+    url,
+    types: Array.isArray(events.types) ? events.types.filter(type => EVENT_TYPES.includes(type)) : EVENT_TYPES,
+    timeout: parseInt(events.timeout || DEFAULT_TIMEOUT_MS, 10)
+  };
+}
+
+/**
+ * Validate the event forwarding options of an instance
+ * @param {Object} [events] - The options.events settings
+ * @returns {string|null} - The error message or null if the settings are valid
+ */
+function validateEventOptions(events) {
+  if (events === undefined) {
+    return null;
+  }
+  if (!events || typeof events !== 'object') {
+    return 'options.events must be an object';
+  }
+  if (events.types !== undefined) {
+    if (!Array.isArray(events.types)) {
+      return 'options.events.types must be an array';
+    }
+    const unknown = events.types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown event type(s): ${unknown.join(', ')}. Expected ${EVENT_TYPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Forward a lifecycle event to the events webhook of an instance, if it subscribes to the type
+ * The event also goes to the webhook subscriptions of the instance, which retry on their own
+ * Failures are logged and never thrown, events are best effort
+ * @param {string} instanceId - The instance ID
+ * @param {string} type - The event type
+ * @param {Object} data - The event data
+ * @returns {Promise<boolean>} - Whether the event was delivered to the events webhook
+ */
+async function emitEvent(instanceId, type, data) {
+  const { publishEvent } = require('./webhookService');
+  publishEvent(instanceId, type, data);
+
+  try {
+    const instanceConfig = await getInstanceConfig(instanceId);
+    const options = getEventOptions(instanceConfig);
+    if (!options.enabled || !options.types.includes(type)) {
+      return false;
+    }
+
+    const { apiKey } = instanceConfig.n8nConfig || {};
+    const body = JSON.stringify({
+      event: type,
+      instanceId,
+      timestamp: new Date().toISOString(),
+      data
+    });
+    await axios.post(options.url, body, {
+      timeout: options.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-N8N-Api-Key': apiKey } : {}),
+        ...getSignatureHeaders(instanceConfig.n8nConfig, body)
+      }
+    });
+
+    logger.debug(`Forwarded ${type} event for instance ${instanceId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error forwarding ${type} event for instance ${instanceId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the serialized ID of a whatsapp-web.js object
+ * @param {Object|string} id - The ID object or string
+ * @returns {string|null} - The serialized ID
+ */
+function serializeId(id) {
+  if (!id) {
+    return null;
+  }
+  return typeof id === 'string' ? id : id._serialized || null;
+}
+
+/**
+ * Describe a message for an event
+ * @param {Object} message - The WhatsApp message object
+ * @returns {Object} - The message fields shared by message events
+ */
+function describeMessage(message) {
+  return {
+    messageId: serializeId(message.id),
+    chatId: message.fromMe ? message.to : message.from,
+    fromMe: !!message.fromMe,
+    type: message.type,
+    timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Build the message_ack event data
+ * @param {Object} message - The acknowledged message
+ * @param {number} ack - The acknowledgement level
+ * @returns {Object} - The event data
+ */
+function buildAckEvent(message, ack) {
+  return {
+    ...describeMessage(message),
+    ack,
+    status: ACK_NAMES[ack] || null
+  };
+}
+
+/**
+ * Build the message_reaction event data
+ * @param {Object} reaction - The whatsapp-web.js Reaction object
+ * @returns {Object} - The event data (an empty reaction means it was removed)
+ */
+function buildReactionEvent(reaction) {
+  return {
+    messageId: serializeId(reaction.msgId),
+    senderId: reaction.senderId,
+    reaction: reaction.reaction,
+    removed: !reaction.reaction,
+    timestamp: reaction.timestamp ? new Date(reaction.timestamp * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Build the message_edit event data
+ * @param {Object} message - The edited message
+ * @param {string} newBody - The new text
+ * @param {string} prevBody - The previous text
+ * @returns {Object} - The event data
+ */
+function buildEditEvent(message, newBody, prevBody) {
+  return {
+    ...describeMessage(message),
+    body: newBody,
+    previousBody: prevBody
+  };
+}
+
+/**
+ * Build the message_revoke event data
+ * @param {Object} message - The revocation notice
+ * @param {Object} [revokedMessage] - The revoked message, when it is still known
+ * @returns {Object} - The event data
+ */
+function buildRevokeEvent(message, revokedMessage) {
+  return {
+    ...describeMessage(revokedMessage || message),
+    revokedBody: revokedMessage ? revokedMessage.body : null
+  };
+}
+
+/**
+ * Build the group_join and group_leave event data
+ * @param {Object} notification - The whatsapp-web.js GroupNotification object
+ * @returns {Object} - The event data
+ */
+function buildGroupEvent(notification) {
+  return {
+    groupId: notification.chatId,
+    action: notification.type,
+    author: notification.author || null,
+    participants: notification.recipientIds || [],
+    timestamp: notification.timestamp ? new Date(notification.timestamp * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Build the call event data
+ * @param {Object} call - The whatsapp-web.js Call object
+ * @returns {Object} - The event data
+ */
+function buildCallEvent(call) {
+  return {
+    callId: call.id,
+    from: call.from,
+    isVideo: !!call.isVideo,
+    isGroup: !!call.isGroup,
+    timestamp: call.timestamp ? new Date(call.timestamp * 1000).toISOString() : null
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  getEventOptions,
+  validateEventOptions,
+  emitEvent,
+  buildAckEvent,
+  buildReactionEvent,
+  buildEditEvent,
+  buildRevokeEvent,
+  buildGroupEvent,
+  buildCallEvent
+};
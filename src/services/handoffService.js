@@ -0,0 +1,290 @@
+// src/services/handoffService.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { updateConversation } = require('../models/conversation');
+const { extractIncomingMedia } = require('./mediaService');
+const { queueMessage, isBotMessage } = require('./outboundQueueService');
+
+const DEFAULT_HANDOFF_MESSAGE = 'A member of our team will get back to you shortly.';
+
+/**
+ * Get the handoff options for an instance, merged with the defaults
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object} - The handoff options
+ */
+function getHandoffOptions(instanceConfig) {
+  const handoff = (instanceConfig && instanceConfig.options && instanceConfig.options.handoff) || {};
+
+  return {
+    keywords: Array.isArray(handoff.keywords) ? handoff.keywords.map(keyword => keyword.toLowerCase()) : [],
+    agentWebhook: handoff.agentWebhook || null,
+    timeoutMinutes: handoff.timeoutMinutes !== undefined ? handoff.timeoutMinutes : 60,
+    releaseCommand: handoff.releaseCommand || '#bot',
+    handoffMessage: handoff.handoffMessage !== undefined ? handoff.handoffMessage : DEFAULT_HANDOFF_MESSAGE,
+    releaseMessage: handoff.releaseMessage || ''
+  };
+}
+
+/**
+ * Get the active handoff of a conversation
+ * @param {Object} conversation - The conversation object
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object|null} - The handoff (with its expiry) or null if the bot is in charge
+ */
+function getActiveHandoff(conversation, instanceConfig) {
+  const handoff = conversation && conversation.handoff;
+  if (!handoff) {
+    return null;
+  }
+
+  // The timeout counts from the last message in the chat, 0 never expires
+  const { timeoutMinutes } = getHandoffOptions(instanceConfig);
+  if (!timeoutMinutes) {
+    return { ...handoff, expiresAt: null };
+  }
+
+  const expiresAt = new Date(new Date(handoff.lastActivityAt).getTime() + timeoutMinutes * 60000);
+  return expiresAt > new Date() ? { ...handoff, expiresAt: expiresAt.toISOString() } : null;
+}
+
+/**
+ * Forward an event to the agent webhook of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} payload - The event payload
+ * @returns {Promise<void>}
+ */
+async function notifyAgent(instanceId, instanceConfig, payload) {
+  const { agentWebhook } = getHandoffOptions(instanceConfig);
+  if (!agentWebhook) {
+    return;
+  }
+
+  try {
+    await axios.post(agentWebhook, { ...payload, instanceId, timestamp: new Date().toISOString() }, {
+      timeout: 10000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    logger.error(`Error forwarding ${payload.event} to agent webhook for instance ${instanceId}:`, error.message);
+  }
+}
+
+/**
+ * Put a conversation in handoff mode (the caller saves the conversation)
+ * @param {Object} conversation - The conversation object
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} details - Why the handoff started
+ * @param {string} details.source - What started the handoff (keyword, n8n or admin)
+ * @param {string} [details.reason] - Free text reason
+ * @returns {Promise<Object>} - The handoff
+ */
+async function beginHandoff(conversation, instanceId, chatId, instanceConfig, { source, reason }) {
+  const now = new Date().toISOString();
+  conversation.handoff = {
+    source,
+    reason: reason || null,
+    startedAt: now,
+    lastActivityAt: now
+  };
+
+  logger.info(`Handoff started for ${chatId} on instance ${instanceId} (${source})`);
+  await notifyAgent(instanceId, instanceConfig, {
+    event: 'handoff_started',
+    chatId,
+    handoff: conversation.handoff,
+    conversation: conversation.messages
+  });
+
+  return getActiveHandoff(conversation, instanceConfig);
+}
+
+/**
+ * Hand a chat over to a human agent
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} details - Why the handoff started (source and reason)
+ * @returns {Promise<Object>} - The handoff
+ */
+async function startHandoff(instanceId, chatId, instanceConfig, details) {
+  let handoff = null;
+  await updateConversation(`${instanceId}-${chatId}`, instanceId, async conversation => {
+    handoff = getActiveHandoff(conversation, instanceConfig);
+    if (handoff) {
+      return false;
+    }
+    handoff = await beginHandoff(conversation, instanceId, chatId, instanceConfig, details);
+    return true;
+  });
+  return handoff;
+}
+
+/**
+ * Give a chat back to the bot
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {string} reason - Why the handoff ended (agent, timeout or admin)
+ * @returns {Promise<boolean>} - Whether the chat was in handoff mode
+ */
+async function releaseHandoff(instanceId, chatId, instanceConfig, reason) {
+  const handoff = await updateConversation(`${instanceId}-${chatId}`, instanceId, conversation => {
+    const current = conversation.handoff;
+    if (!current) {
+      return false;
+    }
+    delete conversation.handoff;
+    return current;
+  });
+  if (!handoff) {
+    return false;
+  }
+
+  logger.info(`Handoff released for ${chatId} on instance ${instanceId} (${reason})`);
+  await notifyAgent(instanceId, instanceConfig, { event: 'handoff_released', chatId, reason, handoff });
+
+  // Let the customer know the bot is back (not needed when the handoff simply timed out)
+  const { releaseMessage } = getHandoffOptions(instanceConfig);
+  if (releaseMessage && reason !== 'timeout') {
+    try {
+      await queueMessage(instanceId, chatId, releaseMessage, {}, 'handoff');
+    } catch (error) {
+      logger.error(`Failed to send release message to ${chatId} for instance ${instanceId}:`, error);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Handle messages sent from the bot's own number while a chat is handed off
+ * Agent replies keep the handoff alive and the release command gives the chat back to the bot
+ * Messages the bot sends itself (queued, scheduled, campaign and async replies) are not agent activity
+ * @param {Object} message - The WhatsApp message object (fromMe)
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Promise<boolean>} - Whether the message belongs to a handed off chat
+ */
+async function handleAgentMessage(message, instanceId, instanceConfig) {
+  const chatId = message.to;
+  const fromAgent = !await isBotMessage(instanceId, message);
+  const { releaseCommand } = getHandoffOptions(instanceConfig);
+  const isRelease = fromAgent && (message.body || '').trim().toLowerCase() === releaseCommand.toLowerCase();
+
+  // Only the handoff is touched, on a fresh copy of the conversation
+  let handedOff = false;
+  await updateConversation(`${instanceId}-${chatId}`, instanceId, conversation => {
+    if (!getActiveHandoff(conversation, instanceConfig)) {
+      return false;
+    }
+    handedOff = true;
+    if (!fromAgent || isRelease) {
+      return false;
+    }
+    conversation.handoff.lastActivityAt = new Date().toISOString();
+    return true;
+  });
+
+  if (!handedOff) {
+    return false;
+  }
+  if (isRelease) {
+    await releaseHandoff(instanceId, chatId, instanceConfig, 'agent');
+  }
+  return true;
+}
+
+/**
+ * Handle an incoming message for the handoff mode
+ * Starts a handoff on a keyword and forwards messages of handed off chats to the agent webhook
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {string} messageContent - The sanitized message body
+ * @returns {Promise<boolean>} - Whether the message was handled (the bot must stay silent)
+ */
+async function handleHandoffMessage(message, instanceId, instanceConfig, messageContent) {
+  const chatId = message.from;
+  const options = getHandoffOptions(instanceConfig);
+  let expired = false;
+  let started = false;
+
+  // The handoff and the history are changed on a fresh copy of the conversation
+  const handoff = await updateConversation(`${instanceId}-${chatId}`, instanceId, async conversation => {
+    let current = getActiveHandoff(conversation, instanceConfig);
+
+    if (!current && conversation.handoff) {
+      expired = true;
+      return false;
+    }
+
+    if (!current) {
+      if (!options.keywords.includes(messageContent.trim().toLowerCase())) {
+        return false;
+      }
+      current = await beginHandoff(conversation, instanceId, chatId, instanceConfig, {
+        source: 'keyword',
+        reason: messageContent.trim()
+      });
+      started = true;
+    }
+
+    const now = new Date().toISOString();
+    conversation.handoff.lastActivityAt = now;
+
+    // Keep the exchange in the history so the bot has context when it takes over again
+    conversation.messages.push({
+      role: 'user',
+      content: messageContent || `[${message.type}]`,
+      ...(message.author ? { author: message.author } : {}),
+      timestamp: now
+    });
+    const maxLength = instanceConfig.maxConversationLength || 20;
+    if (conversation.messages.length > maxLength) {
+      conversation.messages = conversation.messages.slice(-maxLength);
+    }
+    return current;
+  });
+
+  if (expired) {
+    // The agent went quiet for too long, the bot takes over again
+    await releaseHandoff(instanceId, chatId, instanceConfig, 'timeout');
+    return false;
+  }
+  if (!handoff) {
+    return false;
+  }
+
+  if (started && options.handoffMessage) {
+    await queueMessage(instanceId, chatId, options.handoffMessage, { quotedMessageId: message.id._serialized }, 'handoff');
+  }
+
+  await notifyAgent(instanceId, instanceConfig, {
+    event: 'message',
+    chatId,
+    handoff,
+    message: {
+      id: message.id && message.id._serialized,
+      body: messageContent,
+      type: message.type,
+      from: message.author || message.from,
+      senderName: message._data.notifyName || 'Unknown',
+      media: await extractIncomingMedia(message, instanceId, instanceConfig)
+    }
+  });
+
+  return true;
+}
+
+module.exports = {
+  getHandoffOptions,
+  getActiveHandoff,
+  beginHandoff,
+  startHandoff,
+  releaseHandoff,
+  handleAgentMessage,
+  handleHandoffMessage
+};
@@ -0,0 +1,343 @@
+// src/services/mediaService.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { generateToken, signData, verifySignature } = require('../utils/security');
+
+// Directory to store temporary media files served through signed URLs
+const MEDIA_DIR = path.join(process.cwd(), 'data', 'media');
+
+// Signing secret for development without MEDIA_URL_SECRET or JWT_SECRET (links stop working on restart)
+let developmentUrlSecret = null;
+
+/**
+ * Get the secret signing temporary media URLs
+ * @returns {string|null} - The secret or null if none is set outside development mode
+ */
+function getMediaUrlSecret() {
+  if (config.media.urlSecret) {
+    return config.media.urlSecret;
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    if (!developmentUrlSecret) {
+      logger.warn('No media URL secret set in environment variables, signing media URLs with a random secret (development mode)');
+      developmentUrlSecret = generateToken(32);
+    }
+    return developmentUrlSecret;
+  }
+
+  logger.error('Media URL signing failed: No MEDIA_URL_SECRET or JWT_SECRET set in environment variables');
+  return null;
+}
+
+/**
+ * Get the media options for an instance, merged with the global defaults
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object} - The media options
+ */
+function getMediaOptions(instanceConfig) {
+  const instanceOptions = (instanceConfig && instanceConfig.options && instanceConfig.options.media) || {};
+
+  return {
+    enabled: true,
+    maxSizeBytes: config.media.maxSizeBytes,
+    allowedMimeTypes: ['*'],
+    delivery: 'base64',
+    urlTtlSeconds: config.media.urlTtlSeconds,
+    ...instanceOptions
+  };
+}
+
+/**
+ * Check if a mimetype matches an allowlist (supports "*" and "image/*" wildcards)
+ * @param {string} mimetype - The mimetype to check
+ * @param {Array<string>} allowedMimeTypes - The allowed mimetypes
+ * @returns {boolean} - Whether the mimetype is allowed
+ */
+function isMimeTypeAllowed(mimetype, allowedMimeTypes) {
+  if (!Array.isArray(allowedMimeTypes) || allowedMimeTypes.includes('*')) {
+    return true;
+  }
+
+  // Strip parameters such as "audio/ogg; codecs=opus"
+  const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+
+  return allowedMimeTypes.some(allowed => {
+    const normalizedAllowed = allowed.trim().toLowerCase();
+    if (normalizedAllowed.endsWith('/*')) {
+      return baseType.startsWith(normalizedAllowed.slice(0, -1));
+    }
+    return normalizedAllowed === baseType;
+  });
+}
+
+/**
+ * Calculate the decoded size of base64 data
+ * @param {string} data - Base64 encoded data
+ * @returns {number} - The size in bytes
+ */
+function getBase64Size(data) {
+  return Buffer.byteLength(data || '', 'base64');
+}
+
+/**
+ * Download the media attached to an incoming message and build the n8n payload
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Promise<Object|null>} - The media payload or null if there is no usable media
+ */
+async function extractIncomingMedia(message, instanceId, instanceConfig) {
+  if (!message.hasMedia) {
+    return null;
+  }
+
+  const mediaOptions = getMediaOptions(instanceConfig);
+  if (mediaOptions.enabled === false) {
+    logger.debug(`Media forwarding disabled for instance ${instanceId}, ignoring attachment`);
+    return null;
+  }
+
+  try {
+    // Reject early using the metadata WhatsApp sends along with the message, before downloading
+    const announcedMimetype = message._data && message._data.mimetype;
+    const announcedSize = message._data && message._data.size;
+    if (announcedMimetype && !isMimeTypeAllowed(announcedMimetype, mediaOptions.allowedMimeTypes)) {
+      logger.warn(`Media type ${announcedMimetype} not allowed for instance ${instanceId}, ignoring attachment`);
+      return null;
+    }
+    if (announcedSize && announcedSize > mediaOptions.maxSizeBytes) {
+      logger.warn(`Media of ${announcedSize} bytes exceeds limit for instance ${instanceId}, ignoring attachment`);
+      return null;
+    }
+
+    // Download the media
+    const media = await message.downloadMedia();
+    if (!media || !media.data) {
+      logger.warn(`Failed to download media for instance ${instanceId}: media is no longer available`);
+      return null;
+    }
+
+    // Validate again against the downloaded data
+    const size = media.filesize || getBase64Size(media.data);
+    if (!isMimeTypeAllowed(media.mimetype, mediaOptions.allowedMimeTypes)) {
+      logger.warn(`Media type ${media.mimetype} not allowed for instance ${instanceId}, ignoring attachment`);
+      return null;
+    }
+    if (size > mediaOptions.maxSizeBytes) {
+      logger.warn(`Media of ${size} bytes exceeds limit for instance ${instanceId}, ignoring attachment`);
+      return null;
+    }
+
+    const payload = {
+      type: message.type,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      size
+    };
+
+    // Either send a temporary signed URL or embed the data
+    if (mediaOptions.delivery === 'url') {
+      const { url, expiresAt } = storeTemporaryMedia(instanceId, media, mediaOptions.urlTtlSeconds);
+      payload.url = url;
+      payload.expiresAt = expiresAt;
+    } else {
+      payload.data = media.data;
+    }
+
+    return payload;
+  } catch (error) {
+    logger.error(`Error downloading media for instance ${instanceId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Validate outbound media against the requested media type and its options
+ * @param {string} mediaType - The media type (auto, document, voice or sticker)
+ * @param {Object} media - The media object (MessageMedia)
+ * @param {Object} options - The per-type send options
+ * @param {string} caption - The caption to send with the media
+ * @returns {string|null} - An error message or null if valid
+ */
+function validateOutboundMedia(mediaType, media, options, caption) {
+  const mimetype = (media.mimetype || '').toLowerCase();
+  const isVisual = mimetype.startsWith('image/') || mimetype.startsWith('video/');
+
+  if (mediaType === 'voice' && !mimetype.startsWith('audio/')) {
+    return 'Voice notes require an audio mimetype';
+  }
+  if (mediaType === 'sticker' && !isVisual) {
+    return 'Stickers require an image or video mimetype';
+  }
+  if ((mediaType === 'voice' || mediaType === 'sticker') && caption) {
+    return `Captions are not supported for ${mediaType} messages`;
+  }
+  if (mediaType !== 'sticker' && (options.stickerName || options.stickerAuthor || options.stickerCategories)) {
+    return 'Sticker options are only supported for sticker messages';
+  }
+  if (options.isViewOnce && (mediaType !== 'auto' || !isVisual)) {
+    return 'View once is only supported for images and videos';
+  }
+
+  return null;
+}
+
+/**
+ * Build the whatsapp-web.js send options for outbound media
+ * @param {string} mediaType - The media type (auto, document, voice or sticker)
+ * @param {Object} options - The per-type send options
+ * @param {string} caption - The caption to send with the media
+ * @returns {Object} - The send options
+ */
+function getMediaSendOptions(mediaType, options, caption) {
+  const sendOptions = {};
+
+  if (caption) {
+    sendOptions.caption = caption;
+  }
+
+  switch (mediaType) {
+    case 'document':
+      sendOptions.sendMediaAsDocument = true;
+      break;
+    case 'voice':
+      sendOptions.sendAudioAsVoice = true;
+      break;
+    case 'sticker':
+      sendOptions.sendMediaAsSticker = true;
+      if (options.stickerName) sendOptions.stickerName = options.stickerName;
+      if (options.stickerAuthor) sendOptions.stickerAuthor = options.stickerAuthor;
+      if (options.stickerCategories) sendOptions.stickerCategories = options.stickerCategories;
+      break;
+    default:
+      if (options.isViewOnce) sendOptions.isViewOnce = true;
+  }
+
+  return sendOptions;
+}
+
+/**
+ * Build the string that is signed for a temporary media URL
+ * @param {string} instanceId - The instance ID
+ * @param {string} mediaId - The media ID
+ * @param {number} expires - Expiry as a Unix timestamp (seconds)
+ * @returns {string} - The payload to sign
+ */
+function getMediaSignaturePayload(instanceId, mediaId, expires) {
+  return `${instanceId}:${mediaId}:${expires}`;
+}
+
+/**
+ * Store media on disk and create a temporary signed URL for it
+ * @param {string} instanceId - The instance ID
+ * @param {Object} media - The downloaded media (MessageMedia)
+ * @param {number} ttlSeconds - How long the URL stays valid
+ * @returns {Object} - The signed URL and its expiry date
+ */
+function storeTemporaryMedia(instanceId, media, ttlSeconds) {
+  const urlSecret = getMediaUrlSecret();
+  if (!urlSecret) {
+    throw new Error('Server configuration error: Media URL secret not set');
+  }
+
+  const instanceDir = path.join(MEDIA_DIR, instanceId.replace(/[^a-zA-Z0-9-_]/g, '_'));
+  if (!fs.existsSync(instanceDir)) {
+    fs.mkdirSync(instanceDir, { recursive: true });
+  }
+
+  // Remove expired files before storing new ones
+  cleanupExpiredMedia(instanceDir);
+
+  const mediaId = generateToken(16);
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  fs.writeFileSync(path.join(instanceDir, `${mediaId}.bin`), Buffer.from(media.data, 'base64'));
+  fs.writeFileSync(path.join(instanceDir, `${mediaId}.json`), JSON.stringify({
+    mimetype: media.mimetype,
+    filename: media.filename || null,
+    expires
+  }));
+
+  const signature = signData(getMediaSignaturePayload(instanceId, mediaId, expires), urlSecret);
+  const baseUrl = config.publicUrl.replace(/\/+$/, '');
+
+  return {
+    url: `${baseUrl}/api/media/${encodeURIComponent(instanceId)}/${mediaId}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Resolve a temporary media file from a signed URL
+ * @param {string} instanceId - The instance ID
+ * @param {string} mediaId - The media ID
+ * @param {string|number} expires - Expiry as a Unix timestamp (seconds)
+ * @param {string} signature - The URL signature
+ * @returns {Object|null} - The file path and metadata or null if invalid or expired
+ */
+function getTemporaryMedia(instanceId, mediaId, expires, signature) {
+  if (!/^[a-f0-9]+$/.test(mediaId || '') || !signature) {
+    return null;
+  }
+
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  const urlSecret = getMediaUrlSecret();
+  const signedPayload = getMediaSignaturePayload(instanceId, mediaId, expiresAt);
+  if (!urlSecret || !verifySignature(signedPayload, signature, urlSecret)) {
+    return null;
+  }
+
+  const instanceDir = path.join(MEDIA_DIR, instanceId.replace(/[^a-zA-Z0-9-_]/g, '_'));
+  const filePath = path.join(instanceDir, `${mediaId}.bin`);
+  const metaPath = path.join(instanceDir, `${mediaId}.json`);
+  if (!fs.existsSync(filePath) || !fs.existsSync(metaPath)) {
+    return null;
+  }
+
+  return {
+    filePath,
+    meta: JSON.parse(fs.readFileSync(metaPath, 'utf8'))
+  };
+}
+
+/**
+ * Delete expired temporary media files in a directory
+ * @param {string} instanceDir - The instance media directory
+ */
+function cleanupExpiredMedia(instanceDir) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const metaFiles = fs.readdirSync(instanceDir).filter(file => file.endsWith('.json'));
+
+    for (const metaFile of metaFiles) {
+      const metaPath = path.join(instanceDir, metaFile);
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      if (meta.expires < now) {
+        const filePath = path.join(instanceDir, metaFile.replace('.json', '.bin'));
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+        fs.unlinkSync(metaPath);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up temporary media in ${instanceDir}:`, error);
+  }
+}
+
+module.exports = {
+  getMediaOptions,
+  isMimeTypeAllowed,
+  getBase64Size,
+  extractIncomingMedia,
+  validateOutboundMedia,
+  getMediaSendOptions,
+  getTemporaryMedia
+};
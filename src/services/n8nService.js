@@ -2,6 +2,26 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { getInstanceConfig } = require('../models/instance');
+const { signTimestampedPayload } = require('../utils/security');
+
+/**
+ * Get the signature headers for a request to n8n
+ * Requests are only signed when the instance has a signing secret
+ * @param {Object} n8nConfig - The n8n configuration of the instance
+ * @param {string} body - The serialized request body
+ * @returns {Object} - The X-Signature and X-Signature-Timestamp headers
+ */
+function getSignatureHeaders(n8nConfig, body) {
+  if (!n8nConfig || !n8nConfig.signingSecret) {
+    return {};
+  }
+
+  const { timestamp, signature } = signTimestampedPayload(body, n8nConfig.signingSecret);
+  return {
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature': `sha256=${signature}`
+  };
+}
 
 /**
  * Send a message to n8n for AI processing
@@ -11,11 +31,15 @@ const { getInstanceConfig } = require('../models/instance');
  * @param {Object} data.sender - Information about the sender
  * @param {Object} data.conversation - Conversation history
  * @param {string} data.timestamp - The message timestamp
+ * @param {Object} [target] - Overrides for the default n8n webhook
+ * @param {string} [target.webhookPath] - Webhook path to post to
+ * @param {string} [target.baseUrl] - n8n base URL
+ * @param {number} [target.timeout] - Request timeout in milliseconds
  * @returns {Promise<Object>} - The AI response
  */
-async function sendMessageToN8n(instanceId, data) {
+async function sendMessageToN8n(instanceId, data, target = {}) {
   try {
-    logger.debug(`Sending message to n8n for instance ${instanceId}: ${data.message.substring(0, 50)}...`);
+    logger.debug(`Sending message to n8n for instance ${instanceId}: ${(data.message || '').substring(0, 50)}...`);
     
     // Get instance configuration
     const instanceConfig = await getInstanceConfig(instanceId);
@@ -23,12 +47,15 @@ async function sendMessageToN8n(instanceId, data) {
       throw new Error(`No n8n configuration found for instance ${instanceId}`);
     }
     
-    const { baseUrl, apiKey, webhookPath } = instanceConfig.n8nConfig;
+    const { apiKey } = instanceConfig.n8nConfig;
+    const baseUrl = target.baseUrl || instanceConfig.n8nConfig.baseUrl;
+    const webhookPath = target.webhookPath || instanceConfig.n8nConfig.webhookPath;
+    const timeout = target.timeout || instanceConfig.n8nConfig.timeout || '15000';
     
     // Create n8n client for this instance
     const n8nClient = axios.create({
       baseURL: baseUrl,
-      timeout: parseInt(instanceConfig.n8nConfig.timeout || '15000', 10),
+      timeout: parseInt(timeout, 10),
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -39,8 +66,11 @@ async function sendMessageToN8n(instanceId, data) {
     // Ensure we have a valid webhook URL
     const webhookUrl = `${baseUrl}/${webhookPath}`.replace(/([^:]\/)\/+/g, '$1');
     
-    // Send the request to n8n
-    const response = await n8nClient.post(webhookUrl, data);
+    // Send the request to n8n (signed as serialized, so n8n can verify the exact body)
+    const body = JSON.stringify(data);
+    const response = await n8nClient.post(webhookUrl, body, {
+      headers: getSignatureHeaders(instanceConfig.n8nConfig, body)
+    });
     
     // Validate the response
     if (!response.data) {
@@ -138,12 +168,15 @@ async function executeAiModel(instanceId, model, prompt, options = {}) {
     
     // Send the request to the fallback webhook
     const fallbackUrl = `${baseUrl}/${fallbackWebhookPath}`.replace(/([^:]\/)\/+/g, '$1');
-    const response = await n8nClient.post(fallbackUrl, {
+    const body = JSON.stringify({
       model,
       prompt,
       options,
       instanceId
     });
+    const response = await n8nClient.post(fallbackUrl, body, {
+      headers: getSignatureHeaders(instanceConfig.n8nConfig, body)
+    });
     
     return response.data;
   } catch (error) {
@@ -153,6 +186,7 @@ async function executeAiModel(instanceId, model, prompt, options = {}) {
 }
 
 module.exports = {
+  getSignatureHeaders,
   sendMessageToN8n,
   checkN8nHealth,
   executeAiModel
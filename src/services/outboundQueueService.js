@@ -0,0 +1,442 @@
+// src/services/outboundQueueService.js
+const crypto = require('crypto');
+const { MessageMedia } = require('whatsapp-web.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  getOutboundMessage,
+  findOutboundMessageByMessageId,
+  saveOutboundMessage,
+  deleteOutboundMessage,
+  listOutboundMessages
+} = require('../models/outboundMessage');
+const { getSuppressionError } = require('./suppressionService');
+
+const FLUSH_INTERVAL_MS = 5 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Delivery status for each WhatsApp acknowledgement level
+const ACK_STATUSES = {
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+// Scheduler state
+let flushTimer = null;
+let flushing = false;
+let lastPurgeAt = 0;
+
+// Queue IDs being sent right now, so the scheduler and direct sends never overlap
+const inFlight = new Set();
+
+// Chats the bot is sending to right now and the IDs of messages it sent recently (with when they expire)
+// WhatsApp reports the bot's own messages like any other message from its number, even before the send returns
+const sendingChats = new Map();
+const recentlySent = new Map();
+const RECENTLY_SENT_TTL_MS = 10 * 60 * 1000;
+let lastRecentlySentPruneAt = 0;
+
+/**
+ * Get the public view of an outbound message (without the media data)
+ * @param {Object} outboundMessage - The outbound message
+ * @returns {Object} - The outbound message status
+ */
+function toMessageStatus(outboundMessage) {
+  const { media, mediaInfo, ...status } = outboundMessage;
+  const description = media ? { mimetype: media.mimetype, filename: media.filename, filesize: media.filesize } : mediaInfo;
+  return {
+    ...status,
+    ...(description ? { media: description } : {})
+  };
+}
+
+/**
+ * Get the delay before the next attempt, doubling with each failure
+ * @param {number} attempts - The number of failed attempts
+ * @returns {number} - The delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const delay = config.outbound.retryBaseSeconds * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Check whether the client of an instance can send messages
+ * @param {Object} client - The WhatsApp client instance
+ * @returns {Promise<boolean>} - Whether the client is connected
+ */
+async function isConnected(client) {
+  if (!client) {
+    return false;
+  }
+  const state = await client.getState().catch(() => null);
+  return state === 'CONNECTED';
+}
+
+/**
+ * Check whether an instance can send messages right now
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<boolean>} - Whether the instance is connected
+ */
+async function isInstanceConnected(instanceId) {
+  const { getClientInstance } = require('./whatsappService');
+  return isConnected(getClientInstance(instanceId));
+}
+
+/**
+ * Run a send of the bot, remembering the chat while it runs and the ID of the sent message
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID
+ * @param {Function} send - Sends the message, resolving to the whatsapp-web.js message
+ * @returns {Promise<Object>} - The sent message
+ */
+async function trackBotSend(instanceId, chatId, send) {
+  const key = `${instanceId}:${chatId}`;
+  sendingChats.set(key, (sendingChats.get(key) || 0) + 1);
+  try {
+    const result = await send();
+    if (result && result.id) {
+      const now = Date.now();
+      if (now - lastRecentlySentPruneAt >= 60 * 1000) {
+        lastRecentlySentPruneAt = now;
+        for (const [messageId, expiresAt] of recentlySent) {
+          if (expiresAt <= now) {
+            recentlySent.delete(messageId);
+          }
+        }
+      }
+      recentlySent.set(result.id._serialized, now + RECENTLY_SENT_TTL_MS);
+    }
+    return result;
+  } finally {
+    const remaining = sendingChats.get(key) - 1;
+    if (remaining > 0) {
+      sendingChats.set(key, remaining);
+    } else {
+      sendingChats.delete(key);
+    }
+  }
+}
+
+/**
+ * Check whether a message from the bot's own number was sent by the bot (and not by a person on the phone)
+ * @param {string} instanceId - The instance ID
+ * @param {Object} message - The WhatsApp message object (fromMe)
+ * @returns {Promise<boolean>} - Whether the bot sent the message
+ */
+async function isBotMessage(instanceId, message) {
+  const messageId = message.id && message.id._serialized;
+  if (sendingChats.has(`${instanceId}:${message.to}`)) {
+    return true;
+  }
+  if (messageId && recentlySent.has(messageId)) {
+    return true;
+  }
+  return !!(messageId && await findOutboundMessageByMessageId(messageId));
+}
+
+/**
+ * Keep only the media description of a finished message, the data is not needed anymore
+ * @param {Object} outboundMessage - The outbound message
+ */
+function dropMediaData(outboundMessage) {
+  if (outboundMessage.media) {
+    const { data, ...media } = outboundMessage.media;
+    outboundMessage.media = null;
+    outboundMessage.mediaInfo = media;
+  }
+}
+
+/**
+ * Try to send a queued message
+ * Messages stay queued without using an attempt while the instance is not connected
+ * Messages to recipients suppressed since they were queued fail without being sent
+ * The record is read again once the message is claimed, so a copy listed earlier is never sent twice
+ * @param {Object} outboundMessage - The outbound message
+ * @param {boolean} [connected] - Whether the client is known to be connected
+ * @returns {Promise<Object>} - The updated outbound message
+ */
+async function attemptDelivery(outboundMessage, connected) {
+  const { queueId } = outboundMessage;
+  if (inFlight.has(queueId)) {
+    return outboundMessage;
+  }
+
+  inFlight.add(queueId);
+  try {
+    // Skip messages another send finished (or rescheduled) since they were listed
+    const current = await getOutboundMessage(queueId);
+    if (!current || current.status !== 'queued' || (current.nextAttemptAt && current.nextAttemptAt > new Date().toISOString())) {
+      return current || outboundMessage;
+    }
+
+    // Recipients can opt out or be blocklisted while their messages wait in the queue
+    const suppressionError = await getSuppressionError(current.instanceId, current.chatId);
+    if (suppressionError) {
+      current.status = 'failed';
+      current.nextAttemptAt = null;
+      current.lastError = suppressionError;
+      dropMediaData(current);
+      await saveOutboundMessage(current);
+      logger.warn(`Not sending message ${queueId} for instance ${current.instanceId}: ${suppressionError}`);
+      return current;
+    }
+
+    const { getClientInstance } = require('./whatsappService');
+    const client = getClientInstance(current.instanceId);
+    if (connected === undefined) {
+      connected = await isConnected(client);
+    }
+    if (!connected) {
+      return current;
+    }
+
+    try {
+      const content = current.media
+        ? new MessageMedia(current.media.mimetype, current.media.data, current.media.filename, current.media.filesize)
+        : current.body;
+
+      current.attempts += 1;
+      const result = await trackBotSend(current.instanceId, current.chatId, () =>
+        client.sendMessage(current.chatId, content, current.options));
+
+      current.status = 'sent';
+      current.messageId = result && result.id ? result.id._serialized : null;
+      current.ack = result && typeof result.ack === 'number' ? result.ack : null;
+      current.sentAt = new Date().toISOString();
+      current.nextAttemptAt = null;
+      current.lastError = null;
+      logger.info(`Message ${queueId} sent from instance ${current.instanceId} to ${current.chatId}`);
+    } catch (error) {
+      current.lastError = error.message;
+
+      if (current.attempts >= config.outbound.maxAttempts) {
+        current.status = 'failed';
+        current.nextAttemptAt = null;
+        logger.error(`Giving up on message ${queueId} for instance ${current.instanceId} after ${current.attempts} attempt(s):`, error);
+      } else {
+        const delay = getRetryDelay(current.attempts);
+        current.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn(`Failed to send message ${queueId} for instance ${current.instanceId}, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      }
+    }
+
+    if (current.status !== 'queued') {
+      dropMediaData(current);
+    }
+
+    await saveOutboundMessage(current);
+    return current;
+  } finally {
+    inFlight.delete(queueId);
+  }
+}
+
+/**
+ * Queue a message for an instance and try to send it right away
+ * Throws if the recipient is suppressed
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID to send to
+ * @param {string|MessageMedia} content - The message text or media
+ * @param {Object} [options] - whatsapp-web.js send options (quotedMessageId, mentions, caption, ...)
+ * @param {string} [source] - What queued the message (api, reply, ...)
+ * @returns {Promise<Object>} - The outbound message with its queueId and status
+ */
+async function queueMessage(instanceId, chatId, content, options = {}, source = 'api') {
+  // Suppressed recipients are refused on every outbound path
+  const suppressionError = await getSuppressionError(instanceId, chatId);
+  if (suppressionError) {
+    throw new Error(suppressionError);
+  }
+
+  const isMedia = content instanceof MessageMedia;
+  const now = new Date().toISOString();
+
+  const outboundMessage = {
+    queueId: crypto.randomUUID(),
+    instanceId,
+    chatId,
+    source,
+    body: isMedia ? null : content,
+    media: isMedia
+      ? { mimetype: content.mimetype, data: content.data, filename: content.filename || null, filesize: content.filesize || null }
+      : null,
+    options,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    messageId: null,
+    ack: null,
+    createdAt: now
+  };
+
+  const saved = await saveOutboundMessage(outboundMessage);
+  if (!saved) {
+    throw new Error('Failed to queue message');
+  }
+
+  return attemptDelivery(outboundMessage);
+}
+
+/**
+ * Send the queued messages that are due, oldest first, for connected instances
+ * @returns {Promise<void>}
+ */
+async function flushOutboundQueue() {
+  if (flushing) {
+    return;
+  }
+
+  flushing = true;
+  try {
+    const { getClientInstance } = require('./whatsappService');
+    const now = new Date().toISOString();
+    const connectedInstances = {};
+
+    for (const outboundMessage of await listOutboundMessages({ status: 'queued' })) {
+      if (outboundMessage.nextAttemptAt && outboundMessage.nextAttemptAt > now) {
+        continue;
+      }
+
+      const { instanceId } = outboundMessage;
+      if (connectedInstances[instanceId] === undefined) {
+        connectedInstances[instanceId] = await isConnected(getClientInstance(instanceId));
+      }
+
+      await attemptDelivery(outboundMessage, connectedInstances[instanceId]);
+    }
+
+    if (Date.now() - lastPurgeAt >= PURGE_INTERVAL_MS) {
+      lastPurgeAt = Date.now();
+      await purgeOutboundMessages();
+    }
+  } catch (error) {
+    logger.error('Error flushing outbound queue:', error);
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * Delete finished outbound messages older than the retention period
+ * @returns {Promise<number>} - The number of deleted messages
+ */
+async function purgeOutboundMessages() {
+  const cutoff = new Date(Date.now() - config.outbound.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  let deleted = 0;
+
+  for (const outboundMessage of await listOutboundMessages()) {
+    if (outboundMessage.status !== 'queued' && outboundMessage.updatedAt < cutoff) {
+      if (await deleteOutboundMessage(outboundMessage)) {
+        deleted++;
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info(`Purged ${deleted} finished outbound message(s)`);
+  }
+  return deleted;
+}
+
+/**
+ * Track the delivery status of a queued message from a WhatsApp acknowledgement
+ * @param {string} instanceId - The instance ID
+ * @param {Object} message - The acknowledged message
+ * @param {number} ack - The acknowledgement level (-1 error, 1 sent, 2 delivered, 3 read, 4 played)
+ * @returns {Promise<Object|null>} - The updated outbound message or null if the message was not queued
+ */
+async function handleMessageAck(instanceId, message, ack) {
+  if (!message || !message.id || !message.fromMe) {
+    return null;
+  }
+
+  const outboundMessage = await findOutboundMessageByMessageId(message.id._serialized);
+  if (!outboundMessage || outboundMessage.instanceId !== instanceId) {
+    return null;
+  }
+
+  // Acknowledgements only move forward
+  if (typeof outboundMessage.ack === 'number' && ack <= outboundMessage.ack && ack !== -1) {
+    return outboundMessage;
+  }
+
+  const timestamp = new Date().toISOString();
+  outboundMessage.ack = ack;
+  if (ack === -1) {
+    outboundMessage.status = 'failed';
+    outboundMessage.lastError = 'WhatsApp reported a delivery error';
+  } else if (ACK_STATUSES[ack]) {
+    outboundMessage.status = ACK_STATUSES[ack];
+    outboundMessage[`${ACK_STATUSES[ack]}At`] = outboundMessage[`${ACK_STATUSES[ack]}At`] || timestamp;
+  }
+
+  await saveOutboundMessage(outboundMessage);
+  logger.debug(`Message ${outboundMessage.queueId} for instance ${instanceId} is ${outboundMessage.status}`);
+  return outboundMessage;
+}
+
+/**
+ * Look up a queued message by its queue ID or WhatsApp message ID
+ * @param {string} instanceId - The instance ID
+ * @param {string} id - The queue ID or serialized WhatsApp message ID
+ * @returns {Promise<Object|null>} - The outbound message status or null if not found
+ */
+async function getMessageStatus(instanceId, id) {
+  const outboundMessage = await getOutboundMessage(id) || await findOutboundMessageByMessageId(id);
+  if (!outboundMessage || outboundMessage.instanceId !== instanceId) {
+    return null;
+  }
+  return toMessageStatus(outboundMessage);
+}
+
+/**
+ * List the queued messages of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} [status] - Only messages with this status
+ * @returns {Promise<Array>} - The outbound message statuses
+ */
+async function listMessageStatuses(instanceId, status) {
+  const messages = await listOutboundMessages({ instanceId, status });
+  return messages.map(toMessageStatus);
+}
+
+/**
+ * Start sending queued messages in the background
+ */
+function startOutboundScheduler() {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(flushOutboundQueue, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+}
+
+/**
+ * Stop the outbound queue scheduler
+ */
+function stopOutboundScheduler() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+}
+
+module.exports = {
+  isInstanceConnected,
+  trackBotSend,
+  isBotMessage,
+  queueMessage,
+  flushOutboundQueue,
+  purgeOutboundMessages,
+  handleMessageAck,
+  getMessageStatus,
+  listMessageStatuses,
+  startOutboundScheduler,
+  stopOutboundScheduler
+};
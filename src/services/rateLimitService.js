@@ -0,0 +1,206 @@
+// src/services/rateLimitService.js
+const logger = require('../utils/logger');
+
+// Token buckets and mutes per instance (kept in memory, they are temporary by nature)
+const buckets = {};
+const mutes = {};
+let lastPruneAt = 0;
+
+const DEFAULT_COOLDOWN_MESSAGE = "You're sending messages too quickly. Please wait a few minutes before trying again.";
+
+/**
+ * Get the rate limit options for an instance, merged with the defaults
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {Object|null} - The rate limit options or null if rate limiting is disabled
+ */
+function getRateLimitOptions(instanceConfig) {
+  const rateLimit = instanceConfig && instanceConfig.options && instanceConfig.options.rateLimit;
+  if (!rateLimit || rateLimit.enabled === false) {
+    return null;
+  }
+
+  return {
+    sender: { capacity: 10, refillPerMinute: 10, ...(rateLimit.sender || {}) },
+    group: { capacity: 30, refillPerMinute: 30, ...(rateLimit.group || {}) },
+    muteMinutes: rateLimit.muteMinutes !== undefined ? rateLimit.muteMinutes : 5,
+    cooldownMessage: rateLimit.cooldownMessage !== undefined ? rateLimit.cooldownMessage : DEFAULT_COOLDOWN_MESSAGE
+  };
+}
+
+/**
+ * Drop full buckets and expired mutes, at most once a minute
+ * A full bucket behaves like a missing one, so chats that went quiet stop taking memory
+ * @param {number} now - The current time in milliseconds
+ */
+function pruneIdleChats(now) {
+  if (now - lastPruneAt < 60 * 1000) {
+    return;
+  }
+  lastPruneAt = now;
+
+  for (const instanceId of Object.keys(buckets)) {
+    for (const [key, bucket] of Object.entries(buckets[instanceId])) {
+      if (bucket.fullAt <= now) {
+        delete buckets[instanceId][key];
+      }
+    }
+    if (Object.keys(buckets[instanceId]).length === 0) {
+      delete buckets[instanceId];
+    }
+  }
+
+  for (const instanceId of Object.keys(mutes)) {
+    for (const [chatId, mute] of Object.entries(mutes[instanceId])) {
+      if (new Date(mute.until).getTime() <= now) {
+        delete mutes[instanceId][chatId];
+      }
+    }
+    if (Object.keys(mutes[instanceId]).length === 0) {
+      delete mutes[instanceId];
+    }
+  }
+}
+
+/**
+ * Take a token from a bucket, refilling it for the elapsed time first
+ * @param {string} instanceId - The instance ID
+ * @param {string} key - The bucket key (sender or group ID)
+ * @param {Object} limit - The bucket limits
+ * @param {number} limit.capacity - Maximum burst size
+ * @param {number} limit.refillPerMinute - Tokens added per minute
+ * @returns {boolean} - Whether a token was available
+ */
+function takeToken(instanceId, key, { capacity, refillPerMinute }) {
+  const now = Date.now();
+  pruneIdleChats(now);
+  buckets[instanceId] = buckets[instanceId] || {};
+
+  const bucket = buckets[instanceId][key] || { tokens: capacity, updatedAt: now };
+  const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+  bucket.tokens = Math.min(capacity, bucket.tokens + elapsedMinutes * refillPerMinute);
+  bucket.updatedAt = now;
+  buckets[instanceId][key] = bucket;
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) {
+    bucket.tokens -= 1;
+  }
+
+  // When the bucket is full again and can be pruned
+  bucket.fullAt = now + (capacity - bucket.tokens) / refillPerMinute * 60000;
+  return allowed;
+}
+
+/**
+ * Get the active mute for a chat, removing it if it has expired
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The sender or group ID
+ * @returns {Object|null} - The mute or null if the chat is not muted
+ */
+function getMute(instanceId, chatId) {
+  const mute = mutes[instanceId] && mutes[instanceId][chatId];
+  if (!mute) {
+    return null;
+  }
+
+  if (new Date(mute.until) <= new Date()) {
+    delete mutes[instanceId][chatId];
+    return null;
+  }
+
+  return mute;
+}
+
+/**
+ * Mute a chat for a number of minutes
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The sender or group ID
+ * @param {number} minutes - Mute duration
+ * @param {string} reason - Why the chat was muted
+ * @returns {Object} - The mute
+ */
+function muteChat(instanceId, chatId, minutes, reason) {
+  mutes[instanceId] = mutes[instanceId] || {};
+
+  const mute = {
+    chatId,
+    reason,
+    mutedAt: new Date().toISOString(),
+    until: new Date(Date.now() + minutes * 60000).toISOString()
+  };
+  mutes[instanceId][chatId] = mute;
+
+  logger.warn(`Muted ${chatId} for ${minutes} minute(s) on instance ${instanceId}: ${reason}`);
+  return mute;
+}
+
+/**
+ * Check an incoming message against the sender and group limits
+ * @param {string} instanceId - The instance ID
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} source - Where the message comes from
+ * @param {string} source.senderId - The sender ID
+ * @param {string} [source.groupId] - The group ID for group messages
+ * @returns {Object} - { allowed, justMuted, cooldownMessage }
+ */
+function checkRateLimit(instanceId, instanceConfig, { senderId, groupId }) {
+  const options = getRateLimitOptions(instanceConfig);
+  if (!options) {
+    return { allowed: true };
+  }
+
+  // Muted senders and groups are ignored until the mute expires
+  if (getMute(instanceId, senderId) || (groupId && getMute(instanceId, groupId))) {
+    return { allowed: false, justMuted: false };
+  }
+
+  if (!takeToken(instanceId, senderId, options.sender)) {
+    muteChat(instanceId, senderId, options.muteMinutes, 'Sender rate limit exceeded');
+    return { allowed: false, justMuted: true, cooldownMessage: options.cooldownMessage };
+  }
+
+  if (groupId && !takeToken(instanceId, groupId, options.group)) {
+    muteChat(instanceId, groupId, options.muteMinutes, 'Group rate limit exceeded');
+    return { allowed: false, justMuted: true, cooldownMessage: options.cooldownMessage };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * List the active mutes of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Array<Object>} - The mutes
+ */
+function listMutes(instanceId) {
+  return Object.keys(mutes[instanceId] || {})
+    .map(chatId => getMute(instanceId, chatId))
+    .filter(Boolean);
+}
+
+/**
+ * Clear the mute of a chat and refill its bucket
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The sender or group ID
+ * @returns {boolean} - Whether a mute was cleared
+ */
+function clearMute(instanceId, chatId) {
+  const wasMuted = !!getMute(instanceId, chatId);
+
+  if (mutes[instanceId]) {
+    delete mutes[instanceId][chatId];
+  }
+  if (buckets[instanceId]) {
+    delete buckets[instanceId][chatId];
+  }
+
+  return wasMuted;
+}
+
+module.exports = {
+  getRateLimitOptions,
+  checkRateLimit,
+  muteChat,
+  listMutes,
+  clearMute
+};
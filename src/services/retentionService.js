@@ -0,0 +1,152 @@
+// src/services/retentionService.js
+const logger = require('../utils/logger');
+const config = require('../config');
+const { listInstances, getInstanceConfig } = require('../models/instance');
+const { deleteOldConversations, findOldConversations } = require('../models/conversation');
+
+// Scheduler state
+let retentionTimer = null;
+let running = false;
+const metrics = {
+  runs: 0,
+  totalPurged: 0,
+  lastRun: null
+};
+
+/**
+ * Get the retention period for an instance
+ * @param {Object} instanceConfig - Instance configuration
+ * @returns {number} - Days to keep conversations (0 keeps them forever)
+ */
+function getRetentionDays(instanceConfig) {
+  const instanceDays = instanceConfig && instanceConfig.options && instanceConfig.options.retentionDays;
+  const days = instanceDays !== undefined && instanceDays !== null
+    ? parseInt(instanceDays, 10)
+    : config.retention.defaultDays;
+
+  return isNaN(days) || days < 0 ? 0 : days;
+}
+
+/**
+ * Apply retention to one or all instances
+ * @param {Object} options - Run options
+ * @param {string} [options.instanceId] - Only apply retention to this instance
+ * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+ * @returns {Promise<Object>} - The run report
+ */
+async function runRetention({ instanceId, dryRun = false } = {}) {
+  const report = {
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    totalPurged: 0,
+    instances: []
+  };
+
+  const instanceIds = instanceId ? [instanceId] : await listInstances();
+
+  for (const id of instanceIds) {
+    const instanceConfig = await getInstanceConfig(id);
+    if (!instanceConfig) {
+      continue;
+    }
+
+    const retentionDays = getRetentionDays(instanceConfig);
+    if (retentionDays === 0) {
+      report.instances.push({ instanceId: id, retentionDays, purged: 0, skipped: true });
+      continue;
+    }
+
+    if (dryRun) {
+      // Preview: list what would be deleted
+      const conversationIds = await findOldConversations(retentionDays, id);
+      report.instances.push({ instanceId: id, retentionDays, purged: conversationIds.length, conversationIds });
+      report.totalPurged += conversationIds.length;
+    } else {
+      const purged = await deleteOldConversations(retentionDays, id);
+      report.instances.push({ instanceId: id, retentionDays, purged });
+      report.totalPurged += purged;
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+
+  if (!dryRun) {
+    metrics.runs++;
+    metrics.totalPurged += report.totalPurged;
+    metrics.lastRun = report;
+    logger.info(`Retention run purged ${report.totalPurged} conversation(s) across ${report.instances.length} instance(s)`);
+  }
+
+  return report;
+}
+
+/**
+ * Run retention from the scheduler, skipping if a run is still in progress
+ * @returns {Promise<void>}
+ */
+async function scheduledRun() {
+  if (running) {
+    logger.warn('Previous retention run still in progress, skipping');
+    return;
+  }
+
+  running = true;
+  try {
+    await runRetention();
+  } catch (error) {
+    logger.error('Error running scheduled retention:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the retention scheduler
+ */
+function startRetentionScheduler() {
+  if (retentionTimer) {
+    return;
+  }
+
+  const intervalMs = Math.max(config.retention.intervalMinutes, 1) * 60 * 1000;
+  retentionTimer = setInterval(scheduledRun, intervalMs);
+  retentionTimer.unref();
+
+  logger.info(`Retention scheduler started (every ${config.retention.intervalMinutes} minute(s), default retention ${config.retention.defaultDays || 'disabled'} day(s))`);
+
+  // Apply retention once at startup
+  scheduledRun();
+}
+
+/**
+ * Stop the retention scheduler
+ */
+function stopRetentionScheduler() {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+}
+
+/**
+ * Get the scheduler status and metrics
+ * @returns {Object} - The status
+ */
+function getRetentionStatus() {
+  return {
+    enabled: !!retentionTimer,
+    running,
+    intervalMinutes: config.retention.intervalMinutes,
+    defaultRetentionDays: config.retention.defaultDays,
+    ...metrics
+  };
+}
+
+module.exports = {
+  getRetentionDays,
+  runRetention,
+  startRetentionScheduler,
+  stopRetentionScheduler,
+  getRetentionStatus
+};
@@ -0,0 +1,130 @@
+// src/services/routingService.js
+const logger = require('../utils/logger');
+const { getAsyncOptions } = require('./asyncReplyService');
+
+/**
+ * Check if a rule list condition matches, ignoring the @c.us suffix
+ * @param {Array<string>} list - The allowed values
+ * @param {string} value - The value to check
+ * @returns {boolean} - Whether the value is in the list
+ */
+function listIncludes(list, value) {
+  if (!value) {
+    return false;
+  }
+  const normalizedValue = value.replace('@c.us', '');
+  return list.some(item => String(item).replace('@c.us', '') === normalizedValue);
+}
+
+/**
+ * Check if a message matches the conditions of a route
+ * All conditions must match, list conditions match any of their values
+ * @param {Object} match - The route conditions
+ * @param {Object} sample - The message to route
+ * @returns {boolean} - Whether the route applies
+ */
+function matchesRoute(match, sample) {
+  if (!match) {
+    return true;
+  }
+
+  const text = (sample.message || '').toLowerCase();
+
+  if (Array.isArray(match.senders) && !listIncludes(match.senders, sample.senderId)) {
+    return false;
+  }
+  if (Array.isArray(match.groups) && !listIncludes(match.groups, sample.groupId)) {
+    return false;
+  }
+  if (typeof match.isGroup === 'boolean' && match.isGroup !== !!sample.groupId) {
+    return false;
+  }
+  if (Array.isArray(match.keywords) && !match.keywords.some(keyword => text.includes(String(keyword).toLowerCase()))) {
+    return false;
+  }
+  if (Array.isArray(match.messageTypes) && !match.messageTypes.includes(sample.messageType)) {
+    return false;
+  }
+  if (typeof match.hasMedia === 'boolean' && match.hasMedia !== !!sample.hasMedia) {
+    return false;
+  }
+  if (match.pattern) {
+    try {
+      if (!new RegExp(match.pattern, 'i').test(sample.message || '')) {
+        return false;
+      }
+    } catch (error) {
+      logger.warn(`Invalid route pattern ${match.pattern}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Pick the n8n webhook for a message from the instance routing table
+ * Routes are checked in order, the first match wins and n8nConfig is the default route
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} sample - The message to route
+ * @param {string} sample.senderId - The sender ID
+ * @param {string} [sample.groupId] - The group ID for group messages
+ * @param {string} [sample.message] - The message text
+ * @param {string} [sample.messageType] - The WhatsApp message type (chat, image, ptt, ...)
+ * @param {boolean} [sample.hasMedia] - Whether the message has media
+ * @returns {Object} - The route (name, index, webhookPath, baseUrl, timeout, async)
+ */
+function resolveRoute(instanceConfig, sample) {
+  const n8nConfig = (instanceConfig && instanceConfig.n8nConfig) || {};
+  const routes = Array.isArray(n8nConfig.routes) ? n8nConfig.routes : [];
+
+  const index = routes.findIndex(route => route && matchesRoute(route.match, sample));
+  const route = index >= 0 ? routes[index] : {};
+
+  return {
+    name: index >= 0 ? route.name || `route-${index}` : 'default',
+    index: index >= 0 ? index : null,
+    webhookPath: route.webhookPath || n8nConfig.webhookPath,
+    baseUrl: route.baseUrl || n8nConfig.baseUrl,
+    timeout: route.timeout || n8nConfig.timeout,
+    async: typeof route.async === 'boolean' ? route.async : getAsyncOptions(instanceConfig).enabled
+  };
+}
+
+/**
+ * Validate a routing table
+ * @param {Array<Object>} [routes] - The routes from n8nConfig.routes
+ * @returns {string|null} - The error message or null if the routes are valid
+ */
+function validateRoutes(routes) {
+  if (routes === undefined) {
+    return null;
+  }
+  if (!Array.isArray(routes)) {
+    return 'n8nConfig.routes must be an array';
+  }
+
+  for (const [index, route] of routes.entries()) {
+    if (!route || typeof route !== 'object') {
+      return `Route ${index} must be an object`;
+    }
+    if (!route.webhookPath && !route.baseUrl) {
+      return `Route ${route.name || index} needs a webhookPath or a baseUrl`;
+    }
+    if (route.match && route.match.pattern) {
+      try {
+        new RegExp(route.match.pattern, 'i');
+      } catch (error) {
+        return `Route ${route.name || index} has an invalid pattern: ${error.message}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  matchesRoute,
+  validateRoutes,
+  resolveRoute
+};
@@ -0,0 +1,332 @@
+// src/services/scheduledMessageService.js
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const { MessageMedia } = require('whatsapp-web.js');
+const logger = require('../utils/logger');
+const {
+  getScheduledMessage,
+  saveScheduledMessage,
+  deleteScheduledMessage,
+  listScheduledMessages
+} = require('../models/scheduledMessage');
+const { queueMessage } = require('./outboundQueueService');
+const { getSuppressionError } = require('./suppressionService');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Scheduler state
+let checkTimer = null;
+let checking = false;
+
+/**
+ * Get the public view of a scheduled message (without the media data)
+ * @param {Object} scheduledMessage - The scheduled message
+ * @returns {Object} - The scheduled message
+ */
+function toScheduleView(scheduledMessage) {
+  const { media, ...view } = scheduledMessage;
+  return {
+    ...view,
+    ...(media ? { media: { mimetype: media.mimetype, filename: media.filename, filesize: media.filesize } } : {})
+  };
+}
+
+/**
+ * Get the next run of a cron expression
+ * @param {string} cron - The cron expression (minute hour day month weekday)
+ * @param {string} [timezone] - IANA timezone the expression is evaluated in (server timezone by default)
+ * @param {Date} [after] - Compute the first run after this time
+ * @returns {Date} - The next run
+ */
+function getNextCronRun(cron, timezone, after = new Date()) {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: after,
+    ...(timezone ? { tz: timezone } : {})
+  });
+  return interval.next().toDate();
+}
+
+/**
+ * Resolve the time a message should be sent
+ * @param {Object} schedule - The schedule
+ * @param {string|Date} [schedule.sendAt] - Send once at this time
+ * @param {number} [schedule.delay] - Send once after this many seconds
+ * @param {string} [schedule.cron] - Send on a recurring cron schedule
+ * @param {string} [schedule.timezone] - Timezone for the cron schedule
+ * @returns {Object} - { nextRunAt, sendAt, cron, timezone } or an error message
+ */
+function resolveSchedule(schedule) {
+  if (schedule.cron) {
+    if (schedule.cron.trim().split(/\s+/).length !== 5) {
+      return { error: 'Invalid cron schedule: expected 5 fields (minute hour day month weekday)' };
+    }
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (error) {
+        return { error: `Invalid timezone: ${schedule.timezone}` };
+      }
+    }
+
+    try {
+      const nextRunAt = getNextCronRun(schedule.cron, schedule.timezone);
+      return {
+        value: {
+          nextRunAt: nextRunAt.toISOString(),
+          sendAt: null,
+          cron: schedule.cron,
+          timezone: schedule.timezone || null
+        }
+      };
+    } catch (error) {
+      return { error: `Invalid cron schedule: ${error.message}` };
+    }
+  }
+
+  if (schedule.timezone) {
+    return { error: 'timezone is only supported with cron' };
+  }
+
+  const sendAt = schedule.delay !== undefined
+    ? new Date(Date.now() + schedule.delay * 1000)
+    : new Date(schedule.sendAt);
+  if (isNaN(sendAt.getTime())) {
+    return { error: 'Invalid sendAt' };
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future' };
+  }
+
+  return {
+    value: {
+      nextRunAt: sendAt.toISOString(),
+      sendAt: sendAt.toISOString(),
+      cron: null,
+      timezone: null
+    }
+  };
+}
+
+/**
+ * Check whether a send request asks for a scheduled message
+ * @param {Object} schedule - The send request
+ * @returns {boolean} - Whether sendAt, delay or cron is set
+ */
+function isScheduled(schedule) {
+  return schedule.sendAt !== undefined || schedule.delay !== undefined || schedule.cron !== undefined;
+}
+
+/**
+ * Schedule a message for later or on a recurring schedule
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The chat ID to send to
+ * @param {string|MessageMedia} content - The message text or media
+ * @param {Object} options - whatsapp-web.js send options
+ * @param {Object} schedule - When to send (sendAt, delay or cron with an optional timezone)
+ * @returns {Promise<Object>} - The scheduled message or an error message
+ */
+async function scheduleMessage(instanceId, chatId, content, options, schedule) {
+  const { error, value } = resolveSchedule(schedule);
+  if (error) {
+    return { error };
+  }
+
+  const isMedia = content instanceof MessageMedia;
+  const scheduledMessage = {
+    scheduleId: crypto.randomUUID(),
+    instanceId,
+    chatId,
+    body: isMedia ? null : content,
+    media: isMedia
+      ? { mimetype: content.mimetype, data: content.data, filename: content.filename || null, filesize: content.filesize || null }
+      : null,
+    options,
+    ...value,
+    runs: 0,
+    lastRunAt: null,
+    lastQueueId: null,
+    createdAt: new Date().toISOString()
+  };
+
+  if (!await saveScheduledMessage(scheduledMessage)) {
+    throw new Error('Failed to save scheduled message');
+  }
+
+  logger.info(`Scheduled message ${scheduledMessage.scheduleId} for ${chatId} on instance ${instanceId} at ${scheduledMessage.nextRunAt}${value.cron ? ` (cron ${value.cron})` : ''}`);
+  return { value: toScheduleView(scheduledMessage) };
+}
+
+/**
+ * Get a scheduled message of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Promise<Object|null>} - The scheduled message or null if not found
+ */
+async function getSchedule(instanceId, scheduleId) {
+  const scheduledMessage = await getScheduledMessage(scheduleId);
+  if (!scheduledMessage || scheduledMessage.instanceId !== instanceId) {
+    return null;
+  }
+  return toScheduleView(scheduledMessage);
+}
+
+/**
+ * List the scheduled messages of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array>} - The scheduled messages
+ */
+async function listSchedules(instanceId) {
+  const scheduledMessages = await listScheduledMessages(instanceId);
+  return scheduledMessages.map(toScheduleView);
+}
+
+/**
+ * Change when a scheduled message is sent
+ * @param {string} instanceId - The instance ID
+ * @param {string} scheduleId - The schedule ID
+ * @param {Object} schedule - The new schedule (sendAt, delay or cron with an optional timezone)
+ * @returns {Promise<Object|null>} - The updated scheduled message, an error message, or null if not found
+ */
+async function reschedule(instanceId, scheduleId, schedule) {
+  const scheduledMessage = await getScheduledMessage(scheduleId);
+  if (!scheduledMessage || scheduledMessage.instanceId !== instanceId) {
+    return null;
+  }
+
+  const { error, value } = resolveSchedule(schedule);
+  if (error) {
+    return { error };
+  }
+
+  Object.assign(scheduledMessage, value);
+  if (!await saveScheduledMessage(scheduledMessage)) {
+    throw new Error('Failed to save scheduled message');
+  }
+
+  logger.info(`Rescheduled message ${scheduleId} on instance ${instanceId} to ${scheduledMessage.nextRunAt}`);
+  return { value: toScheduleView(scheduledMessage) };
+}
+
+/**
+ * Cancel a scheduled message
+ * @param {string} instanceId - The instance ID
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Promise<boolean>} - Whether the scheduled message existed
+ */
+async function cancelSchedule(instanceId, scheduleId) {
+  const scheduledMessage = await getScheduledMessage(scheduleId);
+  if (!scheduledMessage || scheduledMessage.instanceId !== instanceId) {
+    return false;
+  }
+
+  logger.info(`Cancelled scheduled message ${scheduleId} on instance ${instanceId}`);
+  return deleteScheduledMessage(scheduleId);
+}
+
+/**
+ * Finish a run of a scheduled message
+ * One-off messages are removed, recurring ones move to their next run
+ * @param {Object} scheduledMessage - The scheduled message
+ * @param {Date} now - The time of the run
+ * @param {string|null} queueId - The queue ID of the sent message (null if the run was skipped)
+ * @returns {Promise<void>}
+ */
+async function completeRun(scheduledMessage, now, queueId) {
+  if (!scheduledMessage.cron) {
+    await deleteScheduledMessage(scheduledMessage.scheduleId);
+    return;
+  }
+
+  scheduledMessage.runs += 1;
+  scheduledMessage.lastRunAt = now.toISOString();
+  scheduledMessage.lastQueueId = queueId;
+  scheduledMessage.nextRunAt = getNextCronRun(scheduledMessage.cron, scheduledMessage.timezone, now).toISOString();
+  await saveScheduledMessage(scheduledMessage);
+}
+
+/**
+ * Hand the scheduled messages that are due to the outbound queue
+ * Runs missed while the server was down are sent once when it is back
+ * @returns {Promise<void>}
+ */
+async function runDueSchedules() {
+  if (checking) {
+    return;
+  }
+
+  checking = true;
+  try {
+    const now = new Date();
+
+    for (const scheduledMessage of await listScheduledMessages()) {
+      if (new Date(scheduledMessage.nextRunAt) > now) {
+        continue;
+      }
+
+      try {
+        // Recipients who opted out after the message was scheduled are skipped
+        const suppressionError = await getSuppressionError(scheduledMessage.instanceId, scheduledMessage.chatId);
+        if (suppressionError) {
+          logger.warn(`Skipping scheduled message ${scheduledMessage.scheduleId} for instance ${scheduledMessage.instanceId}: ${suppressionError}`);
+          await completeRun(scheduledMessage, now, null);
+          continue;
+        }
+
+        const { media } = scheduledMessage;
+        const content = media
+          ? new MessageMedia(media.mimetype, media.data, media.filename, media.filesize)
+          : scheduledMessage.body;
+        const outboundMessage = await queueMessage(
+          scheduledMessage.instanceId,
+          scheduledMessage.chatId,
+          content,
+          scheduledMessage.options,
+          'schedule'
+        );
+
+        logger.info(`Scheduled message ${scheduledMessage.scheduleId} queued as ${outboundMessage.queueId} for instance ${scheduledMessage.instanceId}`);
+        await completeRun(scheduledMessage, now, outboundMessage.queueId);
+      } catch (error) {
+        logger.error(`Error running scheduled message ${scheduledMessage.scheduleId} for instance ${scheduledMessage.instanceId}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Error running scheduled messages:', error);
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start sending scheduled messages in the background
+ */
+function startMessageScheduler() {
+  if (checkTimer) {
+    return;
+  }
+
+  checkTimer = setInterval(runDueSchedules, CHECK_INTERVAL_MS);
+  checkTimer.unref();
+}
+
+/**
+ * Stop the scheduled message scheduler
+ */
+function stopMessageScheduler() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+module.exports = {
+  isScheduled,
+  scheduleMessage,
+  getSchedule,
+  listSchedules,
+  reschedule,
+  cancelSchedule,
+  runDueSchedules,
+  startMessageScheduler,
+  stopMessageScheduler
+};
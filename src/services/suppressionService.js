@@ -0,0 +1,107 @@
+// src/services/suppressionService.js
+const logger = require('../utils/logger');
+const { getSuppression, addSuppression, removeSuppression } = require('../models/suppression');
+
+const DEFAULT_OPT_OUT_KEYWORDS = ['STOP', 'UNSUBSCRIBE'];
+const DEFAULT_OPT_IN_KEYWORDS = ['START'];
+const DEFAULT_OPT_OUT_MESSAGE = 'You have been unsubscribed and will not receive further messages. Send START to subscribe again.';
+const DEFAULT_OPT_IN_MESSAGE = 'You have been subscribed again.';
+
+/**
+ * Get the opt-out options for an instance, merged with the defaults
+ * @param {Object} config - Instance configuration
+ * @returns {Object} - { keywords, optInKeywords, optOutMessage, optInMessage }
+ */
+function getOptOutOptions(config) {
+  const optOut = (config && config.options && config.options.optOut) || {};
+  const toKeywords = (keywords, defaults) => (Array.isArray(keywords) ? keywords : defaults)
+    .map(keyword => String(keyword).trim().toUpperCase())
+    .filter(Boolean);
+
+  return {
+    keywords: toKeywords(optOut.keywords, DEFAULT_OPT_OUT_KEYWORDS),
+    optInKeywords: toKeywords(optOut.optInKeywords, DEFAULT_OPT_IN_KEYWORDS),
+    optOutMessage: optOut.optOutMessage !== undefined ? optOut.optOutMessage : DEFAULT_OPT_OUT_MESSAGE,
+    optInMessage: optOut.optInMessage !== undefined ? optOut.optInMessage : DEFAULT_OPT_IN_MESSAGE
+  };
+}
+
+/**
+ * Check if a chat is on the suppression list of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The contact or group chat ID
+ * @returns {Promise<boolean>} - Whether the chat is suppressed
+ */
+async function isSuppressed(instanceId, chatId) {
+  return !!await getSuppression(instanceId, chatId);
+}
+
+/**
+ * Get the error for sending to a suppressed recipient
+ * @param {string} instanceId - The instance ID
+ * @param {string} chatId - The recipient chat ID
+ * @returns {Promise<string|null>} - The error message or null if the recipient can be messaged
+ */
+async function getSuppressionError(instanceId, chatId) {
+  const suppression = await getSuppression(instanceId, chatId);
+  if (!suppression) {
+    return null;
+  }
+  return suppression.source === 'keyword'
+    ? `Recipient ${chatId} has opted out of messages`
+    : `Recipient ${chatId} is on the blocklist`;
+}
+
+/**
+ * Handle the opt-out and opt-in keywords sent by a contact
+ * Only contacts who opted out themselves can opt in again, blocklisted contacts stay blocked
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} instanceId - The instance ID
+ * @param {Object} config - Instance configuration
+ * @returns {Promise<boolean>} - Whether the message was a keyword (and was handled)
+ */
+async function handleOptOutMessage(message, instanceId, config) {
+  const options = getOptOutOptions(config);
+  const keyword = (message.body || '').trim().toUpperCase();
+
+  if (options.keywords.includes(keyword)) {
+    const suppression = await getSuppression(instanceId, message.from);
+    if (!suppression) {
+      await addSuppression(instanceId, message.from, { reason: keyword, source: 'keyword' });
+      logger.info(`${message.from} opted out of messages from instance ${instanceId}`);
+    }
+
+    if (options.optOutMessage) {
+      await message.reply(options.optOutMessage);
+    }
+    return true;
+  }
+
+  if (options.optInKeywords.includes(keyword)) {
+    const suppression = await getSuppression(instanceId, message.from);
+    if (!suppression) {
+      return false;
+    }
+    if (suppression.source !== 'keyword') {
+      logger.info(`Ignoring opt-in from blocklisted ${message.from} for instance ${instanceId}`);
+      return true;
+    }
+
+    await removeSuppression(instanceId, message.from);
+    logger.info(`${message.from} opted in to messages from instance ${instanceId}`);
+
+    if (options.optInMessage) {
+      await message.reply(options.optInMessage);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  getOptOutOptions,
+  isSuppressed,
+  getSuppressionError,
+  handleOptOutMessage
+};
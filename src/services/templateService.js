@@ -0,0 +1,75 @@
+// src/services/templateService.js
+const { getTemplate } = require('../models/template');
+const { getTemplateVariables, renderTemplate } = require('../utils/template');
+
+/**
+ * Pick the variant of a template for a language
+ * Falls back from a regional language (pt-BR) to its base language (pt), then to the default language
+ * @param {Object} template - The template
+ * @param {string} [language] - The requested language
+ * @returns {Object|null} - { language, text } or null if the template has no usable variant
+ */
+function selectVariant(template, language) {
+  const candidates = [];
+  if (language) {
+    candidates.push(language, language.split('-')[0]);
+  }
+  candidates.push(template.defaultLanguage);
+
+  const variants = template.variants || {};
+  const variantKeys = Object.keys(variants);
+  for (const candidate of candidates) {
+    const key = variantKeys.find(variantKey => variantKey.toLowerCase() === String(candidate).toLowerCase());
+    if (key) {
+      return { language: key, text: variants[key] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a template with the variables each variant needs
+ * @param {Object} template - The template
+ * @returns {Object} - The template with its variables per language
+ */
+function describeTemplate(template) {
+  const variables = {};
+  for (const [language, text] of Object.entries(template.variants || {})) {
+    variables[language] = getTemplateVariables(text);
+  }
+  return { ...template, variables };
+}
+
+/**
+ * Render a named template of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} name - The template name
+ * @param {Object} [variables] - The variable values
+ * @param {string} [language] - The language of the variant to use
+ * @returns {Promise<Object>} - { text, language } or { error, status }
+ */
+async function renderNamedTemplate(instanceId, name, variables = {}, language) {
+  const template = await getTemplate(instanceId, name);
+  if (!template) {
+    return { error: `Template not found: ${name}`, status: 404 };
+  }
+
+  const variant = selectVariant(template, language);
+  if (!variant) {
+    return { error: `Template ${name} has no variant for language ${language || template.defaultLanguage}`, status: 400 };
+  }
+
+  const { text, missing } = renderTemplate(variant.text, variables);
+  if (missing.length > 0) {
+    return { error: `Missing variable(s) for template ${name}: ${missing.join(', ')}`, status: 400 };
+  }
+
+  return { text, language: variant.language };
+}
+
+module.exports = {
+  selectVariant,
+  describeTemplate,
+  renderNamedTemplate
+};
@@ -0,0 +1,511 @@
+// src/services/webhookService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  getWebhookSubscription,
+  saveWebhookSubscription,
+  deleteWebhookSubscription,
+  listWebhookSubscriptions
+} = require('../models/webhookSubscription');
+const {
+  getWebhookDelivery,
+  saveWebhookDelivery,
+  deleteWebhookDelivery,
+  listWebhookDeliveries
+} = require('../models/webhookDelivery');
+const { EVENT_TYPES } = require('./eventService');
+const { generateToken, signTimestampedPayload } = require('../utils/security');
+
+// Events subscriptions can receive: the WhatsApp lifecycle events plus connector events
+const WEBHOOK_EVENT_TYPES = [...EVENT_TYPES, 'instance_status', 'message_analytics'];
+
+const PROCESS_INTERVAL_MS = 5 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPT_LOG = 10;
+
+// Scheduler state
+let processTimer = null;
+let processing = false;
+let lastPurgeAt = 0;
+
+// Delivery IDs being sent right now, so the scheduler and direct sends never overlap
+const inFlight = new Set();
+
+/**
+ * Get the public view of a subscription (without its secret)
+ * @param {Object} subscription - The subscription
+ * @returns {Object} - The subscription
+ */
+function toSubscriptionView(subscription) {
+  const { secret, ...view } = subscription;
+  return view;
+}
+
+/**
+ * Get the delay before the next attempt, doubling with each failure
+ * @param {number} attempts - The number of failed attempts
+ * @returns {number} - The delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const delay = config.webhooks.retryBaseSeconds * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Check whether a subscription receives an event type
+ * @param {Object} subscription - The subscription
+ * @param {string} type - The event type
+ * @returns {boolean} - Whether the event should be delivered
+ */
+function isSubscribedTo(subscription, type) {
+  return subscription.enabled && (subscription.events.includes('*') || subscription.events.includes(type));
+}
+
+/**
+ * Create a webhook subscription
+ * @param {string} instanceId - The instance ID
+ * @param {Object} definition - The subscription
+ * @param {string} definition.url - The URL events are posted to
+ * @param {Array<string>} definition.events - The event types, or ['*'] for all of them
+ * @param {string} [definition.description] - What the subscription is for
+ * @param {boolean} [definition.enabled] - Whether events are delivered (true by default)
+ * @returns {Promise<Object>} - The subscription, including the signing secret
+ */
+async function createSubscription(instanceId, definition) {
+  const now = new Date().toISOString();
+  const subscription = {
+    subscriptionId: crypto.randomUUID(),
+    instanceId,
+    url: definition.url,
+    events: definition.events,
+    description: definition.description || '',
+    enabled: definition.enabled !== false,
+    secret: generateToken(32),
+    createdAt: now
+  };
+
+  if (!await saveWebhookSubscription(subscription)) {
+    throw new Error('Failed to save webhook subscription');
+  }
+
+  logger.info(`Webhook subscription ${subscription.subscriptionId} created for instance ${instanceId}`);
+  return subscription;
+}
+
+/**
+ * Get a webhook subscription of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<Object|null>} - The subscription (without its secret) or null if not found
+ */
+async function getSubscription(instanceId, subscriptionId) {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  if (!subscription || subscription.instanceId !== instanceId) {
+    return null;
+  }
+  return toSubscriptionView(subscription);
+}
+
+/**
+ * List the webhook subscriptions of an instance
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array>} - The subscriptions (without their secrets)
+ */
+async function listSubscriptions(instanceId) {
+  const subscriptions = await listWebhookSubscriptions(instanceId);
+  return subscriptions.map(toSubscriptionView);
+}
+
+/**
+ * Change a webhook subscription
+ * @param {string} instanceId - The instance ID
+ * @param {string} subscriptionId - The subscription ID
+ * @param {Object} changes - The new url, events, description or enabled flag
+ * @returns {Promise<Object|null>} - The subscription (without its secret) or null if not found
+ */
+async function updateSubscription(instanceId, subscriptionId, changes) {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  if (!subscription || subscription.instanceId !== instanceId) {
+    return null;
+  }
+
+  for (const field of ['url', 'events', 'description', 'enabled']) {
+    if (changes[field] !== undefined) {
+      subscription[field] = changes[field];
+    }
+  }
+
+  if (!await saveWebhookSubscription(subscription)) {
+    throw new Error('Failed to save webhook subscription');
+  }
+
+  logger.info(`Webhook subscription ${subscriptionId} updated for instance ${instanceId}`);
+  return toSubscriptionView(subscription);
+}
+
+/**
+ * Replace the signing secret of a webhook subscription
+ * @param {string} instanceId - The instance ID
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<Object|null>} - The subscription with the new secret or null if not found
+ */
+async function rotateSubscriptionSecret(instanceId, subscriptionId) {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  if (!subscription || subscription.instanceId !== instanceId) {
+    return null;
+  }
+
+  subscription.secret = generateToken(32);
+  if (!await saveWebhookSubscription(subscription)) {
+    throw new Error('Failed to save webhook subscription');
+  }
+
+  logger.info(`Rotated the secret of webhook subscription ${subscriptionId} for instance ${instanceId}`);
+  return subscription;
+}
+
+/**
+ * Delete a webhook subscription with its delivery log
+ * @param {string} instanceId - The instance ID
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<boolean>} - Whether the subscription existed
+ */
+async function deleteSubscription(instanceId, subscriptionId) {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  if (!subscription || subscription.instanceId !== instanceId) {
+    return false;
+  }
+
+  for (const delivery of await listWebhookDeliveries({ subscriptionId })) {
+    await deleteWebhookDelivery(delivery.deliveryId);
+  }
+
+  logger.info(`Webhook subscription ${subscriptionId} deleted for instance ${instanceId}`);
+  return deleteWebhookSubscription(subscriptionId);
+}
+
+/**
+ * Record the result of a delivery attempt
+ * @param {Object} delivery - The delivery
+ * @param {Object} attempt - { at, responseStatus, error, durationMs }
+ */
+function logAttempt(delivery, attempt) {
+  delivery.attemptLog = [...(delivery.attemptLog || []), attempt].slice(-MAX_ATTEMPT_LOG);
+  delivery.responseStatus = attempt.responseStatus;
+  delivery.lastError = attempt.error;
+}
+
+/**
+ * Post a delivery to its subscription, signed with the subscription secret
+ * Failed deliveries are retried with exponential backoff, then kept as dead letters
+ * @param {Object} delivery - The delivery
+ * @returns {Promise<Object>} - The updated delivery
+ */
+async function attemptWebhookDelivery(delivery) {
+  if (inFlight.has(delivery.deliveryId)) {
+    return delivery;
+  }
+
+  inFlight.add(delivery.deliveryId);
+  try {
+    const subscription = await getWebhookSubscription(delivery.subscriptionId);
+    if (!subscription || !subscription.enabled) {
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = null;
+      delivery.lastError = subscription ? 'Subscription is disabled' : 'Subscription no longer exists';
+      await saveWebhookDelivery(delivery);
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const { timestamp, signature } = signTimestampedPayload(body, subscription.secret);
+    const startedAt = Date.now();
+    delivery.attempts += 1;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        timeout: config.webhooks.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.deliveryId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`
+        }
+      });
+
+      logAttempt(delivery, {
+        at: new Date().toISOString(),
+        responseStatus: response.status,
+        error: null,
+        durationMs: Date.now() - startedAt
+      });
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      logger.debug(`Delivered ${delivery.event} event ${delivery.deliveryId} to subscription ${delivery.subscriptionId}`);
+    } catch (error) {
+      logAttempt(delivery, {
+        at: new Date().toISOString(),
+        responseStatus: error.response ? error.response.status : null,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      });
+
+      if (delivery.attempts >= config.webhooks.maxAttempts) {
+        delivery.status = 'dead';
+        delivery.nextAttemptAt = null;
+        logger.error(`Giving up on ${delivery.event} event ${delivery.deliveryId} for subscription ${delivery.subscriptionId} after ${delivery.attempts} attempt(s): ${error.message}`);
+      } else {
+        const delay = getRetryDelay(delivery.attempts);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn(`Failed to deliver ${delivery.event} event ${delivery.deliveryId} to subscription ${delivery.subscriptionId}, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      }
+    }
+
+    await saveWebhookDelivery(delivery);
+    return delivery;
+  } finally {
+    inFlight.delete(delivery.deliveryId);
+  }
+}
+
+/**
+ * Deliver an event to every subscription of the instance that receives its type
+ * Failures are logged and never thrown, deliveries are retried in the background
+ * @param {string} instanceId - The instance ID
+ * @param {string} type - The event type
+ * @param {Object} data - The event data
+ * @returns {Promise<Array>} - The deliveries
+ */
+async function publishEvent(instanceId, type, data) {
+  try {
+    const subscriptions = (await listWebhookSubscriptions(instanceId))
+      .filter(subscription => isSubscribedTo(subscription, type));
+    const now = new Date().toISOString();
+    const deliveries = [];
+
+    for (const subscription of subscriptions) {
+      const deliveryId = crypto.randomUUID();
+      const delivery = {
+        deliveryId,
+        subscriptionId: subscription.subscriptionId,
+        instanceId,
+        event: type,
+        payload: { id: deliveryId, event: type, instanceId, timestamp: now, data },
+        status: 'pending',
+        attempts: 0,
+        replays: 0,
+        nextAttemptAt: now,
+        responseStatus: null,
+        lastError: null,
+        attemptLog: [],
+        createdAt: now,
+        deliveredAt: null
+      };
+
+      if (await saveWebhookDelivery(delivery)) {
+        deliveries.push(delivery);
+      }
+    }
+
+    return await Promise.all(deliveries.map(attemptWebhookDelivery));
+  } catch (error) {
+    logger.error(`Error publishing ${type} event for instance ${instanceId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get a delivery of an instance
+ * @param {string} instanceId - The instance ID
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object|null>} - The delivery or null if not found
+ */
+async function getDelivery(instanceId, deliveryId) {
+  const delivery = await getWebhookDelivery(deliveryId);
+  if (!delivery || delivery.instanceId !== instanceId) {
+    return null;
+  }
+  return delivery;
+}
+
+/**
+ * List the deliveries of an instance, newest first
+ * @param {string} instanceId - The instance ID
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.subscriptionId] - Only deliveries to this subscription
+ * @param {string} [filter.status] - Only deliveries with this status (pending, delivered or dead)
+ * @param {string} [filter.event] - Only deliveries of this event type
+ * @returns {Promise<Array>} - The deliveries
+ */
+async function listDeliveries(instanceId, filter = {}) {
+  const deliveries = await listWebhookDeliveries({
+    instanceId,
+    subscriptionId: filter.subscriptionId,
+    status: filter.status
+  });
+  return deliveries
+    .filter(delivery => !filter.event || delivery.event === filter.event)
+    .reverse();
+}
+
+/**
+ * Send a delivery again, with a fresh signature and a new set of attempts
+ * @param {string} instanceId - The instance ID
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object|null>} - The delivery, an error message, or null if not found
+ */
+async function replayDelivery(instanceId, deliveryId) {
+  const delivery = await getWebhookDelivery(deliveryId);
+  if (!delivery || delivery.instanceId !== instanceId) {
+    return null;
+  }
+  if (delivery.status === 'pending') {
+    return { error: 'Delivery is already pending' };
+  }
+
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.replays = (delivery.replays || 0) + 1;
+  delivery.nextAttemptAt = new Date().toISOString();
+  await saveWebhookDelivery(delivery);
+
+  logger.info(`Replaying ${delivery.event} event ${deliveryId} for instance ${instanceId}`);
+  return { value: await attemptWebhookDelivery(delivery) };
+}
+
+/**
+ * Queue the dead letters of a subscription for delivery again
+ * @param {string} instanceId - The instance ID
+ * @param {string} subscriptionId - The subscription ID
+ * @returns {Promise<number|null>} - The number of replayed deliveries or null if not found
+ */
+async function replayDeadLetters(instanceId, subscriptionId) {
+  const subscription = await getWebhookSubscription(subscriptionId);
+  if (!subscription || subscription.instanceId !== instanceId) {
+    return null;
+  }
+
+  const deadLetters = await listWebhookDeliveries({ subscriptionId, status: 'dead' });
+  const now = new Date().toISOString();
+  for (const delivery of deadLetters) {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.replays = (delivery.replays || 0) + 1;
+    delivery.nextAttemptAt = now;
+    await saveWebhookDelivery(delivery);
+  }
+
+  logger.info(`Replaying ${deadLetters.length} dead letter(s) of webhook subscription ${subscriptionId} for instance ${instanceId}`);
+  return deadLetters.length;
+}
+
+/**
+ * Delete a delivery from the log
+ * @param {string} instanceId - The instance ID
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<boolean>} - Whether the delivery existed
+ */
+async function deleteDelivery(instanceId, deliveryId) {
+  const delivery = await getWebhookDelivery(deliveryId);
+  if (!delivery || delivery.instanceId !== instanceId) {
+    return false;
+  }
+  return deleteWebhookDelivery(deliveryId);
+}
+
+/**
+ * Delete delivered events older than the retention period (dead letters are kept)
+ * @returns {Promise<number>} - The number of deleted deliveries
+ */
+async function purgeWebhookDeliveries() {
+  const cutoff = new Date(Date.now() - config.webhooks.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  let deleted = 0;
+
+  for (const delivery of await listWebhookDeliveries({ status: 'delivered' })) {
+    if (delivery.updatedAt < cutoff && await deleteWebhookDelivery(delivery.deliveryId)) {
+      deleted++;
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info(`Purged ${deleted} delivered webhook event(s)`);
+  }
+  return deleted;
+}
+
+/**
+ * Retry the deliveries that are due, oldest first
+ * @returns {Promise<void>}
+ */
+async function processWebhookDeliveries() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    const now = new Date().toISOString();
+
+    for (const delivery of await listWebhookDeliveries({ status: 'pending' })) {
+      if (delivery.nextAttemptAt && delivery.nextAttemptAt > now) {
+        continue;
+      }
+      await attemptWebhookDelivery(delivery);
+    }
+
+    if (Date.now() - lastPurgeAt >= PURGE_INTERVAL_MS) {
+      lastPurgeAt = Date.now();
+      await purgeWebhookDeliveries();
+    }
+  } catch (error) {
+    logger.error('Error processing webhook deliveries:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start retrying webhook deliveries in the background
+ */
+function startWebhookScheduler() {
+  if (processTimer) {
+    return;
+  }
+
+  processTimer = setInterval(processWebhookDeliveries, PROCESS_INTERVAL_MS);
+  processTimer.unref();
+}
+
+/**
+ * Stop the webhook delivery scheduler
+ */
+function stopWebhookScheduler() {
+  if (processTimer) {
+    clearInterval(processTimer);
+    processTimer = null;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  publishEvent,
+  getDelivery,
+  listDeliveries,
+  replayDelivery,
+  replayDeadLetters,
+  deleteDelivery,
+  processWebhookDeliveries,
+  startWebhookScheduler,
+  stopWebhookScheduler
+};
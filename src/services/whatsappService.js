@@ -1,11 +1,22 @@
 // src/services/whatsappService.js
 const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { handleIncomingMessage } = require('../controllers/messageHandler');
 const logger = require('../utils/logger');
 const { updateInstanceStatus } = require('../models/instance');
+const { handleMessageAck, flushOutboundQueue } = require('./outboundQueueService');
+const {
+  emitEvent,
+  buildAckEvent,
+  buildReactionEvent,
+  buildEditEvent,
+  buildRevokeEvent,
+  buildGroupEvent,
+  buildCallEvent
+} = require('./eventService');
 
 // Global client instances
 const clientInstances = {};
@@ -110,6 +121,9 @@ function setupEventHandlers(instanceId, client, config) {
     }
     
     updateInstanceStatus(instanceId, 'CONNECTED');
+    
+    // Send the messages queued while the client was offline
+    flushOutboundQueue();
   });
 
   // Handle disconnection
@@ -124,6 +138,47 @@ function setupEventHandlers(instanceId, client, config) {
     }, 5000);
   });
 
+  // Track delivery receipts of queued messages
+  client.on('message_ack', async (message, ack) => {
+    try {
+      await handleMessageAck(instanceId, message, ack);
+    } catch (error) {
+      logger.error(`Error handling message ack for instance ${instanceId}:`, error);
+    }
+    emitEvent(instanceId, 'message_ack', buildAckEvent(message, ack));
+  });
+
+  // Forward lifecycle events to the events webhook of the instance
+  client.on('message_reaction', (reaction) => {
+    emitEvent(instanceId, 'message_reaction', buildReactionEvent(reaction));
+  });
+
+  client.on('message_edit', (message, newBody, prevBody) => {
+    emitEvent(instanceId, 'message_edit', buildEditEvent(message, newBody, prevBody));
+  });
+
+  client.on('message_revoke_everyone', (message, revokedMessage) => {
+    emitEvent(instanceId, 'message_revoke', buildRevokeEvent(message, revokedMessage));
+  });
+
+  client.on('group_join', (notification) => {
+    emitEvent(instanceId, 'group_join', buildGroupEvent(notification));
+  });
+
+  client.on('group_leave', (notification) => {
+    emitEvent(instanceId, 'group_leave', buildGroupEvent(notification));
+  });
+
+  client.on('call', (call) => {
+    logger.info(`Incoming ${call.isVideo ? 'video' : 'voice'} call for instance ${instanceId} from ${call.from}`);
+    emitEvent(instanceId, 'call', buildCallEvent(call));
+  });
+
+  client.on('change_state', (state) => {
+    logger.info(`WhatsApp state of instance ${instanceId} changed to ${state}`);
+    emitEvent(instanceId, 'change_state', { state });
+  });
+
   // Handle incoming messages
   client.on('message_create', async (message) => {
     try {
@@ -176,35 +231,100 @@ async function getClientState(instanceId) {
   }
 }
 
+/**
+ * Normalize a recipient into a WhatsApp chat ID
+ * Accepts full chat IDs (user@c.us, group@g.us, @lid) or plain phone numbers
+ * @param {string} to - The recipient
+ * @returns {string|null} - The chat ID or null if the format is invalid
+ */
+function normalizeChatId(to) {
+  if (typeof to !== 'string') {
+    return null;
+  }
+  
+  const recipient = to.trim();
+  
+  // Full chat IDs (contacts, groups and linked IDs)
+  if (recipient.includes('@')) {
+    return /^[\d-]+@(c\.us|g\.us|lid)$/.test(recipient) ? recipient : null;
+  }
+  
+  // Plain phone numbers: strip formatting, must be 10 to 15 digits
+  const number = recipient.replace(/[\s()+-]/g, '');
+  return /^\d{10,15}$/.test(number) ? `${number}@c.us` : null;
+}
+
 /**
  * Send a message from a specific instance
  * @param {string} instanceId - The instance ID
- * @param {string} to - The recipient's phone number with country code (@c.us format)
- * @param {string} message - The message to send
+ * @param {string} to - The recipient's phone number or chat ID (@c.us or @g.us)
+ * @param {string|MessageMedia} content - The message text or media to send
+ * @param {Object} options - whatsapp-web.js send options (quotedMessageId, mentions, caption, ...)
  * @returns {Promise<any>} - The sent message object
  */
-async function sendMessage(instanceId, to, message) {
+async function sendMessage(instanceId, to, content, options = {}) {
   const client = getClientInstance(instanceId);
   if (!client) {
     throw new Error(`WhatsApp client for instance ${instanceId} not initialized`);
   }
   
+  // Validate the recipient format
+  const chatId = normalizeChatId(to);
+  if (!chatId) {
+    throw new Error(`Invalid recipient: ${to}`);
+  }
+  
   try {
-    // Validate the phone number format
-    if (!to.endsWith('@c.us')) {
-      to = `${to}@c.us`;
-    }
-    
     // Send the message
-    const response = await client.sendMessage(to, message);
-    logger.info(`Message sent from instance ${instanceId} to ${to}`);
+    const response = await client.sendMessage(chatId, content, options);
+    logger.info(`Message sent from instance ${instanceId} to ${chatId}`);
     return response;
   } catch (error) {
-    logger.error(`Failed to send message from instance ${instanceId} to ${to}:`, error);
+    logger.error(`Failed to send message from instance ${instanceId} to ${chatId}:`, error);
     throw error;
   }
 }
 
+/**
+ * Create a MessageMedia object from base64 data or a remote URL
+ * @param {Object} source - The media source
+ * @param {string} [source.data] - Base64 encoded data
+ * @param {string} [source.url] - URL to fetch the media from (server-side)
+ * @param {string} [source.mimetype] - The mimetype (required with data, detected for URLs)
+ * @param {string} [source.filename] - The file name
+ * @param {number} maxSizeBytes - Maximum allowed media size
+ * @returns {Promise<MessageMedia>} - The media object
+ */
+async function createMessageMedia(source, maxSizeBytes) {
+  if (source.url) {
+    const response = await axios.get(source.url, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: maxSizeBytes
+    }).catch(error => {
+      throw new Error(`Failed to fetch media from URL: ${error.message}`);
+    });
+    
+    const data = Buffer.from(response.data);
+    const mimetype = source.mimetype || (response.headers['content-type'] || '').split(';')[0].trim();
+    if (!mimetype) {
+      throw new Error('Unable to determine media mimetype, please provide it explicitly');
+    }
+    
+    // Use the last URL path segment as file name when none is given
+    const filename = source.filename || decodeURIComponent(new URL(source.url).pathname.split('/').pop() || '') || null;
+    
+    return new MessageMedia(mimetype, data.toString('base64'), filename, data.length);
+  }
+  
+  const size = Buffer.byteLength(source.data, 'base64');
+  if (size > maxSizeBytes) {
+    throw new Error(`Media exceeds maximum size of ${maxSizeBytes} bytes`);
+  }
+  
+  return new MessageMedia(source.mimetype, source.data, source.filename || null, size);
+}
+
 /**
  * List all active instances
  * @returns {Array} - Array of active instance IDs
@@ -242,7 +362,9 @@ module.exports = {
   getClientInstance,
   isClientInitialized,
   getClientState,
+  normalizeChatId,
   sendMessage,
+  createMessageMedia,
   listActiveInstances,
   destroyClientInstance
 };
\ No newline at end of file
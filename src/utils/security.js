@@ -110,6 +110,19 @@ function decrypt(encryptedBase64, key = process.env.ENCRYPTION_KEY) {
   }
 }
 
+/**
+ * Create a HMAC-SHA256 signature
+ * @param {string} data - The data to sign
+ * @param {string} key - The key used for signing
+ * @returns {string} - The signature as hex
+ */
+function signData(data, key = process.env.JWT_SECRET) {
+  return crypto
+    .createHmac('sha256', key)
+    .update(data)
+    .digest('hex');
+}
+
 /**
  * Verify a HMAC signature
  * @param {string} data - The data that was signed
@@ -119,10 +132,7 @@ function decrypt(encryptedBase64, key = process.env.ENCRYPTION_KEY) {
  */
 function verifySignature(data, signature, key = process.env.JWT_SECRET) {
   try {
-    const computedSignature = crypto
-      .createHmac('sha256', key)
-      .update(data)
-      .digest('hex');
+    const computedSignature = signData(data, key);
     
     return crypto.timingSafeEqual(
       Buffer.from(computedSignature, 'hex'),
@@ -134,11 +144,28 @@ function verifySignature(data, signature, key = process.env.JWT_SECRET) {
   }
 }
 
+/**
+ * Sign a payload together with a timestamp, so a captured request cannot be replayed later
+ * The signature covers "<timestamp>.<payload>"
+ * @param {string} payload - The payload to sign (the raw request body)
+ * @param {string} key - The key used for signing
+ * @param {number} [timestamp] - Unix time in seconds (now by default)
+ * @returns {Object} - { timestamp, signature }
+ */
+function signTimestampedPayload(payload, key, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    timestamp,
+    signature: signData(`${timestamp}.${payload}`, key)
+  };
+}
+
 module.exports = {
   sanitizeInput,
   generateToken,
   hash,
   encrypt,
   decrypt,
-  verifySignature
+  signData,
+  verifySignature,
+  signTimestampedPayload
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+// src/utils/template.js
+
+// {{name}} placeholders, spaces inside the braces are allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * List the variables a template uses
+ * @param {string} template - The template text
+ * @returns {Array<string>} - The variable names, without duplicates
+ */
+function getTemplateVariables(template) {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Render a template, replacing {{name}} placeholders with variables
+ * @param {string} template - The template text
+ * @param {Object} [variables] - The variable values
+ * @returns {Object} - { text, missing } with the names of variables that have no value
+ */
+function renderTemplate(template, variables = {}) {
+  // Only own properties count, so {{constructor}} is not filled from Object.prototype
+  const hasValue = name => Object.prototype.hasOwnProperty.call(variables, name)
+    && variables[name] !== undefined && variables[name] !== null;
+
+  const missing = getTemplateVariables(template).filter(name => !hasValue(name));
+
+  const text = String(template || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    return hasValue(name) ? String(variables[name]) : placeholder;
+  });
+
+  return { text, missing };
+}
+
+module.exports = {
+  getTemplateVariables,
+  renderTemplate
+};
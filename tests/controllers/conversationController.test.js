@@ -0,0 +1,91 @@
+// tests/controllers/conversationController.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+jest.mock('../../src/models/instance', () => ({ getInstanceConfig: jest.fn() }));
+jest.mock('../../src/services/whatsappService', () => ({ normalizeChatId: chatId => chatId }));
+
+const { getStore } = require('../../src/models/storage');
+const { getInstanceConfig } = require('../../src/models/instance');
+const { saveConversation, findConversation } = require('../../src/models/conversation');
+const { exportConversationHandler, deleteOldConversationsHandler } = require('../../src/controllers/conversationController');
+
+/**
+ * Run a handler with a fake request
+ * @param {Function} handler - The Express handler
+ * @param {Object} req - The request params and query
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function run(handler, { params, query = {} }) {
+  const result = {};
+  const res = {
+    setHeader: jest.fn(),
+    status(status) {
+      result.status = status;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+    send(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  await handler({ params, query }, res);
+  return result;
+}
+
+beforeEach(() => {
+  getStore().db.exec('DELETE FROM messages; DELETE FROM conversations; DELETE FROM records');
+  getInstanceConfig.mockResolvedValue({ instanceId: 'acme' });
+});
+
+describe('exportConversationHandler', () => {
+  test('exports CSV cells that spreadsheets would run as formulas as text', async () => {
+    const timestamp = '2026-01-01T10:00:00.000Z';
+    await saveConversation('acme-1@c.us', {
+      conversationId: 'acme-1@c.us',
+      instanceId: 'acme',
+      messages: [
+        { role: 'user', content: '=HYPERLINK("http://evil.example","click")', timestamp },
+        { role: 'user', content: '+1 555', timestamp },
+        { role: 'user', content: '-2', timestamp },
+        { role: 'user', content: '@SUM(A1)', timestamp },
+        { role: 'assistant', content: 'Hello, world', timestamp }
+      ]
+    });
+
+    const { status, body } = await run(exportConversationHandler, { params: { instanceId: 'acme', chatId: '1@c.us' }, query: { format: 'csv' } });
+
+    expect(status).toBe(200);
+    expect(body.split('\r\n')).toEqual([
+      'timestamp,role,author,content',
+      `${timestamp},user,,"'=HYPERLINK(""http://evil.example"",""click"")"`,
+      `${timestamp},user,,'+1 555`,
+      `${timestamp},user,,'-2`,
+      `${timestamp},user,,'@SUM(A1)`,
+      `${timestamp},assistant,,"Hello, world"`
+    ]);
+  });
+});
+
+describe('deleteOldConversationsHandler', () => {
+  test('requires an age of at least one day', async () => {
+    await saveConversation('acme-1@c.us', { conversationId: 'acme-1@c.us', instanceId: 'acme', messages: [] });
+
+    for (const olderThanDays of [undefined, '0', '-1', 'all']) {
+      expect(await run(deleteOldConversationsHandler, { params: { instanceId: 'acme' }, query: { olderThanDays } }))
+        .toMatchObject({ status: 400 });
+    }
+    expect(await findConversation('acme-1@c.us', 'acme')).not.toBeNull();
+
+    expect(await run(deleteOldConversationsHandler, { params: { instanceId: 'acme' }, query: { olderThanDays: '1' } }))
+      .toMatchObject({ status: 200, body: { deletedCount: 0 } });
+    expect(await findConversation('acme-1@c.us', 'acme')).not.toBeNull();
+  });
+});
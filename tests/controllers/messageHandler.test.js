@@ -0,0 +1,110 @@
+// tests/controllers/messageHandler.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/n8nService', () => ({ sendMessageToN8n: jest.fn(), executeAiModel: jest.fn() }));
+jest.mock('../../src/services/mediaService', () => ({ extractIncomingMedia: jest.fn() }));
+jest.mock('../../src/services/handoffService', () => ({
+  beginHandoff: jest.fn(),
+  handleAgentMessage: jest.fn(),
+  handleHandoffMessage: jest.fn()
+}));
+jest.mock('../../src/services/businessHoursService', () => ({ handleOutsideBusinessHours: jest.fn() }));
+jest.mock('../../src/services/routingService', () => ({ resolveRoute: jest.fn() }));
+jest.mock('../../src/services/asyncReplyService', () => ({ requestAsyncReply: jest.fn() }));
+jest.mock('../../src/services/actionService', () => ({ executeActions: jest.fn(), getResponseActions: jest.fn() }));
+jest.mock('../../src/services/outboundQueueService', () => ({ queueMessage: jest.fn() }));
+jest.mock('../../src/services/suppressionService', () => ({
+  handleOptOutMessage: jest.fn().mockResolvedValue(false),
+  isSuppressed: jest.fn().mockResolvedValue(false)
+}));
+jest.mock('../../src/controllers/commandHandler', () => ({
+  findCommand: jest.fn(body => (body.startsWith('!') ? { name: body.slice(1) } : null)),
+  executeCommand: jest.fn(),
+  isOwner: jest.fn(() => false)
+}));
+
+const { handleHandoffMessage } = require('../../src/services/handoffService');
+const { executeCommand } = require('../../src/controllers/commandHandler');
+const { handleIncomingMessage } = require('../../src/controllers/messageHandler');
+
+const client = { info: { wid: { _serialized: 'bot@c.us' } } };
+
+const config = {
+  allowedUsers: ['*'],
+  allowedGroups: ['*'],
+  options: { rateLimit: { sender: { capacity: 2, refillPerMinute: 1 }, cooldownMessage: 'Slow down' } }
+};
+
+/**
+ * Create an incoming WhatsApp message
+ * @param {string} body - The message text
+ * @param {string} [groupId] - The group the message was sent in
+ * @returns {Object} - The message
+ */
+function createMessage(body, groupId) {
+  return {
+    body,
+    from: groupId || '1@c.us',
+    ...(groupId ? { author: '1@c.us' } : {}),
+    fromMe: false,
+    hasMedia: false,
+    mentionedIds: [],
+    type: 'chat',
+    id: { _serialized: 'false_1@c.us_ABC' },
+    _data: {},
+    reply: jest.fn().mockResolvedValue(undefined)
+  };
+}
+
+/**
+ * Handle a number of messages one after the other
+ * @param {number} count - How many messages
+ * @param {string} body - The message text
+ * @param {string} instanceId - The instance ID
+ * @param {string} [groupId] - The group the messages were sent in
+ * @returns {Promise<Array<Object>>} - The messages
+ */
+async function handleMessages(count, body, instanceId, groupId) {
+  const messages = [];
+  for (let i = 0; i < count; i++) {
+    const message = createMessage(body, groupId);
+    await handleIncomingMessage(message, client, instanceId, config);
+    messages.push(message);
+  }
+  return messages;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  handleHandoffMessage.mockResolvedValue(false);
+});
+
+describe('flood protection', () => {
+  test.each([
+    ['direct chats', 'direct', undefined],
+    ['groups', 'group', 'g@g.us']
+  ])('limits commands in %s', async (label, instanceId, groupId) => {
+    const messages = await handleMessages(3, '!help', instanceId, groupId);
+
+    expect(executeCommand).toHaveBeenCalledTimes(2);
+    expect(messages[2].reply).toHaveBeenCalledWith('Slow down');
+  });
+
+  test('does not limit chats handed over to an agent', async () => {
+    handleHandoffMessage.mockResolvedValue(true);
+    const messages = await handleMessages(5, 'hello?', 'handoff');
+
+    expect(handleHandoffMessage).toHaveBeenCalledTimes(5);
+    messages.forEach(message => expect(message.reply).not.toHaveBeenCalled());
+
+    handleHandoffMessage.mockResolvedValue(false);
+    await handleMessages(2, '!help', 'handoff');
+    expect(executeCommand).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not count group messages that are not for the bot', async () => {
+    await handleMessages(5, 'talking among ourselves', 'chatter', 'g@g.us');
+    await handleMessages(2, '!help', 'chatter', 'g@g.us');
+
+    expect(executeCommand).toHaveBeenCalledTimes(2);
+  });
+});
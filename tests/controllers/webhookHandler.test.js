@@ -0,0 +1,75 @@
+// tests/controllers/webhookHandler.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/instance', () => ({ getInstanceConfig: jest.fn() }));
+jest.mock('../../src/services/whatsappService', () => ({
+  getClientInstance: jest.fn(),
+  createMessageMedia: jest.fn(),
+  normalizeChatId: chatId => chatId
+}));
+jest.mock('../../src/services/mediaService', () => ({
+  validateOutboundMedia: jest.fn(() => null),
+  getMediaSendOptions: jest.fn((mediaType, options, caption) => (caption ? { caption } : {}))
+}));
+jest.mock('../../src/services/asyncReplyService', () => ({ deliverAsyncReply: jest.fn() }));
+jest.mock('../../src/services/outboundQueueService', () => ({ queueMessage: jest.fn() }));
+jest.mock('../../src/services/scheduledMessageService', () => ({ isScheduled: jest.fn(() => false), scheduleMessage: jest.fn() }));
+jest.mock('../../src/services/suppressionService', () => ({ getSuppressionError: jest.fn() }));
+jest.mock('../../src/services/templateService', () => ({ renderNamedTemplate: jest.fn() }));
+
+const { getInstanceConfig } = require('../../src/models/instance');
+const { getClientInstance, createMessageMedia } = require('../../src/services/whatsappService');
+const { queueMessage } = require('../../src/services/outboundQueueService');
+const { renderNamedTemplate } = require('../../src/services/templateService');
+const { webhookHandler } = require('../../src/controllers/webhookHandler');
+
+const media = { data: 'aGVsbG8=', mimetype: 'image/png' };
+
+/**
+ * Send a request to the webhook handler
+ * @param {Object} body - The request body
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function send(body) {
+  const result = {};
+  const res = {
+    status(status) {
+      result.status = status;
+      return this;
+    },
+    json(responseBody) {
+      result.body = responseBody;
+      return this;
+    }
+  };
+  await webhookHandler({ params: { instanceId: 'acme' }, body }, res);
+  return result;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getInstanceConfig.mockResolvedValue({ instanceId: 'acme' });
+  getClientInstance.mockReturnValue({});
+  createMessageMedia.mockResolvedValue({ mimetype: 'image/png' });
+  queueMessage.mockResolvedValue({ queueId: 'q-1', status: 'sent' });
+  renderNamedTemplate.mockResolvedValue({ text: 'Hello Ana' });
+});
+
+describe('send requests', () => {
+  test('refuse an empty message without media or a template', async () => {
+    expect(await send({ to: '1@c.us', message: '' })).toEqual({ status: 400, body: { error: '"message" is not allowed to be empty' } });
+    expect(queueMessage).not.toHaveBeenCalled();
+  });
+
+  test('accept an empty message as the caption of media', async () => {
+    expect((await send({ to: '1@c.us', message: '', media })).status).toBe(200);
+    expect(queueMessage).toHaveBeenCalledWith('acme', '1@c.us', { mimetype: 'image/png' }, {}, 'api');
+  });
+
+  test('accept an empty message next to a template, but not a message', async () => {
+    expect((await send({ to: '1@c.us', message: '', template: 'welcome' })).status).toBe(200);
+    expect(queueMessage).toHaveBeenCalledWith('acme', '1@c.us', 'Hello Ana', {}, 'api');
+
+    expect(await send({ to: '1@c.us', message: 'Hi', template: 'welcome' }))
+      .toEqual({ status: 400, body: { error: '"message" and "template" cannot be used together' } });
+  });
+});
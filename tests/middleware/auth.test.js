@@ -0,0 +1,110 @@
+// tests/middleware/auth.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/instance', () => ({ getInstanceConfig: jest.fn() }));
+
+const config = require('../../src/config');
+const { getInstanceConfig } = require('../../src/models/instance');
+const { signTimestampedPayload } = require('../../src/utils/security');
+const { verifyRequestSignature } = require('../../src/middleware/auth');
+
+const SECRET = 'n8n-signing-secret';
+
+/**
+ * Create a request to an instance with a raw JSON body
+ * @param {string} body - The raw body
+ * @param {Object} [headers] - The request headers
+ * @returns {Object} - The request
+ */
+function createRequest(body, headers = {}) {
+  return {
+    params: { instanceId: 'acme' },
+    headers,
+    rawBody: Buffer.from(body),
+    is: type => type === 'application/json'
+  };
+}
+
+/**
+ * Create a signed request
+ * @param {string} body - The raw body
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {Object} - The request
+ */
+function createSignedRequest(body, timestamp) {
+  const signed = signTimestampedPayload(body, SECRET, timestamp);
+  return createRequest(body, {
+    'x-signature-timestamp': String(signed.timestamp),
+    'x-signature': `sha256=${signed.signature}`
+  });
+}
+
+/**
+ * Run the middleware for a request
+ * @param {Object} req - The request
+ * @returns {Promise<Object>} - { passed, status, body }
+ */
+async function verify(req) {
+  const result = { passed: false };
+  const res = {
+    status(status) {
+      result.status = status;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  await verifyRequestSignature(req, res, () => { result.passed = true; });
+  return result;
+}
+
+beforeEach(() => {
+  getInstanceConfig.mockResolvedValue({ n8nConfig: { signingSecret: SECRET } });
+});
+
+describe('verifyRequestSignature', () => {
+  test('accepts a request signed with the instance secret', async () => {
+    expect(await verify(createSignedRequest('{"chatId":"1@c.us","text":"first"}'))).toEqual({ passed: true });
+  });
+
+  test('lets requests of instances without a signing secret through', async () => {
+    getInstanceConfig.mockResolvedValue({ n8nConfig: {} });
+    expect((await verify(createRequest('{}'))).passed).toBe(true);
+  });
+
+  test('requires a signature', async () => {
+    expect(await verify(createRequest('{}'))).toMatchObject({ passed: false, status: 401 });
+  });
+
+  test('rejects a body changed after signing', async () => {
+    const req = createSignedRequest('{"text":"hello"}');
+    req.rawBody = Buffer.from('{"text":"goodbye"}');
+    expect(await verify(req)).toMatchObject({ passed: false, status: 401, body: { error: 'Invalid request signature' } });
+  });
+
+  test('rejects timestamps outside the tolerance', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = config.signatureToleranceSeconds;
+
+    expect(await verify(createSignedRequest('{"text":"old"}', now - tolerance - 10)))
+      .toMatchObject({ passed: false, status: 401, body: { error: 'Request signature has expired' } });
+    expect(await verify(createSignedRequest('{"text":"future"}', now + tolerance + 10)))
+      .toMatchObject({ passed: false, status: 401, body: { error: 'Request signature has expired' } });
+  });
+
+  test('rejects a replayed request', async () => {
+    const req = createSignedRequest('{"chatId":"1@c.us","text":"once"}');
+
+    expect((await verify(req)).passed).toBe(true);
+    expect(await verify({ ...req })).toMatchObject({ passed: false, status: 401, body: { error: 'Request has already been received' } });
+  });
+
+  test('accepts the same body signed again at another time', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const body = '{"chatId":"1@c.us","text":"again"}';
+
+    expect((await verify(createSignedRequest(body, now - 1))).passed).toBe(true);
+    expect((await verify(createSignedRequest(body, now))).passed).toBe(true);
+  });
+});
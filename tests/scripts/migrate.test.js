@@ -0,0 +1,80 @@
+// tests/scripts/migrate.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../../src/models/storage/fileStore');
+const { createSqliteStore } = require('../../src/models/storage/sqliteStore');
+const { migrate } = require('../../src/scripts/migrate');
+
+let tempDir;
+let source;
+let dbPath;
+
+/**
+ * Run the migration into a fresh database
+ * @param {Object} [options] - Extra migration options
+ * @returns {Promise<boolean>} - Whether the migration succeeded
+ */
+function runMigration(options = {}) {
+  return migrate({ to: 'sqlite', dbPath, source, dryRun: false, resume: false, ...options });
+}
+
+beforeEach(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  source = path.join(tempDir, 'data');
+  dbPath = path.join(tempDir, 'target.db');
+
+  const fileStore = createFileStore({ dataDir: source });
+  await fileStore.saveInstance('acme', { instanceId: 'acme', name: 'Acme' });
+  await fileStore.saveConversation('acme:1@c.us', {
+    conversationId: 'acme:1@c.us',
+    instanceId: 'acme',
+    messages: [{ role: 'user', content: 'Hello', timestamp: new Date().toISOString() }]
+  });
+  await fileStore.saveRecord('suppressions', 'acme', { instanceId: 'acme', contacts: {} });
+  await fileStore.saveRecord('pending-messages', 'acme:true_1@c.us_ABC', { instanceId: 'acme', id: 'true_1@c.us_ABC', body: 'Hi' });
+  await fileStore.saveRecord('outbound-messages', 'q-1', { queueId: 'q-1', messageId: 'true_1@c.us_DEF', status: 'sent' });
+  await fileStore.saveRecord('outbound-message-ids', 'true_1@c.us_DEF', { queueId: 'q-1' });
+  await fileStore.saveRecord('api-key-hashes', 'abc123', { keyId: 'k-1' });
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('migrate', () => {
+  test('copies every collection under the original record IDs', async () => {
+    expect(await runMigration()).toBe(true);
+
+    const store = createSqliteStore({ path: dbPath });
+    expect(await store.getInstance('acme')).toMatchObject({ name: 'Acme' });
+    expect((await store.getConversation('acme:1@c.us')).messages).toHaveLength(1);
+    expect(await store.getRecord('suppressions', 'acme')).toEqual({ instanceId: 'acme', contacts: {} });
+    expect(await store.getRecord('pending-messages', 'acme:true_1@c.us_ABC')).toMatchObject({ body: 'Hi' });
+    expect(await store.getRecord('outbound-message-ids', 'true_1@c.us_DEF')).toEqual({ queueId: 'q-1' });
+    expect(await store.getRecord('api-key-hashes', 'abc123')).toEqual({ keyId: 'k-1' });
+    store.db.close();
+  });
+
+  test('does not write anything in a dry run', async () => {
+    expect(await runMigration({ dryRun: true })).toBe(true);
+    expect(fs.existsSync(dbPath)).toBe(false);
+  });
+
+  test('fails while the data directory holds collections it does not know', async () => {
+    await createFileStore({ dataDir: source }).saveRecord('something-new', 'x', { value: 1 });
+
+    expect(await runMigration({ dryRun: true })).toBe(false);
+    expect(await runMigration()).toBe(false);
+  });
+
+  test('skips the records of a previous run when resuming', async () => {
+    expect(await runMigration()).toBe(true);
+    const state = JSON.parse(fs.readFileSync(path.join(source, '.migration-state.json'), 'utf8'));
+    expect(state.records['outbound-messages']).toEqual(['q-1.json']);
+
+    expect(await runMigration({ resume: true })).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+// tests/services/apiKeyService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+
+const { getStore } = require('../../src/models/storage');
+const { getApiKey, recordApiKeyUse } = require('../../src/models/apiKey');
+const { createApiKey, rotateApiKey, revokeApiKey, authenticateApiKey } = require('../../src/services/apiKeyService');
+const { requireScope } = require('../../src/middleware/auth');
+
+/**
+ * Run the scope middleware for a request made with an API key
+ * @param {string} scope - The required scope
+ * @param {Object} apiKey - The authenticated API key
+ * @returns {Object} - { passed, status }
+ */
+function checkScope(scope, apiKey) {
+  const result = { passed: false };
+  const res = {
+    status(status) {
+      result.status = status;
+      return { json: () => {} };
+    }
+  };
+  requireScope(scope)({ apiKey }, res, () => { result.passed = true; });
+  return result;
+}
+
+beforeEach(() => {
+  getStore().db.exec('DELETE FROM records');
+});
+
+describe('authenticateApiKey', () => {
+  test('accepts a key for its own instance and records its use', async () => {
+    const { key, keyId } = await createApiKey('acme', { name: 'n8n', scopes: ['send'] });
+
+    expect((await authenticateApiKey('acme', key, '::ffff:10.0.0.1')).value).toMatchObject({ keyId, status: 'active' });
+    expect(await getApiKey(keyId)).toMatchObject({ lastUsedIp: '10.0.0.1' });
+    expect(await authenticateApiKey('other', key, '10.0.0.1')).toMatchObject({ status: 403 });
+    expect(await authenticateApiKey('acme', 'wa_wrong', '10.0.0.1')).toMatchObject({ status: 401 });
+  });
+
+  test('refuses expired keys and addresses outside the allowed ranges', async () => {
+    const expired = await createApiKey('acme', { name: 'old', scopes: ['send'], expiresAt: new Date(Date.now() - 1000).toISOString() });
+    expect(await authenticateApiKey('acme', expired.key, '10.0.0.1')).toEqual({ error: 'API key has expired', status: 401 });
+
+    const { key } = await createApiKey('acme', { name: 'office', scopes: ['send'], allowedIps: ['10.0.0.0/8'] });
+    expect((await authenticateApiKey('acme', key, '10.1.2.3')).value).toBeDefined();
+    expect(await authenticateApiKey('acme', key, '192.168.1.1')).toMatchObject({ status: 403 });
+  });
+
+  test('stops accepting a key once it is rotated or revoked', async () => {
+    const created = await createApiKey('acme', { name: 'n8n', scopes: ['send'] });
+    const rotated = (await rotateApiKey('acme', created.keyId)).value;
+
+    expect(await authenticateApiKey('acme', created.key, '10.0.0.1')).toMatchObject({ status: 401 });
+    expect((await authenticateApiKey('acme', rotated.key, '10.0.0.1')).value).toBeDefined();
+
+    await revokeApiKey('acme', created.keyId);
+    expect(await authenticateApiKey('acme', rotated.key, '10.0.0.1')).toMatchObject({ status: 401 });
+  });
+
+  test('does not bring back a key revoked while its use was being recorded', async () => {
+    const { key, keyId } = await createApiKey('acme', { name: 'n8n', scopes: ['send'] });
+    await revokeApiKey('acme', keyId);
+    await recordApiKeyUse(keyId, { lastUsedAt: new Date().toISOString(), lastUsedIp: '10.0.0.1' });
+
+    expect(await getApiKey(keyId)).toMatchObject({ revokedAt: expect.any(String), lastUsedIp: '10.0.0.1' });
+    expect(await authenticateApiKey('acme', key, '10.0.0.1')).toMatchObject({ status: 401 });
+  });
+});
+
+describe('requireScope', () => {
+  test('only lets API keys through that have the scope', async () => {
+    const { key } = await createApiKey('acme', { name: 'n8n', scopes: ['send', 'events'] });
+    const apiKey = (await authenticateApiKey('acme', key, '10.0.0.1')).value;
+
+    expect(checkScope('send', apiKey)).toEqual({ passed: true });
+    expect(checkScope('read-conversations', apiKey)).toEqual({ passed: false, status: 403 });
+  });
+
+  test('does not limit requests made with the global API key', () => {
+    expect(checkScope('qr', undefined)).toEqual({ passed: true });
+  });
+});
@@ -0,0 +1,152 @@
+// tests/services/authService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createFileStore } = jest.requireActual('../../src/models/storage/fileStore');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-service-'));
+  const store = createFileStore({ dataDir });
+  return { getStore: () => store, dataDir };
+});
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config');
+const { dataDir } = require('../../src/models/storage');
+const { createUser, login, updateUser, authenticateAccessToken } = require('../../src/services/authService');
+const { authorizeAdmin } = require('../../src/middleware/auth');
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Create a user and log it in
+ * @param {string} username - The username
+ * @param {string} role - The role
+ * @param {Array<string>} [instances] - The assigned instances
+ * @returns {Promise<Object>} - The session
+ */
+async function createSession(username, role, instances = []) {
+  await createUser({ username, password: PASSWORD, role, instances });
+  return (await login(username, PASSWORD)).value;
+}
+
+/**
+ * Run the admin authorization middleware for a request
+ * @param {Object} session - The session whose access token is sent
+ * @param {Object} request - The method, path and route params
+ * @param {Object} [options] - authorizeAdmin options
+ * @returns {Promise<Object>} - { passed, status }
+ */
+function authorize(session, { method = 'GET', path = '/', params = {} }, options) {
+  return new Promise(resolve => {
+    const req = { method, path, params, headers: { authorization: `Bearer ${session.accessToken}` } };
+    const res = {
+      status(status) {
+        resolve({ passed: false, status });
+        return { json: () => {} };
+      }
+    };
+    authorizeAdmin(options)(req, res, () => resolve({ passed: true }));
+  });
+}
+
+const originalNodeEnv = process.env.NODE_ENV;
+
+beforeEach(() => {
+  config.jwtSecret = 'test-jwt-secret';
+  process.env.NODE_ENV = originalNodeEnv;
+});
+
+afterAll(() => {
+  process.env.NODE_ENV = originalNodeEnv;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('usernames', () => {
+  test('keeps usernames apart that only differ in punctuation', async () => {
+    for (const username of ['john.doe', 'john_doe', 'john@doe']) {
+      expect((await createUser({ username, password: PASSWORD, role: 'read-only' })).value.username).toBe(username);
+    }
+
+    expect((await login('john_doe', PASSWORD)).value.user.username).toBe('john_doe');
+    expect((await login('JOHN.DOE', PASSWORD)).value.user.username).toBe('john.doe');
+  });
+
+  test('refuses a username that only differs in case', async () => {
+    await createUser({ username: 'Mary', password: PASSWORD, role: 'read-only' });
+    expect(await createUser({ username: 'mary', password: PASSWORD, role: 'read-only' })).toMatchObject({ status: 409 });
+  });
+});
+
+describe('access tokens', () => {
+  test('authenticate the user they were issued to', async () => {
+    const session = await createSession('alice', 'super-admin');
+    expect((await authenticateAccessToken(session.accessToken)).value.username).toBe('alice');
+  });
+
+  test('are refused when signed with another secret', async () => {
+    const session = await createSession('mallory', 'read-only');
+    const forged = jwt.sign({ sub: session.user.userId, role: 'super-admin', ver: 0 }, 'change-this-secret-in-production');
+    expect(await authenticateAccessToken(forged)).toEqual({ error: 'Invalid access token', status: 401 });
+  });
+
+  test('stop working when the user is disabled', async () => {
+    const session = await createSession('bob', 'read-only');
+    await updateUser(session.user.userId, { disabled: true });
+    expect(await authenticateAccessToken(session.accessToken)).toMatchObject({ status: 401 });
+  });
+
+  test('are neither issued nor accepted without JWT_SECRET outside development mode', async () => {
+    const session = await createSession('carol', 'read-only');
+    config.jwtSecret = undefined;
+
+    for (const nodeEnv of ['production', 'test']) {
+      process.env.NODE_ENV = nodeEnv;
+      expect(await login('carol', PASSWORD)).toMatchObject({ status: 500 });
+      expect(await authenticateAccessToken(session.accessToken)).toMatchObject({ status: 500 });
+    }
+  });
+
+  test('use a random secret without JWT_SECRET in development mode', async () => {
+    config.jwtSecret = undefined;
+    process.env.NODE_ENV = 'development';
+
+    const session = await createSession('dave', 'read-only');
+    expect((await authenticateAccessToken(session.accessToken)).value.username).toBe('dave');
+
+    const forged = jwt.sign({ sub: session.user.userId, role: 'read-only', ver: 0 }, 'change-this-secret-in-production');
+    expect(await authenticateAccessToken(forged)).toMatchObject({ status: 401 });
+  });
+});
+
+describe('roles', () => {
+  let superAdmin;
+  let instanceAdmin;
+  let readOnly;
+
+  beforeAll(async () => {
+    config.jwtSecret = 'test-jwt-secret';
+    superAdmin = await createSession('root', 'super-admin');
+    instanceAdmin = await createSession('acme-admin', 'instance-admin', ['acme']);
+    readOnly = await createSession('acme-viewer', 'read-only', ['acme']);
+  });
+
+  test('super-admins can do everything', async () => {
+    expect(await authorize(superAdmin, { method: 'DELETE', params: { instanceId: 'other' } })).toEqual({ passed: true });
+    expect(await authorize(superAdmin, { method: 'POST', path: '/api/admin/users' })).toEqual({ passed: true });
+  });
+
+  test('instance admins can only manage their instances', async () => {
+    expect(await authorize(instanceAdmin, { method: 'PUT', params: { instanceId: 'acme' } })).toEqual({ passed: true });
+    expect(await authorize(instanceAdmin, { method: 'PUT', params: { instanceId: 'other' } })).toEqual({ passed: false, status: 403 });
+    expect(await authorize(instanceAdmin, { method: 'POST', path: '/api/admin/users' })).toEqual({ passed: false, status: 403 });
+    expect(await authorize(instanceAdmin, { path: '/api/admin/instances' }, { instanceUsers: true })).toEqual({ passed: true });
+  });
+
+  test('read-only users can only read their instances', async () => {
+    expect(await authorize(readOnly, { params: { instanceId: 'acme' } })).toEqual({ passed: true });
+    expect(await authorize(readOnly, { method: 'POST', params: { instanceId: 'acme' } })).toEqual({ passed: false, status: 403 });
+    expect(await authorize(readOnly, { params: { instanceId: 'other' } })).toEqual({ passed: false, status: 403 });
+  });
+});
@@ -0,0 +1,93 @@
+// tests/services/businessHoursService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+
+const {
+  getBusinessHoursOptions,
+  isWithinBusinessHours,
+  getNextOpening,
+  getBusinessHoursStatus
+} = require('../../src/services/businessHoursService');
+
+const weekdays = ['09:00-17:00'];
+
+/**
+ * Create an instance configuration with business hours
+ * @param {Object} businessHours - The business hours options
+ * @returns {Object} - The instance configuration
+ */
+function withBusinessHours(businessHours) {
+  return {
+    options: {
+      businessHours: {
+        schedule: { monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: weekdays },
+        ...businessHours
+      }
+    }
+  };
+}
+
+const berlin = getBusinessHoursOptions(withBusinessHours({ timezone: 'Europe/Berlin' }));
+
+describe('isWithinBusinessHours', () => {
+  test('uses the local time of the timezone in winter and summer', () => {
+    // 09:30 CET (UTC+1) and 09:30 CEST (UTC+2)
+    expect(isWithinBusinessHours(berlin, new Date('2024-03-25T08:30:00Z'))).toBe(true);
+    expect(isWithinBusinessHours(berlin, new Date('2024-04-01T07:30:00Z'))).toBe(true);
+
+    // 17:30 CEST, which would still be 16:30 with the winter offset
+    expect(isWithinBusinessHours(berlin, new Date('2024-04-01T15:30:00Z'))).toBe(false);
+  });
+
+  test('follows the local clock across the night the clocks go forward', () => {
+    const options = { ...berlin, schedule: { sunday: ['01:00-04:00'] } };
+
+    // 01:30 CET, 03:30 CEST (02:00-03:00 does not exist that night) and 04:00 CEST
+    expect(isWithinBusinessHours(options, new Date('2024-03-31T00:30:00Z'))).toBe(true);
+    expect(isWithinBusinessHours(options, new Date('2024-03-31T01:30:00Z'))).toBe(true);
+    expect(isWithinBusinessHours(options, new Date('2024-03-31T02:00:00Z'))).toBe(false);
+  });
+
+  test('is closed on holidays', () => {
+    const options = { ...berlin, holidays: ['2024-04-01'] };
+    expect(isWithinBusinessHours(options, new Date('2024-04-01T07:30:00Z'))).toBe(false);
+  });
+});
+
+describe('getNextOpening', () => {
+  test('opens with the summer offset after the clocks go forward', () => {
+    // Friday 17:30 CET, next opening Monday 09:00 CEST
+    expect(getNextOpening(berlin, new Date('2024-03-29T16:30:00Z')).toISOString()).toBe('2024-04-01T07:00:00.000Z');
+  });
+
+  test('opens with the winter offset after the clocks go back', () => {
+    // Friday 18:00 CEST, next opening Monday 09:00 CET
+    expect(getNextOpening(berlin, new Date('2024-10-25T16:00:00Z')).toISOString()).toBe('2024-10-28T08:00:00.000Z');
+  });
+
+  test('uses the DST rules of the configured timezone', () => {
+    const newYork = { ...berlin, timezone: 'America/New_York' };
+
+    // Saturday before the US change, next opening Monday 09:00 EDT (UTC-4)
+    expect(getNextOpening(newYork, new Date('2024-03-09T15:00:00Z')).toISOString()).toBe('2024-03-11T13:00:00.000Z');
+  });
+
+  test('skips holidays', () => {
+    const options = { ...berlin, holidays: ['2024-04-01'] };
+    expect(getNextOpening(options, new Date('2024-03-29T16:30:00Z')).toISOString()).toBe('2024-04-02T07:00:00.000Z');
+  });
+
+  test('returns null when there is no opening in the next two weeks', () => {
+    expect(getNextOpening({ ...berlin, schedule: {} }, new Date('2024-03-29T16:30:00Z'))).toBeNull();
+  });
+});
+
+describe('getBusinessHoursStatus', () => {
+  test('is always open without business hours', () => {
+    expect(getBusinessHoursStatus({ options: {} })).toEqual({ enabled: false, open: true, nextOpening: null });
+  });
+
+  test('reports the next opening while closed', () => {
+    expect(getBusinessHoursStatus(withBusinessHours({ timezone: 'Europe/Berlin' }), new Date('2024-10-25T16:00:00Z')))
+      .toEqual({ enabled: true, open: false, timezone: 'Europe/Berlin', nextOpening: '2024-10-28T08:00:00.000Z' });
+  });
+});
@@ -0,0 +1,81 @@
+// tests/services/handoffService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+jest.mock('../../src/services/outboundQueueService', () => ({ queueMessage: jest.fn(), isBotMessage: jest.fn() }));
+
+const { getStore } = require('../../src/models/storage');
+const { getConversation, updateConversation } = require('../../src/models/conversation');
+const { queueMessage } = require('../../src/services/outboundQueueService');
+const { startHandoff, handleHandoffMessage } = require('../../src/services/handoffService');
+
+const instanceConfig = { options: { handoff: { keywords: ['agent'], handoffMessage: 'Please wait' } } };
+
+/**
+ * Create an incoming WhatsApp message
+ * @param {string} body - The message text
+ * @returns {Object} - The message
+ */
+function createMessage(body) {
+  return { body, from: '1@c.us', type: 'chat', hasMedia: false, id: { _serialized: `false_1@c.us_${body}` }, _data: {} };
+}
+
+/**
+ * Handle a message for the handoff mode
+ * @param {string} body - The message text
+ * @returns {Promise<boolean>} - Whether the message was handled
+ */
+function handle(body) {
+  return handleHandoffMessage(createMessage(body), 'acme', instanceConfig, body);
+}
+
+beforeEach(() => {
+  getStore().db.exec('DELETE FROM messages; DELETE FROM conversations; DELETE FROM records');
+  queueMessage.mockReset();
+});
+
+describe('handoff', () => {
+  test('starts on a keyword and keeps the messages of the chat', async () => {
+    expect(await handle('hello')).toBe(false);
+    expect(await handle('Agent')).toBe(true);
+    expect(await handle('are you there?')).toBe(true);
+
+    const conversation = await getConversation('acme-1@c.us', 'acme');
+    expect(conversation.handoff).toMatchObject({ source: 'keyword', reason: 'Agent' });
+    expect(conversation.messages.map(message => message.content)).toEqual(['Agent', 'are you there?']);
+    expect(queueMessage).toHaveBeenCalledTimes(1);
+    expect(queueMessage).toHaveBeenCalledWith('acme', '1@c.us', 'Please wait', expect.any(Object), 'handoff');
+  });
+
+  test('keeps every message that arrives at the same time', async () => {
+    await startHandoff('acme', '1@c.us', instanceConfig, { source: 'admin' });
+
+    await Promise.all([
+      handle('first'),
+      handle('second'),
+      updateConversation('acme-1@c.us', 'acme', conversation => {
+        conversation.messages.push({ role: 'assistant', content: 'reply', timestamp: new Date().toISOString() });
+      }),
+      handle('third')
+    ]);
+
+    const conversation = await getConversation('acme-1@c.us', 'acme');
+    expect(conversation.messages.map(message => message.content)).toEqual(['first', 'second', 'reply', 'third']);
+    expect(conversation.handoff).toMatchObject({ source: 'admin' });
+  });
+
+  test('starts once when it is started from two places at the same time', async () => {
+    const [admin, keyword] = await Promise.all([
+      startHandoff('acme', '1@c.us', instanceConfig, { source: 'admin' }),
+      handle('agent')
+    ]);
+
+    expect(admin).toMatchObject({ source: 'admin' });
+    expect(keyword).toBe(true);
+    expect(queueMessage).not.toHaveBeenCalled();
+    expect((await getConversation('acme-1@c.us', 'acme')).handoff).toMatchObject({ source: 'admin' });
+  });
+});
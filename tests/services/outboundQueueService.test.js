@@ -0,0 +1,182 @@
+// tests/services/outboundQueueService.test.js
+const { MessageMedia } = require('whatsapp-web.js');
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+jest.mock('../../src/services/whatsappService', () => ({ getClientInstance: jest.fn() }));
+
+const config = require('../../src/config');
+const { getStore } = require('../../src/models/storage');
+const { getClientInstance } = require('../../src/services/whatsappService');
+const { getOutboundMessage, listOutboundMessages } = require('../../src/models/outboundMessage');
+const { addSuppression } = require('../../src/models/suppression');
+const {
+  queueMessage,
+  flushOutboundQueue,
+  handleMessageAck,
+  getMessageStatus,
+  isBotMessage
+} = require('../../src/services/outboundQueueService');
+
+/**
+ * Create a fake WhatsApp client
+ * @param {Object} [options] - Client behaviour
+ * @param {string} [options.state] - The connection state
+ * @param {Function} [options.send] - Replaces sendMessage
+ * @returns {Object} - The client
+ */
+function createClient({ state = 'CONNECTED', send } = {}) {
+  let sent = 0;
+  return {
+    getState: jest.fn().mockResolvedValue(state),
+    sendMessage: jest.fn(send || (async () => {
+      sent += 1;
+      return { id: { _serialized: `true_chat_${sent}` }, ack: 1 };
+    }))
+  };
+}
+
+const originalOutbound = { ...config.outbound };
+
+beforeEach(() => {
+  getStore().db.exec('DELETE FROM records');
+  Object.assign(config.outbound, originalOutbound);
+});
+
+describe('outbound queue', () => {
+  test('sends a message right away when the instance is connected', async () => {
+    const client = createClient();
+    getClientInstance.mockReturnValue(client);
+
+    const outboundMessage = await queueMessage('acme', '1@c.us', 'Hello');
+
+    expect(client.sendMessage).toHaveBeenCalledWith('1@c.us', 'Hello', {});
+    expect(outboundMessage).toMatchObject({ status: 'sent', attempts: 1, messageId: 'true_chat_1', ack: 1 });
+    expect(await listOutboundMessages({ status: 'queued' })).toEqual([]);
+  });
+
+  test('keeps a message queued without using an attempt while the instance is disconnected', async () => {
+    const client = createClient({ state: 'OPENING' });
+    getClientInstance.mockReturnValue(client);
+
+    const outboundMessage = await queueMessage('acme', '1@c.us', 'Hello');
+
+    expect(client.sendMessage).not.toHaveBeenCalled();
+    expect(outboundMessage).toMatchObject({ status: 'queued', attempts: 0 });
+
+    client.getState.mockResolvedValue('CONNECTED');
+    await flushOutboundQueue();
+
+    expect(client.sendMessage).toHaveBeenCalledTimes(1);
+    expect(await getOutboundMessage(outboundMessage.queueId)).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  test('reschedules a failed send and does not retry it before it is due', async () => {
+    const client = createClient({ send: async () => { throw new Error('Evaluation failed'); } });
+    getClientInstance.mockReturnValue(client);
+
+    const outboundMessage = await queueMessage('acme', '1@c.us', 'Hello');
+
+    expect(outboundMessage).toMatchObject({ status: 'queued', attempts: 1, lastError: 'Evaluation failed' });
+    expect(new Date(outboundMessage.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+
+    await flushOutboundQueue();
+    expect(client.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('doubles the delay between retries and sends once the client recovers', async () => {
+    config.outbound.retryBaseSeconds = 10;
+    const client = createClient({ send: async () => { throw new Error('Evaluation failed'); } });
+    getClientInstance.mockReturnValue(client);
+
+    /**
+     * Make a queued message due now, as if its retry delay had passed
+     * @param {string} queueId - The queue ID
+     * @returns {Promise<void>}
+     */
+    const makeDue = async queueId => {
+      const outboundMessage = await getOutboundMessage(queueId);
+      outboundMessage.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+      await getStore().saveRecord('outbound-messages', queueId, outboundMessage);
+    };
+    const delayOf = outboundMessage => new Date(outboundMessage.nextAttemptAt).getTime() - new Date(outboundMessage.updatedAt).getTime();
+
+    const { queueId } = await queueMessage('acme', '1@c.us', 'Hello');
+    expect(delayOf(await getOutboundMessage(queueId))).toBeGreaterThanOrEqual(9000);
+    expect(delayOf(await getOutboundMessage(queueId))).toBeLessThanOrEqual(11000);
+
+    await makeDue(queueId);
+    await flushOutboundQueue();
+    const retried = await getOutboundMessage(queueId);
+    expect(retried.attempts).toBe(2);
+    expect(delayOf(retried)).toBeGreaterThanOrEqual(19000);
+    expect(delayOf(retried)).toBeLessThanOrEqual(21000);
+
+    client.sendMessage.mockResolvedValue({ id: { _serialized: 'true_chat_retry' }, ack: 1 });
+    await makeDue(queueId);
+    await flushOutboundQueue();
+    expect(await getOutboundMessage(queueId)).toMatchObject({ status: 'sent', attempts: 3, lastError: null, nextAttemptAt: null });
+  });
+
+  test('gives up after the maximum attempts and drops the media data', async () => {
+    config.outbound.maxAttempts = 2;
+    config.outbound.retryBaseSeconds = 0;
+    const client = createClient({ send: async () => { throw new Error('Evaluation failed'); } });
+    getClientInstance.mockReturnValue(client);
+
+    const media = new MessageMedia('image/png', 'aGVsbG8=', 'photo.png');
+    const { queueId } = await queueMessage('acme', '1@c.us', media);
+    await flushOutboundQueue();
+
+    const outboundMessage = await getOutboundMessage(queueId);
+    expect(client.sendMessage).toHaveBeenCalledTimes(2);
+    expect(outboundMessage).toMatchObject({ status: 'failed', attempts: 2, media: null, nextAttemptAt: null });
+    expect(outboundMessage.mediaInfo).toEqual({ mimetype: 'image/png', filename: 'photo.png', filesize: null });
+    expect((await getMessageStatus('acme', queueId)).media).toEqual(outboundMessage.mediaInfo);
+    expect(await listOutboundMessages({ status: 'queued' })).toEqual([]);
+  });
+
+  test('sends a message once when the scheduler flushes while it is being queued', async () => {
+    const client = createClient({ state: 'OPENING' });
+    getClientInstance.mockReturnValue(client);
+    await queueMessage('acme', '1@c.us', 'Hello');
+    client.getState.mockResolvedValue('CONNECTED');
+
+    await Promise.all([flushOutboundQueue(), queueMessage('acme', '2@c.us', 'Hi'), flushOutboundQueue()]);
+    await flushOutboundQueue();
+
+    expect(client.sendMessage).toHaveBeenCalledTimes(2);
+    expect((await listOutboundMessages()).map(message => message.status)).toEqual(['sent', 'sent']);
+  });
+
+  test('refuses suppressed recipients', async () => {
+    getClientInstance.mockReturnValue(createClient());
+    await addSuppression('acme', '1@c.us', { source: 'keyword' });
+
+    await expect(queueMessage('acme', '1@c.us', 'Hello')).rejects.toThrow('has opted out');
+  });
+
+  test('only moves the delivery status forward, except for delivery errors', async () => {
+    getClientInstance.mockReturnValue(createClient());
+    const { queueId } = await queueMessage('acme', '1@c.us', 'Hello');
+    const message = { id: { _serialized: 'true_chat_1' }, fromMe: true };
+
+    expect(await handleMessageAck('acme', message, 3)).toMatchObject({ status: 'read', ack: 3 });
+    expect(await handleMessageAck('acme', message, 2)).toMatchObject({ status: 'read', ack: 3 });
+    expect(await handleMessageAck('other', message, 4)).toBeNull();
+    expect(await handleMessageAck('acme', message, -1)).toMatchObject({ status: 'failed' });
+    expect((await getOutboundMessage(queueId)).readAt).toBeDefined();
+  });
+
+  test('recognises the messages it sent', async () => {
+    getClientInstance.mockReturnValue(createClient());
+    await queueMessage('acme', '1@c.us', 'Hello');
+
+    expect(await isBotMessage('acme', { id: { _serialized: 'true_chat_1' }, to: '1@c.us' })).toBe(true);
+    expect(await isBotMessage('acme', { id: { _serialized: 'true_chat_9' }, to: '1@c.us' })).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+// tests/services/rateLimitService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+
+const { checkRateLimit, listMutes, clearMute } = require('../../src/services/rateLimitService');
+
+const config = {
+  options: {
+    rateLimit: {
+      sender: { capacity: 2, refillPerMinute: 1 },
+      group: { capacity: 3, refillPerMinute: 1 },
+      cooldownMessage: 'Slow down'
+    }
+  }
+};
+
+describe('checkRateLimit', () => {
+  test('lets a burst through, then mutes the sender once', () => {
+    const source = { senderId: '1@c.us' };
+
+    expect(checkRateLimit('burst', config, source)).toEqual({ allowed: true });
+    expect(checkRateLimit('burst', config, source)).toEqual({ allowed: true });
+    expect(checkRateLimit('burst', config, source)).toEqual({ allowed: false, justMuted: true, cooldownMessage: 'Slow down' });
+    expect(checkRateLimit('burst', config, source)).toEqual({ allowed: false, justMuted: false });
+    expect(listMutes('burst').map(mute => mute.chatId)).toEqual(['1@c.us']);
+  });
+
+  test('mutes a group once its members together send too much', () => {
+    expect(checkRateLimit('group', config, { senderId: '1@c.us', groupId: 'g@g.us' }).allowed).toBe(true);
+    expect(checkRateLimit('group', config, { senderId: '2@c.us', groupId: 'g@g.us' }).allowed).toBe(true);
+    expect(checkRateLimit('group', config, { senderId: '3@c.us', groupId: 'g@g.us' }).allowed).toBe(true);
+    expect(checkRateLimit('group', config, { senderId: '4@c.us', groupId: 'g@g.us' })).toMatchObject({ allowed: false, justMuted: true });
+    expect(checkRateLimit('group', config, { senderId: '5@c.us' }).allowed).toBe(true);
+  });
+
+  test('lets a sender through again once the mute is cleared', () => {
+    const source = { senderId: '1@c.us' };
+    for (let i = 0; i < 3; i++) {
+      checkRateLimit('clear', config, source);
+    }
+
+    expect(clearMute('clear', '1@c.us')).toBe(true);
+    expect(checkRateLimit('clear', config, source)).toEqual({ allowed: true });
+  });
+
+  test('does not limit instances without a rate limit', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(checkRateLimit('unlimited', {}, { senderId: '1@c.us' })).toEqual({ allowed: true });
+    }
+  });
+});
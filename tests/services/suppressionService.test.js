@@ -0,0 +1,95 @@
+// tests/services/suppressionService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+jest.mock('../../src/services/whatsappService', () => ({ getClientInstance: jest.fn() }));
+
+const { getStore } = require('../../src/models/storage');
+const { getClientInstance } = require('../../src/services/whatsappService');
+const { getSuppression, addSuppression } = require('../../src/models/suppression');
+const { getOutboundMessage } = require('../../src/models/outboundMessage');
+const { handleOptOutMessage, getSuppressionError } = require('../../src/services/suppressionService');
+const { queueMessage, flushOutboundQueue } = require('../../src/services/outboundQueueService');
+
+/**
+ * Create an incoming WhatsApp message
+ * @param {string} body - The message text
+ * @param {string} [from] - The sender
+ * @returns {Object} - The message
+ */
+function createMessage(body, from = '1@c.us') {
+  return { body, from, reply: jest.fn().mockResolvedValue(undefined) };
+}
+
+beforeEach(() => {
+  getStore().db.exec('DELETE FROM records');
+});
+
+describe('opt-out keywords', () => {
+  test('suppress the sender and confirm it', async () => {
+    const message = createMessage('  stop ');
+
+    expect(await handleOptOutMessage(message, 'acme', {})).toBe(true);
+    expect(await getSuppression('acme', '1@c.us')).toMatchObject({ reason: 'STOP', source: 'keyword' });
+    expect(message.reply).toHaveBeenCalledWith(expect.stringContaining('unsubscribed'));
+    expect(await getSuppressionError('acme', '1@c.us')).toBe('Recipient 1@c.us has opted out of messages');
+    expect(await getSuppression('other', '1@c.us')).toBeNull();
+  });
+
+  test('let contacts who opted out themselves opt in again', async () => {
+    await handleOptOutMessage(createMessage('UNSUBSCRIBE'), 'acme', {});
+    const message = createMessage('start');
+
+    expect(await handleOptOutMessage(message, 'acme', {})).toBe(true);
+    expect(await getSuppression('acme', '1@c.us')).toBeNull();
+    expect(message.reply).toHaveBeenCalledWith('You have been subscribed again.');
+  });
+
+  test('do not let blocklisted contacts opt in again', async () => {
+    await addSuppression('acme', '1@c.us', { source: 'admin', reason: 'abuse' });
+    const message = createMessage('START');
+
+    expect(await handleOptOutMessage(message, 'acme', {})).toBe(true);
+    expect(await getSuppressionError('acme', '1@c.us')).toBe('Recipient 1@c.us is on the blocklist');
+    expect(message.reply).not.toHaveBeenCalled();
+  });
+
+  test('use the keywords and confirmations of the instance', async () => {
+    const config = { options: { optOut: { keywords: ['baja'], optOutMessage: '' } } };
+
+    const stop = createMessage('STOP');
+    expect(await handleOptOutMessage(stop, 'acme', config)).toBe(false);
+
+    const baja = createMessage('Baja');
+    expect(await handleOptOutMessage(baja, 'acme', config)).toBe(true);
+    expect(baja.reply).not.toHaveBeenCalled();
+    expect(await getSuppression('acme', '1@c.us')).not.toBeNull();
+  });
+
+  test('leave other messages alone', async () => {
+    expect(await handleOptOutMessage(createMessage('please stop by tomorrow'), 'acme', {})).toBe(false);
+    expect(await handleOptOutMessage(createMessage('START'), 'acme', {})).toBe(false);
+  });
+});
+
+describe('outbound queue', () => {
+  test('does not send queued messages to a recipient who opted out while they waited', async () => {
+    const client = { getState: jest.fn().mockResolvedValue('OPENING'), sendMessage: jest.fn() };
+    getClientInstance.mockReturnValue(client);
+
+    const { queueId } = await queueMessage('acme', '1@c.us', 'Hello');
+    await handleOptOutMessage(createMessage('STOP'), 'acme', {});
+    client.getState.mockResolvedValue('CONNECTED');
+    await flushOutboundQueue();
+
+    expect(client.sendMessage).not.toHaveBeenCalled();
+    expect(await getOutboundMessage(queueId)).toMatchObject({
+      status: 'failed',
+      nextAttemptAt: null,
+      lastError: 'Recipient 1@c.us has opted out of messages'
+    });
+  });
+});
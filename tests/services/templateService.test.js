@@ -0,0 +1,82 @@
+// tests/services/templateService.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/models/storage', () => {
+  const { createSqliteStore } = jest.requireActual('../../src/models/storage/sqliteStore');
+  const store = createSqliteStore({ path: ':memory:' });
+  return { getStore: () => store };
+});
+
+const { saveTemplate } = require('../../src/models/template');
+const { selectVariant, renderNamedTemplate } = require('../../src/services/templateService');
+const { renderTemplate } = require('../../src/utils/template');
+
+const welcome = {
+  name: 'welcome',
+  defaultLanguage: 'en',
+  variants: {
+    en: 'Hello {{name}}, your order {{ orderId }} is ready',
+    pt: 'Olá {{name}}, o seu pedido {{orderId}} está pronto',
+    'pt-BR': 'Oi {{name}}, seu pedido {{orderId}} está pronto'
+  }
+};
+
+describe('renderTemplate', () => {
+  test('replaces placeholders, with or without spaces inside the braces', () => {
+    expect(renderTemplate(welcome.variants.en, { name: 'Ana', orderId: 42 }))
+      .toEqual({ text: 'Hello Ana, your order 42 is ready', missing: [] });
+  });
+
+  test('leaves placeholders without a value in place and reports them', () => {
+    expect(renderTemplate(welcome.variants.en, { name: 'Ana', orderId: null }))
+      .toEqual({ text: 'Hello Ana, your order {{ orderId }} is ready', missing: ['orderId'] });
+  });
+
+  test('does not fill placeholders from properties every object inherits', () => {
+    expect(renderTemplate('{{constructor}} {{toString}} {{__proto__}} {{name}}', { name: 'Ana' }))
+      .toEqual({ text: '{{constructor}} {{toString}} {{__proto__}} Ana', missing: ['constructor', 'toString', '__proto__'] });
+  });
+});
+
+describe('selectVariant', () => {
+  test('uses the exact language first', () => {
+    expect(selectVariant(welcome, 'pt-BR')).toEqual({ language: 'pt-BR', text: welcome.variants['pt-BR'] });
+  });
+
+  test('matches languages case-insensitively', () => {
+    expect(selectVariant(welcome, 'PT-br').language).toBe('pt-BR');
+  });
+
+  test('falls back from a regional language to its base language', () => {
+    expect(selectVariant(welcome, 'pt-PT').language).toBe('pt');
+  });
+
+  test('falls back to the default language', () => {
+    expect(selectVariant(welcome, 'de-AT').language).toBe('en');
+    expect(selectVariant(welcome).language).toBe('en');
+  });
+
+  test('returns null when neither the language nor the default language has a variant', () => {
+    expect(selectVariant({ ...welcome, defaultLanguage: 'fr' }, 'de')).toBeNull();
+  });
+});
+
+describe('renderNamedTemplate', () => {
+  beforeAll(async () => {
+    await saveTemplate('acme', welcome);
+  });
+
+  test('renders the variant for the requested language', async () => {
+    expect(await renderNamedTemplate('acme', 'welcome', { name: 'Ana', orderId: 7 }, 'pt-PT'))
+      .toEqual({ text: 'Olá Ana, o seu pedido 7 está pronto', language: 'pt' });
+  });
+
+  test('reports missing variables', async () => {
+    expect(await renderNamedTemplate('acme', 'welcome', { name: 'Ana' }))
+      .toEqual({ error: 'Missing variable(s) for template welcome: orderId', status: 400 });
+  });
+
+  test('reports unknown templates, also of other instances', async () => {
+    expect(await renderNamedTemplate('acme', 'goodbye')).toEqual({ error: 'Template not found: goodbye', status: 404 });
+    expect((await renderNamedTemplate('other', 'welcome')).status).toBe(404);
+  });
+});
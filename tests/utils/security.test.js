@@ -0,0 +1,38 @@
+// tests/utils/security.test.js
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const { signData, verifySignature, signTimestampedPayload } = require('../../src/utils/security');
+
+describe('signData and verifySignature', () => {
+  test('create a HMAC-SHA256 signature as hex', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('payload').digest('hex');
+    expect(signData('payload', 'secret')).toBe(expected);
+  });
+
+  test('accept the signature of the same data and key', () => {
+    expect(verifySignature('payload', signData('payload', 'secret'), 'secret')).toBe(true);
+  });
+
+  test('reject other data, another key and malformed signatures', () => {
+    const signature = signData('payload', 'secret');
+    expect(verifySignature('payload!', signature, 'secret')).toBe(false);
+    expect(verifySignature('payload', signature, 'other-secret')).toBe(false);
+    expect(verifySignature('payload', signature.slice(0, 32), 'secret')).toBe(false);
+    expect(verifySignature('payload', 'not-hex', 'secret')).toBe(false);
+  });
+});
+
+describe('signTimestampedPayload', () => {
+  test('signs "<timestamp>.<payload>"', () => {
+    expect(signTimestampedPayload('{"a":1}', 'secret', 1700000000)).toEqual({
+      timestamp: 1700000000,
+      signature: signData('1700000000.{"a":1}', 'secret')
+    });
+  });
+
+  test('uses the current time by default', () => {
+    const { timestamp } = signTimestampedPayload('{}', 'secret');
+    expect(Math.abs(timestamp - Date.now() / 1000)).toBeLessThan(5);
+  });
+});